@@ -154,6 +154,14 @@ class SecureStorage {
     }
   }
 
+  /**
+   * 安全刪除數據
+   * @param {string} key - 存儲鍵名
+   */
+  async removeItem(key) {
+    localStorage.removeItem(`secure_${key}`);
+  }
+
   /**
    * 清除所有安全數據
    */
@@ -246,6 +254,14 @@ class FallbackStorage {
     }
   }
 
+  /**
+   * 安全刪除數據（降級方案）
+   * @param {string} key - 存儲鍵名
+   */
+  async removeItem(key) {
+    localStorage.removeItem(`fallback_${key}`);
+  }
+
   /**
    * 清除所有降級數據
    */
@@ -295,12 +295,12 @@ function calculateFatigueIndex(activities) {
   });
   
   const last7DaysEp = weeklyActivities.reduce((sum, act) => {
-    const distance = parseFloat(act.distance);
     const elevation = parseFloat(act.elevation);
+    const ep = window.epEngine.activityEp(act);
     
-    if (isNaN(distance) || isNaN(elevation)) return sum;
+    if (isNaN(ep) || isNaN(elevation)) return sum;
     
-    return sum + (distance + elevation/100);
+    return sum + ep;
   }, 0);
   
   // 計算月平均
@@ -310,12 +310,12 @@ function calculateFatigueIndex(activities) {
   });
   
   const totalMonthlyEp = monthlyActivities.reduce((sum, act) => {
-    const distance = parseFloat(act.distance);
     const elevation = parseFloat(act.elevation);
+    const ep = window.epEngine.activityEp(act);
     
-    if (isNaN(distance) || isNaN(elevation)) return sum;
+    if (isNaN(ep) || isNaN(elevation)) return sum;
     
-    return sum + (distance + elevation/100);
+    return sum + ep;
   }, 0);
   
   const avgMonthlyEp = monthlyActivities.length > 3 ? 
@@ -344,7 +344,10 @@ function calculateEnvironmentFactor(activities) {
   
   activities.forEach(act => {
     const temp = parseFloat(act.temperature);
-    const eph = parseFloat(act.eph);
+    // 使用環境標準化 EPH：係數反映模型之外的個人冷熱適應能力
+    const eph = act.normalizedEph !== undefined && act.normalizedEph !== null
+      ? parseFloat(act.normalizedEph)
+      : window.EnvironmentModel.normalizeEph(act.eph, act);
     
     if (isNaN(temp) || isNaN(eph)) return;
     
@@ -368,7 +371,7 @@ function calculateEnvironmentFactor(activities) {
   
   if (!coldEph || !hotEph) return '--';
   
-  // 計算影響係數（相對於常溫）
+  // 計算影響係數（相對於常溫；接近 1.0 表示表現符合環境模型預期）
   const normalEph = tempGroups.normal.count > 0 ? 
     tempGroups.normal.ephSum / tempGroups.normal.count : 4.5;
   
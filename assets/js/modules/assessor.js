@@ -28,10 +28,90 @@ document.addEventListener('DOMContentLoaded', () => {
   
   const regenerateBtn = document.getElementById('regenerateSuggestions');
   if (regenerateBtn) {
-    regenerateBtn.addEventListener('click', generateAiSuggestions);
+    regenerateBtn.addEventListener('click', generateTrainingPlan);
   }
+  
+  const addCutoffBtn = document.getElementById('addCutoffRow');
+  if (addCutoffBtn) {
+    addCutoffBtn.addEventListener('click', () => addCutoffRow());
+  }
+  
+  const importCutoffsBtn = document.getElementById('importCutoffs');
+  if (importCutoffsBtn) {
+    importCutoffsBtn.addEventListener('click', importCutoffsFromCourse);
+  }
+  
+  const courseUpload = document.getElementById('courseUpload');
+  if (courseUpload) {
+    courseUpload.addEventListener('change', handleCourseUpload);
+  }
+  
+  const pacingForm = document.getElementById('pacingForm');
+  if (pacingForm) {
+    pacingForm.addEventListener('submit', handleGeneratePacingPlan);
+  }
+  
+  const printPlanBtn = document.getElementById('printPacingPlan');
+  if (printPlanBtn) {
+    printPlanBtn.addEventListener('click', printPacingPlan);
+  }
+  
+  const savePlanBtn = document.getElementById('savePacingPlan');
+  if (savePlanBtn) {
+    savePlanBtn.addEventListener('click', savePacingPlan);
+  }
+  
+  const newRaceBtn = document.getElementById('newRace');
+  if (newRaceBtn) {
+    newRaceBtn.addEventListener('click', resetRaceForm);
+  }
+  
+  const saveRaceBtn = document.getElementById('saveRace');
+  if (saveRaceBtn) {
+    saveRaceBtn.addEventListener('click', saveRace);
+  }
+  
+  // 載入賽事庫（含配速計畫）
+  initRaceLibrary();
 });
 
+// 支援的賽道檔格式（解析器皆於沙箱內執行）
+const COURSE_FORMATS = {
+  '.gpx': { label: 'GPX', parser: () => window.gpxParser },
+  '.tcx': { label: 'TCX', parser: () => window.tcxParser },
+  '.fit': { label: 'FIT', parser: () => window.fitParser }
+};
+
+// 目前載入的賽道 { points, checkpoints, source, distance, elevation }（不持久化原始點）
+let currentCourse = null;
+
+// 最近一次產生的配速計畫
+let currentPacingPlan = null;
+
+// 目前編輯中的賽事庫項目 ID（null 為尚未保存的新賽事）
+let currentRaceId = null;
+
+// 準備度趨勢圖目前顯示的週資料（供 tooltip 取得因子明細）
+let readinessWeeks = [];
+
+// 賽道點保存上限與每場賽事保留的評估紀錄筆數
+const STORED_COURSE_MAX_POINTS = 2000;
+const RACE_ASSESSMENT_HISTORY = 100;
+
+// 關門餘裕低於此值 (分) 即標示為風險
+const CUTOFF_WARNING_MINUTES = 30;
+
+// 訓練階段顯示名稱
+const TRAINING_PHASE_LABELS = {
+  build: '建構期',
+  recovery: '恢復週',
+  peak: '巔峰期',
+  taper: '減量期'
+};
+
+// 最近一次風險評估 { race, factors }（訓練計畫依此找出弱項）
+let lastAssessment = null;
+
 /**
  * 檢查歷史數據可用性
  */
@@ -66,7 +146,11 @@ async function handleRiskAssessment(e) {
   const safeInputs = {
     distance: parseFloat(document.getElementById('raceDistance').value),
     elevation: parseFloat(document.getElementById('raceElevation').value),
-    duration: document.getElementById('raceDuration').value
+    duration: document.getElementById('raceDuration').value,
+    // 有賽道檔時使用實際下降，否則由風險模型以爬升近似
+    descent: currentCourse ? currentCourse.descent : null,
+    temperature: parseFloat(document.getElementById('raceTemperature')?.value),
+    startTime: document.getElementById('raceStartTime')?.value || null
   };
   
   // 安全驗證輸入
@@ -88,11 +172,25 @@ async function handleRiskAssessment(e) {
     // 安全計算風險
     const riskResult = calculateRisk(safeInputs, activities);
     
+    // 中途關門可行性（終點以整體關門時間計）
+    const cutoffs = [
+      ...readCutoffRows(),
+      { name: '終點', distance: safeInputs.distance, gain: safeInputs.elevation, cutoff: safeInputs.duration }
+    ];
+    const model = await loadPerformanceModel();
+    riskResult.cutoffs = assessCutoffs(cutoffs, model, riskResult.prediction.median);
+    applyCutoffRisk(riskResult, riskResult.cutoffs);
+    
     // 安全顯示結果
     displayRiskResult(riskResult);
+    displayCutoffResult(riskResult.cutoffs);
+    
+    // 記錄至賽事庫的準備度趨勢
+    await recordRaceAssessment(riskResult);
     
-    // 安全生成 AI 建議
-    generateAiSuggestions();
+    // 依弱項產生訓練計畫
+    lastAssessment = { race: safeInputs, factors: riskResult.factors };
+    generateTrainingPlan();
     
     // 安全日誌
     window.security.logSecurityEvent('RISK_ASSESSMENT_COMPLETED', { 
@@ -106,7 +204,9 @@ async function handleRiskAssessment(e) {
     
     let errorMsg = '風險評估失敗';
     if (e.message === 'INSUFFICIENT_DATA') {
-      errorMsg = '需要至少 3 次歷史活動數據';
+      errorMsg = '需要至少 3 次具實際時間的歷史活動數據';
+    } else if (e.message === 'INVALID_CUTOFF') {
+      errorMsg = '檢查點資料無效（距離需小於賽事距離，關門時間格式為 時:分:秒）';
     }
     
     window.security.renderSafeContent(
@@ -144,63 +244,80 @@ function calculateRisk(race, activities) {
   const [hours, minutes, seconds] = race.duration.split(':').map(Number);
   const cutoffHours = hours + minutes/60 + seconds/3600;
   
-  // 計算賽事 EP
-  const raceEp = race.distance + race.elevation / 100;
-  const raceEph = raceEp / cutoffHours;
+  // 計算賽事 EP（共用 EP 引擎；與歷史活動相同計入下降）
+  const raceEp = window.epEngine.calculateEp({ distance: race.distance, gain: race.elevation, loss: race.descent });
+  const raceEph = window.epEngine.calculateEph(raceEp, cutoffHours);
   
-  // 分析歷史數據
-  const longestRun = activities.reduce((max, act) => 
-    parseFloat(act.distance) > parseFloat(max.distance) ? act : max, 
-    activities[0]
+  // 由個人歷史活動擬合完賽時間（與關門時間無關）
+  const predictor = window.PerformanceModel.fitFinishPredictor(buildPredictionSamples(activities));
+  const prediction = window.PerformanceModel.predictFinish(
+    predictor, 
+    { ep: raceEp, distance: race.distance, gain: race.elevation }, 
+    cutoffHours
   );
+  const estimatedTime = formatDuration(prediction.median);
   
-  const longestElevation = activities.reduce((max, act) => 
-    parseFloat(act.elevation) > parseFloat(max.elevation) ? act : max, 
-    activities[0]
-  );
-  
-  // 計算缺口百分比
-  const distanceGap = (race.distance - longestRun.distance) / race.distance;
-  const elevationGap = (race.elevation - longestElevation.elevation) / race.elevation;
-  
-  // 時間膨脹係數（安全邊界檢查）
-  let timeFactor = 1.0;
-  if (distanceGap > 0.5) timeFactor *= 1.35;
-  if (elevationGap > 0.4) timeFactor *= 1.28;
-  
-  // 預估完賽時間
-  const estimatedHours = cutoffHours * timeFactor;
-  const estimatedTime = formatDuration(estimatedHours);
-  
-  // 計算風險等級
-  let level = 'low';
-  let sources = [];
+  // 多因子綜合風險（各因子貢獻分數一併顯示）
+  const composite = window.RiskModel.assess({
+    activities,
+    race: {
+      ep: raceEp,
+      distance: race.distance,
+      elevation: race.elevation,
+      descent: race.descent,
+      cutoffHours,
+      temperature: race.temperature,
+      startTime: race.startTime
+    },
+    prediction
+  });
   
-  if (distanceGap > 0.4) {
-    sources.push(`您的最長距離 (${longestRun.distance}km) 僅為賽事的 ${((1-distanceGap)*100).toFixed(0)}%`);
-    level = 'high';
-  }
-  
-  if (elevationGap > 0.3) {
-    sources.push(`您的最大爬升 (${longestElevation.elevation}m) 僅為賽事的 ${((1-elevationGap)*100).toFixed(0)}%`);
-    level = level === 'low' ? 'medium' : 'high';
-  }
+  // 主要風險來源：風險值過半的因子，依貢獻排序
+  const sources = composite.factors
+    .filter(factor => factor.risk >= 50)
+    .sort((a, b) => b.contribution - a.contribution)
+    .map(factor => `${factor.label}：${factor.detail}`);
   
   if (sources.length === 0) {
     sources.push('您的歷史數據顯示準備充分');
   }
   
   return {
-    level,
+    level: composite.level,
+    score: composite.score,
+    factors: composite.factors,
     sources,
     estimatedTime,
+    prediction,
+    fatigueExponent: predictor.exponent,
+    sampleCount: predictor.n,
+    cutoffHours,
     raceEp,
-    raceEph,
-    distanceGap,
-    elevationGap
+    raceEph
   };
 }
 
+/**
+ * 由保存的活動建立預測樣本（EP 以目前公式重算；預估時間的活動不納入）
+ * @param {Array} activities - 歷史活動
+ * @returns {Array} [{ ep, hours, distance, gain }]
+ */
+function buildPredictionSamples(activities) {
+  const timePattern = /^\d{1,2}:\d{2}:\d{2}$/;
+  
+  return activities
+    .filter(act => act.durationSource !== 'estimated' && timePattern.test(act.duration || ''))
+    .map(act => {
+      const [hours, minutes, seconds] = act.duration.split(':').map(Number);
+      return {
+        ep: window.epEngine.activityEp(act),
+        hours: hours + minutes/60 + seconds/3600,
+        distance: parseFloat(act.distance),
+        gain: parseFloat(act.elevation)
+      };
+    });
+}
+
 /**
  * 安全顯示風險結果
  * @param {Object} result - 風險評估結果
@@ -219,6 +336,32 @@ function displayRiskResult(result) {
     levelEl.className = `risk-level ${result.level}`;
   }
   
+  const scoreEl = document.getElementById('riskScore');
+  if (scoreEl) {
+    scoreEl.textContent = `綜合風險分數 ${result.score} / 100`;
+  }
+  
+  // 安全顯示各因子貢獻
+  const factorsBody = document.querySelector('#riskFactors tbody');
+  if (factorsBody && Array.isArray(result.factors)) {
+    factorsBody.textContent = '';
+    result.factors.forEach(factor => {
+      const row = document.createElement('tr');
+      [
+        factor.label,
+        factor.detail,
+        `${factor.risk}`,
+        `${factor.weight}%`,
+        `${factor.contribution}`
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      factorsBody.appendChild(row);
+    });
+  }
+  
   // 安全顯示風險來源
   const sourcesEl = document.getElementById('riskSources');
   if (sourcesEl) {
@@ -226,7 +369,7 @@ function displayRiskResult(result) {
     result.sources.forEach(source => {
       const li = document.createElement('li');
       // 安全開發守則強制：【防止 XSS】
-      li.textContent = window.security.sanitizeInput(source);
+      li.textContent = source;
       sourcesEl.appendChild(li);
     });
   }
@@ -236,73 +379,153 @@ function displayRiskResult(result) {
   if (timeEl) {
     timeEl.textContent = result.estimatedTime;
   }
+  
+  // 安全顯示預測區間與完賽機率
+  const intervalsEl = document.getElementById('predictionIntervals');
+  if (intervalsEl && result.prediction) {
+    intervalsEl.textContent = '';
+    [50, 80, 95].forEach(level => {
+      const [low, high] = result.prediction.intervals[level];
+      const li = document.createElement('li');
+      li.textContent = `${level}% 區間：${formatDuration(low)} – ${formatDuration(high)}`;
+      intervalsEl.appendChild(li);
+    });
+  }
+  
+  const probabilityEl = document.getElementById('finishProbability');
+  if (probabilityEl && result.prediction) {
+    probabilityEl.textContent = result.prediction.finishProbability !== null
+      ? `關門前完賽機率 ${(result.prediction.finishProbability * 100).toFixed(0)}%` +
+        `（疲勞指數 ${result.fatigueExponent.toFixed(2)}，${result.sampleCount} 筆活動擬合）`
+      : '';
+  }
 }
 
 /**
- * 安全生成 AI 建議
+ * 依最近一次風險評估產生並保存週期化訓練計畫（規則式，於本機計算）
  */
-function generateAiSuggestions() {
+async function generateTrainingPlan() {
+  const suggestionsEl = document.getElementById('suggestionsContent');
+  if (!suggestionsEl || !lastAssessment) return;
+  
   try {
-    // 安全獲取當前風險評估
-    const raceDistanceInput = document.getElementById('raceDistance');
-    const riskLevelEl = document.getElementById('riskLevel');
-    
-    if (!raceDistanceInput || !riskLevelEl || riskLevelEl.textContent === '待評估') {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const raceDate = document.getElementById('raceDate')?.value || '';
+    if (!raceDate) {
+      suggestionsEl.textContent = '輸入賽事日期後即可產生週期化訓練計畫';
       return;
     }
     
-    // 安全開發守則強制：【防禦指令注入】
-    const safeRaceDistance = window.security.sanitizeInput(raceDistanceInput.value);
+    const activities = await window.secureStorage.getItem('activities') || [];
+    const plan = window.TrainingPlan.build({
+      race: {
+        name: (document.getElementById('raceName')?.value || '').trim(),
+        date: raceDate,
+        distance: lastAssessment.race.distance,
+        elevation: lastAssessment.race.elevation,
+        descent: lastAssessment.race.descent
+      },
+      activities,
+      factors: lastAssessment.factors
+    });
     
-    // 模擬 AI 建議（實際應調用安全沙箱）
-    const suggestions = [];
-    const riskLevel = document.querySelector('.risk-level')?.className.split(' ')[1] || 'low';
+    displayTrainingPlan(plan);
     
-    if (riskLevel === 'high') {
-      const sourcesText = document.getElementById('riskSources')?.innerText || '';
-      if (sourcesText.includes('距離')) {
-        suggestions.push('✅ 長距離訓練：每週增加 10% 距離，目標達到賽事距離的 70%');
-      }
-      if (sourcesText.includes('爬升')) {
-        suggestions.push('✅ 爬坡訓練：尋找 500m+ 連續爬升路段，每週 2 次');
+    // 計畫依賽事保存，儀表板顯示 A 級賽事的計畫
+    if (currentRaceId) {
+      const races = await window.secureStorage.getItem('races') || [];
+      const race = races.find(item => item.id === currentRaceId);
+      if (race) {
+        race.trainingPlan = plan;
+        await window.secureStorage.setItem('races', races);
       }
-    } else if (riskLevel === 'medium') {
-      suggestions.push('✅ 維持當前訓練量，專注技術路段效率');
-      suggestions.push('✅ 每週 1 次模擬賽事強度的訓練');
     } else {
-      suggestions.push('✅ 您已準備充分！建議維持訓練節奏');
-      suggestions.push('✅ 關注賽前兩週的營養與睡眠');
+      const note = document.createElement('p');
+      note.textContent = '保存至賽事庫後，A 級賽事的訓練計畫會顯示於儀表板';
+      suggestionsEl.appendChild(note);
     }
     
-    // 安全顯示建議
-    const suggestionsEl = document.getElementById('suggestionsContent');
-    if (suggestionsEl) {
-      let html = '<p>AI 生成建議，請根據自身感受調整：</p><ul>';
-      
-      suggestions.forEach(suggestion => {
-        const li = document.createElement('li');
-        // 安全開發守則強制：【防止 XSS】
-        li.innerHTML = window.security.sanitizeInput(suggestion);
-        html += `<li>${window.security.sanitizeInput(suggestion)}</li>`;
-      });
-      
-      html += '</ul>';
-      window.security.renderSafeContent(suggestionsEl, html);
-    }
+    window.security.logSecurityEvent('TRAINING_PLAN_GENERATED', {
+      weeks: plan.weeks.length,
+      gaps: plan.gaps.length
+    });
   } catch (e) {
-    window.security.logSecurityEvent('AI_SUGGESTION_FAILED', { 
+    window.security.logSecurityEvent('TRAINING_PLAN_FAILED', { 
       error: e.message 
     });
-    const suggestionsEl = document.getElementById('suggestionsContent');
-    if (suggestionsEl) {
-      window.security.renderSafeContent(
-        suggestionsEl, 
-        '<div class="error">建議生成失敗，請重試</div>'
-      );
+    
+    let errorMsg = '訓練計畫產生失敗，請重試';
+    if (e.message === 'INVALID_RACE_DATE') {
+      errorMsg = `賽事日期需在 ${window.TrainingPlan.MIN_WEEKS}–${window.TrainingPlan.MAX_WEEKS} 週內`;
     }
+    window.security.renderSafeContent(
+      suggestionsEl, 
+      `<div class="error">${window.security.sanitizeInput(errorMsg)}</div>`
+    );
   }
 }
 
+/**
+ * 安全顯示訓練計畫
+ * @param {Object} plan - TrainingPlan.build 結果
+ */
+function displayTrainingPlan(plan) {
+  const suggestionsEl = document.getElementById('suggestionsContent');
+  if (!suggestionsEl) return;
+  suggestionsEl.textContent = '';
+  
+  // 安全開發守則強制：【防止 XSS】
+  const summary = document.createElement('p');
+  summary.textContent = 
+    `共 ${plan.weeks.length} 週，目前週量 ${plan.currentLoad.weeklyEp} EP，` +
+    `巔峰週目標 ${plan.peakTargetEp} EP` +
+    (plan.reachesTarget ? '' : '（依安全增幅無法在賽前達到，已以可達週量安排）');
+  suggestionsEl.appendChild(summary);
+  
+  const table = document.createElement('table');
+  table.className = 'training-plan-table';
+  const headRow = document.createElement('tr');
+  ['週次', '起始日', '階段', '目標 EP', '週距離 / 爬升', '長距離', '訓練重點'].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+  
+  const tbody = document.createElement('tbody');
+  plan.weeks.forEach(week => {
+    const row = document.createElement('tr');
+    row.className = `plan-${week.phase}`;
+    [
+      `${week.index}`,
+      week.weekStart,
+      TRAINING_PHASE_LABELS[week.phase] || week.phase,
+      `${week.targetEp}`,
+      `${week.distance} km / ${week.vertical} m`,
+      week.longRunKm > 0 ? `${week.longRunKm} km / ${week.longRunVertical} m` : '—',
+      week.focus.join('；')
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  
+  const container = document.createElement('div');
+  container.className = 'table-container';
+  container.appendChild(table);
+  suggestionsEl.appendChild(container);
+  
+  const note = document.createElement('p');
+  note.className = 'model-info';
+  note.textContent = '計畫已保存，可於個人數據中心追蹤每週進度；請依身體感受調整。';
+  suggestionsEl.appendChild(note);
+}
+
 /**
  * 安全格式化時間
  * @param {number} hours - 小時數
@@ -313,4 +536,1024 @@ function formatDuration(hours) {
   const m = Math.floor((hours - h) * 60);
   const s = Math.floor((((hours - h) * 60) - m) * 60);
   return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
-}
\ No newline at end of file
+}
+
+/**
+ * 安全處理賽道檔上傳
+ * @param {Event} e - 檔案上傳事件
+ */
+async function handleCourseUpload(e) {
+  const file = e.target.files[0];
+  const statusEl = document.getElementById('pacingStatus');
+  if (!file) return;
+  
+  try {
+    // 安全開發守則強制：【驗證副檔名 & 檔案大小】
+    const extension = Object.keys(COURSE_FORMATS).find(ext => 
+      file.name.toLowerCase().endsWith(ext)
+    );
+    if (!extension) {
+      throw new Error('INVALID_FILE_EXTENSION');
+    }
+    if (file.size > 5 * 1024 * 1024) { // 5MB
+      throw new Error('FILE_TOO_LARGE');
+    }
+    
+    const format = COURSE_FORMATS[extension];
+    const course = await format.parser().parse(file);
+    const points = window.TrackAnalysis.smoothElevation(
+      window.TrackAnalysis.flattenGpx(course), 
+      'moving-average'
+    );
+    if (points.length < 2) {
+      throw new Error('NO_TRACKPOINTS');
+    }
+    
+    const { distances } = window.TrackAnalysis.cumulative(points);
+    const totals = window.TrackAnalysis.elevationTotals(points);
+    currentCourse = {
+      points,
+      checkpoints: window.TrackAnalysis.locateWaypoints(points, course.waypoints || []),
+      source: { fileName: file.name.slice(0, 100), format: format.label },
+      distance: parseFloat(distances[distances.length - 1].toFixed(2)),
+      elevation: Math.round(totals.gain),
+      descent: Math.round(totals.loss)
+    };
+    
+    // 同步填入風險評估的賽事參數
+    document.getElementById('raceDistance').value = currentCourse.distance;
+    document.getElementById('raceElevation').value = currentCourse.elevation;
+    const nameInput = document.getElementById('raceName');
+    if (nameInput && !nameInput.value) {
+      nameInput.value = (course.tracks?.[0]?.name || course.routes?.[0]?.name || '').slice(0, 100);
+    }
+    
+    // 安全開發守則強制：【防止 XSS】
+    statusEl.textContent = 
+      `賽道 ${currentCourse.distance} km / +${currentCourse.elevation} m，` +
+      `${currentCourse.checkpoints.length} 個檢查點`;
+    statusEl.className = 'upload-status success';
+  } catch (err) {
+    window.security.logSecurityEvent('COURSE_UPLOAD_FAILED', { error: err.message });
+    currentCourse = null;
+    
+    let errorMsg = '賽道檔解析失敗';
+    if (err.message === 'INVALID_FILE_EXTENSION') {
+      errorMsg = '僅支援 .gpx / .tcx / .fit 檔案';
+    } else if (err.message === 'FILE_TOO_LARGE') {
+      errorMsg = '檔案超過 5MB 限制';
+    } else if (err.message === 'NO_TRACKPOINTS') {
+      errorMsg = '文件不含有效軌跡或路線點';
+    }
+    statusEl.textContent = errorMsg;
+    statusEl.className = 'upload-status error';
+  } finally {
+    e.target.value = ''; // 清空輸入
+  }
+}
+
+/**
+ * 安全載入個人地形表現模型（歷史活動的分段 EPH）
+ * @returns {Promise<Object>} PerformanceModel.fromSegments 結果
+ */
+async function loadPerformanceModel() {
+  const activities = await window.secureStorage.getItem('activities') || [];
+  
+  // 分段數據與軌跡一同存於 track_<id>
+  const tracks = await Promise.all(activities
+    .filter(act => act.trackId)
+    .map(act => window.secureStorage.getItem(`track_${act.trackId}`)));
+  const segments = tracks
+    .filter(track => track && Array.isArray(track.segments))
+    .flatMap(track => track.segments);
+  
+  const ephValues = activities
+    .map(act => parseFloat(act.eph))
+    .filter(eph => eph > 0);
+  const averageEph = ephValues.length > 0 
+    ? ephValues.reduce((sum, eph) => sum + eph, 0) / ephValues.length 
+    : 0;
+  
+  return window.PerformanceModel.fromSegments(segments, averageEph);
+}
+
+/**
+ * 安全產生配速計畫
+ * @param {Event} e - 表單提交事件
+ */
+async function handleGeneratePacingPlan(e) {
+  e.preventDefault();
+  const statusEl = document.getElementById('pacingStatus');
+  
+  try {
+    if (!currentCourse) {
+      throw new Error('NO_COURSE');
+    }
+    
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const targetTime = document.getElementById('targetTime').value.trim();
+    const targetEph = parseFloat(document.getElementById('targetEph').value);
+    let target;
+    if (/^\d{1,2}:\d{2}:\d{2}$/.test(targetTime)) {
+      const [hours, minutes, seconds] = targetTime.split(':').map(Number);
+      target = { hours: hours + minutes/60 + seconds/3600 };
+    } else if (targetEph >= 0.5 && targetEph <= 30) {
+      target = { eph: targetEph };
+    } else {
+      throw new Error('INVALID_TARGET');
+    }
+    
+    const model = await loadPerformanceModel();
+    const plan = window.PerformanceModel.planCourse(
+      currentCourse.points, 
+      currentCourse.checkpoints, 
+      model, 
+      target, 
+      effort => window.epEngine.calculateEp(effort)
+    );
+    
+    const startTime = document.getElementById('raceStartTime').value;
+    currentPacingPlan = {
+      ...plan,
+      target,
+      startTime: /^\d{2}:\d{2}$/.test(startTime) ? startTime : null,
+      model,
+      createdAt: new Date().toISOString()
+    };
+    
+    displayPacingPlan(currentPacingPlan);
+    statusEl.textContent = '';
+    
+    window.security.logSecurityEvent('PACING_PLAN_GENERATED', { 
+      legs: plan.legs.length, 
+      totalHours: plan.totalHours.toFixed(2) 
+    });
+  } catch (err) {
+    window.security.logSecurityEvent('PACING_PLAN_FAILED', { error: err.message });
+    
+    let errorMsg = '配速計畫產生失敗';
+    if (err.message === 'NO_COURSE') {
+      errorMsg = '請先上傳賽道檔案';
+    } else if (err.message === 'INVALID_TARGET') {
+      errorMsg = '請輸入目標完賽時間 (時:分:秒) 或 0.5–30 之間的目標 EPH';
+    } else if (err.message === 'INSUFFICIENT_COURSE') {
+      errorMsg = '賽道點數不足';
+    }
+    statusEl.textContent = errorMsg;
+    statusEl.className = 'upload-status error';
+  }
+}
+
+/**
+ * 安全顯示配速計畫
+ * @param {Object} plan - 配速計畫
+ */
+function displayPacingPlan(plan) {
+  const sectionEl = document.getElementById('pacingPlan');
+  const tableBody = document.querySelector('#pacingTable tbody');
+  if (!sectionEl || !tableBody) return;
+  
+  // 安全開發守則強制：【防止 XSS】（檢查點名稱來自使用者檔案）
+  const summaryEl = document.getElementById('pacingSummary');
+  if (summaryEl) {
+    summaryEl.textContent = 
+      `${plan.raceName ? plan.raceName + '：' : ''}` +
+      `${plan.totalDistance} km / ${plan.totalEp} EP，` +
+      `預計完賽 ${formatDuration(plan.totalHours)}` +
+      `（平均 EPH ${(plan.totalEp / plan.totalHours).toFixed(2)}）`;
+  }
+  
+  const modelEl = document.getElementById('pacingModel');
+  if (modelEl && plan.model) {
+    modelEl.textContent = 
+      `個人地形 EPH：爬坡 ${plan.model.climb.toFixed(2)}｜` +
+      `平路 ${plan.model.flat.toFixed(2)}｜下坡 ${plan.model.descent.toFixed(2)}` +
+      `（歷史樣本 ${plan.model.sampleHours.climb} / ${plan.model.sampleHours.flat} / ` +
+      `${plan.model.sampleHours.descent} 小時）`;
+  }
+  
+  tableBody.textContent = '';
+  plan.legs.forEach(leg => {
+    const row = document.createElement('tr');
+    [
+      `${leg.from} → ${leg.to}`,
+      `${leg.distance} km`,
+      `+${leg.gain} / -${leg.loss} m`,
+      formatDuration(leg.duration),
+      formatArrival(leg.arrival, plan.startTime),
+      leg.pace !== null ? formatPace(leg.pace) : '--',
+      leg.eph !== null ? leg.eph.toFixed(2) : '--'
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+  
+  sectionEl.hidden = false;
+}
+
+/**
+ * 格式化抵達時間（有起跑時間時附上時鐘時間）
+ * @param {number} hours - 累積用時
+ * @param {string|null} startTime - 起跑時間 HH:MM
+ * @returns {string} 抵達時間
+ */
+function formatArrival(hours, startTime) {
+  const elapsed = formatDuration(hours);
+  if (!startTime) return elapsed;
+  
+  const [h, m] = startTime.split(':').map(Number);
+  const totalMinutes = Math.round(h * 60 + m + hours * 60);
+  const day = Math.floor(totalMinutes / 1440);
+  const clock = `${Math.floor((totalMinutes % 1440) / 60).toString().padStart(2, '0')}:` +
+    `${(totalMinutes % 60).toString().padStart(2, '0')}`;
+  return `${elapsed}（${clock}${day > 0 ? ` +${day}天` : ''}）`;
+}
+
+/**
+ * 格式化配速
+ * @param {number} minutesPerKm - 配速 (min/km)
+ * @returns {string} m:ss /km
+ */
+function formatPace(minutesPerKm) {
+  const totalSeconds = Math.round(minutesPerKm * 60);
+  return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')} /km`;
+}
+
+/**
+ * 列印配速表（列印樣式只輸出配速計畫區塊）
+ */
+function printPacingPlan() {
+  if (!currentPacingPlan) return;
+  
+  document.body.classList.add('print-pacing-plan');
+  window.addEventListener('afterprint', () => {
+    document.body.classList.remove('print-pacing-plan');
+  }, { once: true });
+  window.print();
+}
+
+/**
+ * 安全初始化賽事庫（預設載入最近一場未開賽的賽事）
+ */
+async function initRaceLibrary() {
+  try {
+    const races = await window.secureStorage.getItem('races') || [];
+    renderRaceList(races);
+    
+    const today = new Date().toISOString().slice(0, 10);
+    const upcoming = races
+      .filter(race => race.date && race.date >= today)
+      .sort((a, b) => a.date.localeCompare(b.date))[0];
+    if (upcoming) {
+      selectRace(upcoming.id, races);
+    }
+  } catch (e) {
+    window.security.logSecurityEvent('RACE_LIBRARY_LOAD_FAILED', { error: e.message });
+  }
+}
+
+/**
+ * 安全顯示賽事庫（倒數天數與準備度趨勢）
+ * @param {Array} races - 賽事列表
+ */
+function renderRaceList(races) {
+  const listEl = document.getElementById('raceList');
+  if (!listEl) return;
+  
+  if (races.length === 0) {
+    window.security.renderSafeContent(
+      listEl, 
+      '<div class="empty-state">尚無保存的賽事</div>'
+    );
+    return;
+  }
+  
+  listEl.textContent = '';
+  [...races]
+    .sort((a, b) => (a.date || '9999').localeCompare(b.date || '9999'))
+    .forEach(race => {
+      // 安全開發守則強制：【防止 XSS】（賽事名稱為使用者輸入）
+      const item = document.createElement('div');
+      item.className = race.id === currentRaceId ? 'race-item selected' : 'race-item';
+      
+      const header = document.createElement('div');
+      header.className = 'race-header';
+      const name = document.createElement('span');
+      name.className = 'race-name';
+      name.textContent = race.name;
+      const priority = document.createElement('span');
+      priority.className = `race-priority priority-${race.priority}`;
+      priority.textContent = `${race.priority} 賽`;
+      header.appendChild(name);
+      header.appendChild(priority);
+      item.appendChild(header);
+      
+      const details = document.createElement('div');
+      details.className = 'race-details';
+      details.textContent = 
+        `${race.date || '未定日期'}（${formatCountdown(race.date)}）・` +
+        `${race.distance} km / +${race.elevation} m` +
+        (race.cutoff ? `・關門 ${race.cutoff}` : '') +
+        (race.course ? `・賽道 ${race.course.source.fileName}` : '');
+      item.appendChild(details);
+      
+      const trend = document.createElement('div');
+      trend.className = 'race-trend';
+      trend.textContent = formatReadinessTrend(race.assessments || []);
+      item.appendChild(trend);
+      
+      const actions = document.createElement('div');
+      actions.className = 'race-actions';
+      [
+        { label: '編輯', handler: () => selectRace(race.id) },
+        { label: '評估風險', handler: () => assessRace(race.id) },
+        { label: '刪除', handler: () => deleteRace(race.id) }
+      ].forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = action.label;
+        button.addEventListener('click', action.handler);
+        actions.appendChild(button);
+      });
+      item.appendChild(actions);
+      
+      listEl.appendChild(item);
+    });
+}
+
+/**
+ * 倒數天數文字
+ * @param {string|null} date - YYYY-MM-DD
+ * @returns {string} 倒數說明
+ */
+function formatCountdown(date) {
+  if (!date) return '尚未設定日期';
+  
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const days = Math.round((new Date(`${date}T00:00:00`) - today) / (24 * 60 * 60 * 1000));
+  if (days > 0) return `倒數 ${days} 天`;
+  if (days === 0) return '今天比賽';
+  return '已結束';
+}
+
+/**
+ * 準備度趨勢文字（準備度 = 100 − 綜合風險分數，顯示最近 5 次）
+ * @param {Array} assessments - [{ date, score, level, finishProbability }]
+ * @returns {string} 趨勢說明
+ */
+function formatReadinessTrend(assessments) {
+  if (assessments.length === 0) return '尚未評估';
+  
+  const recent = assessments.slice(-5).map(item => 100 - item.score);
+  let text = `準備度 ${recent.join(' → ')}`;
+  if (recent.length > 1) {
+    const change = recent[recent.length - 1] - recent[0];
+    text += change > 0 ? `（↑ ${change}）` : change < 0 ? `（↓ ${-change}）` : '（持平）';
+  }
+  return text;
+}
+
+/**
+ * 安全載入賽事至表單（編輯 / 評估用）
+ * @param {string} raceId - 賽事 ID
+ * @param {Array} races - 賽事列表（未提供時由儲存讀取）
+ */
+async function selectRace(raceId, races) {
+  try {
+    const list = races || await window.secureStorage.getItem('races') || [];
+    const race = list.find(item => item.id === raceId);
+    if (!race) return;
+    
+    resetRaceForm();
+    currentRaceId = race.id;
+    
+    document.getElementById('raceName').value = race.name || '';
+    document.getElementById('racePriority').value = race.priority || 'A';
+    document.getElementById('raceDate').value = race.date || '';
+    document.getElementById('raceDistance').value = race.distance;
+    document.getElementById('raceElevation').value = race.elevation;
+    document.getElementById('raceDuration').value = race.cutoff || '';
+    (race.cutoffs || []).forEach(cp => addCutoffRow(cp));
+    
+    // 有保存軌跡點時還原賽道，可重新產生配速計畫
+    if (race.course && Array.isArray(race.course.points) && race.course.points.length >= 2) {
+      currentCourse = {
+        points: race.course.points,
+        checkpoints: race.course.checkpoints || [],
+        source: race.course.source,
+        distance: race.distance,
+        elevation: race.elevation,
+        descent: race.descent
+      };
+      const statusEl = document.getElementById('pacingStatus');
+      statusEl.textContent = `已載入賽道 ${race.course.source.fileName}`;
+      statusEl.className = 'upload-status success';
+    }
+    
+    if (race.pacingPlan) {
+      currentPacingPlan = race.pacingPlan;
+      displayPacingPlan(race.pacingPlan);
+    }
+    
+    renderRaceList(list);
+    renderReadinessChart(race);
+  } catch (e) {
+    window.security.logSecurityEvent('RACE_SELECT_FAILED', { error: e.message });
+  }
+}
+
+/**
+ * 清空表單以新增賽事
+ */
+function resetRaceForm() {
+  currentRaceId = null;
+  currentCourse = null;
+  currentPacingPlan = null;
+  lastAssessment = null;
+  
+  document.getElementById('raceForm').reset();
+  document.getElementById('pacingForm').reset();
+  const cutoffBody = document.querySelector('#cutoffTable tbody');
+  if (cutoffBody) cutoffBody.textContent = '';
+  
+  document.getElementById('pacingPlan').hidden = true;
+  document.getElementById('riskResult').hidden = true;
+  renderReadinessChart(null);
+  ['pacingStatus', 'raceStatus'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) {
+      el.textContent = '';
+      el.className = 'upload-status';
+    }
+  });
+}
+
+/**
+ * 安全保存目前表單至賽事庫（新增或更新；含賽道與配速計畫）
+ * @returns {Promise<boolean>} 是否保存成功
+ */
+async function saveRace() {
+  const statusEl = document.getElementById('raceStatus');
+  
+  try {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const name = (document.getElementById('raceName').value || '').trim().slice(0, 100);
+    const priority = document.getElementById('racePriority').value;
+    const date = document.getElementById('raceDate').value || null;
+    const distance = parseFloat(document.getElementById('raceDistance').value);
+    const elevation = parseFloat(document.getElementById('raceElevation').value);
+    const cutoff = document.getElementById('raceDuration').value.trim() || null;
+    
+    if (!['A', 'B', 'C'].includes(priority) ||
+        (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) ||
+        !(distance >= 5) || !(elevation >= 0) ||
+        (cutoff && !/^\d{1,2}:\d{2}:\d{2}$/.test(cutoff))) {
+      throw new Error('INVALID_RACE');
+    }
+    
+    const races = await window.secureStorage.getItem('races') || [];
+    const existing = races.find(race => race.id === currentRaceId);
+    const now = new Date().toISOString();
+    
+    // 賽道點簡化後保存，避免儲存空間膨脹
+    const course = currentCourse
+      ? {
+          source: currentCourse.source,
+          checkpoints: currentCourse.checkpoints,
+          points: window.TrackAnalysis.simplifyTrack(currentCourse.points, 5, STORED_COURSE_MAX_POINTS),
+          profile: window.TrackAnalysis.buildProfile(currentCourse.points)
+        }
+      : existing ? existing.course : null;
+    
+    const race = {
+      id: existing ? existing.id : `race_${Date.now()}`,
+      name: name || currentCourse?.source.fileName || '未命名賽事',
+      priority,
+      date,
+      distance,
+      elevation,
+      descent: currentCourse ? currentCourse.descent : existing ? existing.descent : null,
+      cutoff,
+      cutoffs: readCutoffRows(),
+      course,
+      pacingPlan: currentPacingPlan ? { ...currentPacingPlan, raceName: name || null } : null,
+      assessments: existing ? existing.assessments : [],
+      trainingPlan: existing ? existing.trainingPlan || null : null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    
+    const updated = existing
+      ? races.map(item => item.id === race.id ? race : item)
+      : [...races, race];
+    await window.secureStorage.setItem('races', updated);
+    currentRaceId = race.id;
+    renderRaceList(updated);
+    
+    statusEl.textContent = existing ? '賽事已更新' : '賽事已加入賽事庫';
+    statusEl.className = 'upload-status success';
+    window.security.logSecurityEvent('RACE_SAVED', { 
+      raceCount: updated.length, 
+      hasCourse: !!race.course,
+      hasPacingPlan: !!race.pacingPlan
+    });
+    return true;
+  } catch (err) {
+    window.security.logSecurityEvent('RACE_SAVE_FAILED', { error: err.message });
+    
+    let errorMsg = '保存失敗，請重試！';
+    if (err.message === 'INVALID_RACE') {
+      errorMsg = '請輸入有效的賽事參數（距離至少 5 km，關門時間格式為 時:分:秒）';
+    } else if (err.message === 'INVALID_CUTOFF') {
+      errorMsg = '檢查點資料無效（距離需小於賽事距離，關門時間格式為 時:分:秒）';
+    }
+    statusEl.textContent = errorMsg;
+    statusEl.className = 'upload-status error';
+    return false;
+  }
+}
+
+/**
+ * 安全保存配速計畫（連同賽事一併保存至賽事庫）
+ */
+async function savePacingPlan() {
+  const statusEl = document.getElementById('pacingStatus');
+  if (!currentPacingPlan) return;
+  
+  if (await saveRace()) {
+    statusEl.textContent = '配速計畫已保存至賽事';
+    statusEl.className = 'upload-status success';
+    window.security.logSecurityEvent('PACING_PLAN_SAVED', { legs: currentPacingPlan.legs.length });
+  }
+}
+
+/**
+ * 安全刪除賽事
+ * @param {string} raceId - 賽事 ID
+ */
+async function deleteRace(raceId) {
+  try {
+    const races = await window.secureStorage.getItem('races') || [];
+    const race = races.find(item => item.id === raceId);
+    if (!race || !confirm(`確定刪除賽事「${race.name}」？`)) return;
+    
+    const updated = races.filter(item => item.id !== raceId);
+    await window.secureStorage.setItem('races', updated);
+    if (currentRaceId === raceId) {
+      resetRaceForm();
+    }
+    renderRaceList(updated);
+    
+    window.security.logSecurityEvent('RACE_DELETED', { raceCount: updated.length });
+  } catch (e) {
+    window.security.logSecurityEvent('RACE_DELETE_FAILED', { error: e.message });
+  }
+}
+
+/**
+ * 載入賽事並執行風險評估
+ * @param {string} raceId - 賽事 ID
+ */
+async function assessRace(raceId) {
+  await selectRace(raceId);
+  const raceForm = document.getElementById('raceForm');
+  if (currentRaceId === raceId && raceForm) {
+    raceForm.requestSubmit();
+  }
+}
+
+/**
+ * 安全記錄評估快照至目前賽事（風險分數、預估時間與因子明細）
+ * @param {Object} riskResult - 風險評估結果
+ */
+async function recordRaceAssessment(riskResult) {
+  if (!currentRaceId) {
+    const statusEl = document.getElementById('raceStatus');
+    statusEl.textContent = '保存至賽事庫後，評估結果會記錄於準備度趨勢';
+    statusEl.className = 'upload-status';
+    return;
+  }
+  
+  try {
+    const races = await window.secureStorage.getItem('races') || [];
+    const race = races.find(item => item.id === currentRaceId);
+    if (!race) return;
+    
+    const prediction = riskResult.prediction;
+    race.assessments = [
+      ...(race.assessments || []),
+      {
+        date: new Date().toISOString(),
+        score: riskResult.score,
+        readiness: 100 - riskResult.score,
+        level: riskResult.level,
+        estimatedHours: prediction ? parseFloat(prediction.median.toFixed(3)) : null,
+        interval80: prediction ? prediction.intervals[80].map(h => parseFloat(h.toFixed(3))) : null,
+        finishProbability: prediction ? prediction.finishProbability : null,
+        cutoffHours: riskResult.cutoffHours,
+        factors: riskResult.factors.map(factor => ({
+          id: factor.id,
+          label: factor.label,
+          risk: factor.risk,
+          contribution: factor.contribution
+        }))
+      }
+    ].slice(-RACE_ASSESSMENT_HISTORY);
+    
+    await window.secureStorage.setItem('races', races);
+    renderRaceList(races);
+    renderReadinessChart(race);
+  } catch (e) {
+    window.security.logSecurityEvent('RACE_ASSESSMENT_RECORD_FAILED', { error: e.message });
+  }
+}
+
+/**
+ * 依週彙整評估快照（每週取最後一次評估）
+ * @param {Array} assessments - 評估快照
+ * @param {string|null} raceDate - 賽事日期 YYYY-MM-DD
+ * @returns {Array} [{ weekStart, weeksToRace, snapshot }]（依時間排序）
+ */
+function weeklyReadiness(assessments, raceDate) {
+  const weekMs = 7 * 24 * 60 * 60 * 1000;
+  const raceDay = raceDate ? new Date(`${raceDate}T00:00:00`) : null;
+  const weeks = new Map();
+  
+  assessments.forEach(snapshot => {
+    const date = new Date(snapshot.date);
+    if (isNaN(date.getTime())) return;
+    
+    // 週一為每週起始
+    const weekStart = new Date(date);
+    weekStart.setHours(0, 0, 0, 0);
+    weekStart.setDate(weekStart.getDate() - (weekStart.getDay() + 6) % 7);
+    const key = weekStart.getTime();
+    
+    const existing = weeks.get(key);
+    if (!existing || new Date(existing.snapshot.date) <= date) {
+      weeks.set(key, {
+        weekStart,
+        weeksToRace: raceDay ? Math.ceil((raceDay - weekStart) / weekMs) : null,
+        snapshot
+      });
+    }
+  });
+  
+  return [...weeks.values()].sort((a, b) => a.weekStart - b.weekStart);
+}
+
+/**
+ * 安全繪製賽事準備度趨勢（準備度與預估完賽時間 vs 關門時間）
+ * @param {Object|null} race - 賽事庫項目；null 時隱藏
+ */
+function renderReadinessChart(race) {
+  const sectionEl = document.getElementById('readinessTrend');
+  const chartEl = document.getElementById('readinessChart');
+  if (!sectionEl || !chartEl) return;
+  
+  const weeks = race ? weeklyReadiness(race.assessments || [], race.date) : [];
+  if (weeks.length === 0 || typeof Chart === 'undefined') {
+    sectionEl.hidden = true;
+    return;
+  }
+  sectionEl.hidden = false;
+  
+  const labels = weeks.map(week => {
+    const date = `${week.weekStart.getMonth() + 1}/${week.weekStart.getDate()}`;
+    return week.weeksToRace !== null && week.weeksToRace >= 0 ? `${date}（賽前 ${week.weeksToRace} 週）` : date;
+  });
+  const readiness = weeks.map(week => week.snapshot.readiness ?? 100 - week.snapshot.score);
+  const estimated = weeks.map(week => week.snapshot.estimatedHours ?? null);
+  const cutoff = weeks.map(week => week.snapshot.cutoffHours ?? null);
+  
+  // 安全開發守則強制：【防止 XSS】（圖表以 Canvas 繪製，標籤不進入 DOM）
+  if (!window.readinessChart) {
+    window.readinessChart = new Chart(chartEl.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [
+          {
+            label: '準備度 (100 − 風險分數)',
+            data: [],
+            borderColor: '#2E7D32',
+            backgroundColor: 'rgba(46, 125, 50, 0.1)',
+            fill: true,
+            tension: 0.2,
+            yAxisID: 'y'
+          },
+          {
+            label: '預估完賽 (小時)',
+            data: [],
+            borderColor: '#1976D2',
+            tension: 0.2,
+            yAxisID: 'y1'
+          },
+          {
+            label: '關門時間 (小時)',
+            data: [],
+            borderColor: '#C62828',
+            borderDash: [6, 4],
+            pointRadius: 0,
+            yAxisID: 'y1'
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: {
+          mode: 'index',
+          intersect: false
+        },
+        plugins: {
+          legend: { position: 'top' },
+          tooltip: {
+            callbacks: {
+              label: item => item.datasetIndex === 0
+                ? `準備度 ${item.parsed.y}`
+                : `${item.dataset.label.split(' ')[0]} ${formatDuration(item.parsed.y)}`,
+              // 該週風險貢獻最高的三個因子
+              footer: items => {
+                const week = readinessWeeks[items[0].dataIndex];
+                return (week.snapshot.factors || [])
+                  .slice()
+                  .sort((a, b) => b.contribution - a.contribution)
+                  .slice(0, 3)
+                  .map(factor => `${factor.label}：${factor.contribution}`);
+              }
+            }
+          }
+        },
+        scales: {
+          y: {
+            min: 0,
+            max: 100,
+            title: { display: true, text: '準備度' }
+          },
+          y1: {
+            position: 'right',
+            beginAtZero: false,
+            grid: { drawOnChartArea: false },
+            title: { display: true, text: '小時' }
+          }
+        }
+      }
+    });
+  }
+  
+  readinessWeeks = weeks;
+  window.readinessChart.data.labels = labels;
+  window.readinessChart.data.datasets[0].data = readiness;
+  window.readinessChart.data.datasets[1].data = estimated;
+  window.readinessChart.data.datasets[2].data = cutoff;
+  window.readinessChart.update();
+  
+  // 與第一週相比的變化（是否逐步縮小差距）
+  const summaryEl = document.getElementById('readinessSummary');
+  if (summaryEl) {
+    const first = weeks[0].snapshot;
+    const last = weeks[weeks.length - 1].snapshot;
+    const change = readiness[readiness.length - 1] - readiness[0];
+    let text = `共 ${weeks.length} 週評估，準備度 ${readiness[0]} → ${readiness[readiness.length - 1]}` +
+      (change > 0 ? `（↑ ${change}）` : change < 0 ? `（↓ ${-change}）` : '（持平）');
+    if (last.estimatedHours && last.cutoffHours) {
+      const margin = (last.cutoffHours - last.estimatedHours) * 60;
+      text += margin >= 0
+        ? `；最新預估較關門時間快 ${Math.round(margin)} 分鐘`
+        : `；最新預估仍超出關門時間 ${Math.round(-margin)} 分鐘`;
+      if (first !== last && first.estimatedHours) {
+        const gained = (first.estimatedHours - last.estimatedHours) * 60;
+        text += `（較首週${gained >= 0 ? '縮短' : '增加'} ${Math.abs(Math.round(gained))} 分鐘）`;
+      }
+    }
+    summaryEl.textContent = text;
+  }
+}
+
+/**
+ * 新增關門檢查點列
+ * @param {Object} checkpoint - { name, distance, gain, cutoff }
+ */
+function addCutoffRow(checkpoint = {}) {
+  const tableBody = document.querySelector('#cutoffTable tbody');
+  if (!tableBody) return;
+  
+  const row = document.createElement('tr');
+  const fields = [
+    { className: 'cutoff-name', type: 'text', value: checkpoint.name, attrs: { maxlength: 50 } },
+    { className: 'cutoff-distance', type: 'number', value: checkpoint.distance, attrs: { min: 0, step: 0.1 } },
+    { className: 'cutoff-gain', type: 'number', value: checkpoint.gain, attrs: { min: 0, step: 1 } },
+    { className: 'cutoff-time', type: 'text', value: checkpoint.cutoff, attrs: { placeholder: '05:30:00' } }
+  ];
+  
+  // 安全開發守則強制：【防止 XSS】（以 DOM API 建立，值來自使用者檔案）
+  fields.forEach(field => {
+    const cell = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = field.type;
+    input.className = field.className;
+    Object.entries(field.attrs).forEach(([name, value]) => input.setAttribute(name, value));
+    if (field.value !== undefined && field.value !== null) {
+      input.value = field.value;
+    }
+    cell.appendChild(input);
+    row.appendChild(cell);
+  });
+  
+  const actionCell = document.createElement('td');
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.textContent = '刪除';
+  removeBtn.addEventListener('click', () => row.remove());
+  actionCell.appendChild(removeBtn);
+  row.appendChild(actionCell);
+  
+  tableBody.appendChild(row);
+}
+
+/**
+ * 安全讀取關門檢查點（空白列略過，無效列拋出錯誤）
+ * @returns {Array} [{ name, distance, gain, cutoff }]（依距離排序）
+ */
+function readCutoffRows() {
+  const rows = Array.from(document.querySelectorAll('#cutoffTable tbody tr'));
+  const raceDistance = parseFloat(document.getElementById('raceDistance').value);
+  const timePattern = /^\d{1,2}:\d{2}:\d{2}$/;
+  
+  return rows.map(row => {
+    const value = className => row.querySelector(`.${className}`).value.trim();
+    return {
+      name: value('cutoff-name').slice(0, 50),
+      distance: value('cutoff-distance'),
+      gain: value('cutoff-gain'),
+      cutoff: value('cutoff-time')
+    };
+  }).filter(cp => cp.name || cp.distance || cp.gain || cp.cutoff).map((cp, i) => {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const distance = parseFloat(cp.distance);
+    const gain = cp.gain === '' ? 0 : parseFloat(cp.gain);
+    if (isNaN(distance) || distance <= 0 || distance >= raceDistance) throw new Error('INVALID_CUTOFF');
+    if (isNaN(gain) || gain < 0) throw new Error('INVALID_CUTOFF');
+    if (!timePattern.test(cp.cutoff)) throw new Error('INVALID_CUTOFF');
+    
+    return { name: cp.name || `CP${i + 1}`, distance, gain, cutoff: cp.cutoff };
+  }).sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * 由航點文字解析關門時間（如「關門 05:30」「cut-off 5:30:00」）
+ * @param {string} text - 航點名稱 / 說明
+ * @returns {string|null} HH:MM:SS
+ */
+function parseCutoffText(text) {
+  const match = /(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(text || '');
+  if (!match) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}:${match[3] || '00'}`;
+}
+
+/**
+ * 從已上傳的賽道檔匯入檢查點（距離與累積爬升取自軌跡定位）
+ */
+function importCutoffsFromCourse() {
+  const statusEl = document.getElementById('pacingStatus');
+  if (!currentCourse || currentCourse.checkpoints.length === 0) {
+    statusEl.textContent = '請先於下方上傳含航點的賽道檔案';
+    statusEl.className = 'upload-status error';
+    return;
+  }
+  
+  const tableBody = document.querySelector('#cutoffTable tbody');
+  tableBody.textContent = '';
+  currentCourse.checkpoints
+    .filter(cp => cp.distance > 0 && cp.distance < currentCourse.distance)
+    .forEach(cp => addCutoffRow({
+      name: cp.name,
+      distance: cp.distance,
+      gain: cp.gain,
+      cutoff: parseCutoffText(cp.desc) || parseCutoffText(cp.name)
+    }));
+}
+
+/**
+ * 預測各檢查點抵達時間並計算關門餘裕
+ * 終點抵達時間即預估完賽時間；有賽道軌跡時依地形模型分配各段時間，否則依各檢查點的 EP 比例分配。
+ * @param {Array} cutoffs - [{ name, distance, gain, cutoff }]（最後一筆為終點）
+ * @param {Object} model - PerformanceModel.fromSegments 結果
+ * @param {number} finishHours - 預估完賽時間（predictFinish 的 median）
+ * @returns {Array} [{ name, distance, arrival (h), cutoff (h), marginMinutes, status }]
+ */
+function assessCutoffs(cutoffs, model, finishHours) {
+  let legs = null;
+  if (currentCourse) {
+    legs = window.PerformanceModel.planCourse(
+      currentCourse.points, 
+      cutoffs, 
+      model, 
+      { hours: finishHours }, 
+      effort => window.epEngine.calculateEp(effort)
+    ).legs;
+  }
+  
+  const finish = cutoffs[cutoffs.length - 1];
+  const finishEp = window.epEngine.calculateEp({ distance: finish.distance, gain: finish.gain });
+  
+  return cutoffs.map(cp => {
+    let arrival;
+    if (legs) {
+      const leg = legs.reduce((best, candidate) => 
+        Math.abs(candidate.endKm - cp.distance) < Math.abs(best.endKm - cp.distance) ? candidate : best
+      );
+      arrival = leg.arrival;
+    } else {
+      const ep = window.epEngine.calculateEp({ distance: cp.distance, gain: cp.gain });
+      arrival = finishHours * ep / finishEp;
+    }
+    
+    const [hours, minutes, seconds] = cp.cutoff.split(':').map(Number);
+    const cutoffHours = hours + minutes/60 + seconds/3600;
+    const marginMinutes = Math.round((cutoffHours - arrival) * 60);
+    
+    return {
+      name: cp.name,
+      distance: cp.distance,
+      arrival,
+      cutoff: cutoffHours,
+      marginMinutes,
+      status: marginMinutes < 0 ? 'missed' : marginMinutes < CUTOFF_WARNING_MINUTES ? 'risk' : 'safe'
+    };
+  });
+}
+
+/**
+ * 依關門可行性提高整體風險等級
+ * @param {Object} riskResult - calculateRisk 結果（就地更新）
+ * @param {Array} cutoffResults - assessCutoffs 結果
+ */
+function applyCutoffRisk(riskResult, cutoffResults) {
+  const missed = cutoffResults.filter(cp => cp.status === 'missed');
+  const atRisk = cutoffResults.filter(cp => cp.status === 'risk');
+  
+  if (missed.length > 0) {
+    riskResult.level = 'high';
+    riskResult.sources.push(
+      `預計無法在關門前抵達：${missed.map(cp => cp.name).join('、')}`
+    );
+  } else if (atRisk.length > 0) {
+    if (riskResult.level === 'low') riskResult.level = 'medium';
+    riskResult.sources.push(
+      `關門餘裕不足 ${CUTOFF_WARNING_MINUTES} 分鐘：${atRisk.map(cp => cp.name).join('、')}`
+    );
+  }
+  
+  // 風險已由關門分析說明時，移除「準備充分」的預設訊息
+  if (missed.length > 0 || atRisk.length > 0) {
+    riskResult.sources = riskResult.sources.filter(source => source !== '您的歷史數據顯示準備充分');
+  }
+}
+
+/**
+ * 安全顯示關門可行性
+ * @param {Array} cutoffResults - assessCutoffs 結果
+ */
+function displayCutoffResult(cutoffResults) {
+  const sectionEl = document.getElementById('cutoffResult');
+  const tableBody = document.querySelector('#cutoffResultTable tbody');
+  if (!sectionEl || !tableBody) return;
+  
+  const basisEl = document.getElementById('cutoffBasis');
+  if (basisEl) {
+    basisEl.textContent = currentCourse 
+      ? `依預估完賽時間與個人地形 EPH 逐段分配（${currentCourse.source.fileName}）` 
+      : '依預估完賽時間按各檢查點 EP 比例推算（上傳賽道檔可依地形逐段推算）';
+  }
+  
+  const statusLabels = { missed: '無法達標', risk: '風險', safe: '安全' };
+  
+  // 安全開發守則強制：【防止 XSS】
+  tableBody.textContent = '';
+  cutoffResults.forEach(cp => {
+    const row = document.createElement('tr');
+    row.className = `cutoff-${cp.status}`;
+    [
+      cp.name,
+      `${cp.distance} km`,
+      formatDuration(cp.arrival),
+      formatDuration(cp.cutoff),
+      cp.marginMinutes > 0 ? `+${cp.marginMinutes}` : `${cp.marginMinutes}`,
+      statusLabels[cp.status]
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+  
+  sectionEl.hidden = false;
+}
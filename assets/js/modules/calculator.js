@@ -23,6 +23,21 @@ document.addEventListener('DOMContentLoaded', () => {
     gpxUpload.addEventListener('change', handleGpxUpload);
   }
   
+  const smoothingSelect = document.getElementById('elevationSmoothing');
+  if (smoothingSelect) {
+    smoothingSelect.addEventListener('change', handleSmoothingChange);
+  }
+  
+  const mapColorSelect = document.getElementById('mapColorMode');
+  if (mapColorSelect) {
+    mapColorSelect.addEventListener('change', handleMapColorChange);
+  }
+  
+  const epProfileSelect = document.getElementById('epProfile');
+  if (epProfileSelect) {
+    epProfileSelect.addEventListener('change', handleEpProfileChange);
+  }
+  
   const saveActivityBtn = document.getElementById('saveActivity');
   if (saveActivityBtn) {
     saveActivityBtn.addEventListener('click', saveActivity);
@@ -34,6 +49,34 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 });
 
+// 自動暫停速度閾值 (km/h)：低於此速度視為停止
+const AUTO_PAUSE_SPEED_KMH = 1.0;
+
+// 無時間戳 GPX 的預估配速 (min/km)
+const ESTIMATED_PACE_MIN_PER_KM = 8;
+
+// 預設海拔平滑方法
+const DEFAULT_ELEVATION_METHOD = 'moving-average';
+
+// 最近一次解析的軌跡 { points, gpx, source }（重新計算與保存軌跡用，不持久化）
+let lastParsedTrack = null;
+
+// 保存軌跡的最大點數（簡化後）
+const STORED_TRACK_MAX_POINTS = 2000;
+
+// 保存的圈數上限（TCX / FIT 的 Lap）
+const MAX_LAPS = 200;
+
+// 賽道地圖（與海拔圖表滑鼠聯動）
+let courseMap = null;
+
+// 支援的活動檔格式（解析器皆於沙箱內執行）
+const ACTIVITY_FORMATS = {
+  '.gpx': { label: 'GPX', parser: () => window.gpxParser },
+  '.tcx': { label: 'TCX', parser: () => window.tcxParser },
+  '.fit': { label: 'FIT', parser: () => window.fitParser }
+};
+
 /**
  * 安全初始化計算器
  */
@@ -47,6 +90,12 @@ function initCalculator() {
     // 初始化海拔圖表
     initElevationChart();
     
+    // 初始化賽道地圖（地圖滑鼠位置同步至海拔圖表）
+    courseMap = new window.CourseMap('courseMap', { onHover: highlightElevationAt });
+    
+    // 初始化 EP 公式選單
+    initEpProfileSelect();
+    
     // 檢查是否有上次計算結果
     window.secureStorage.getItem('lastCalculation').then(result => {
       if (result) {
@@ -77,7 +126,7 @@ function handleManualSubmit(e) {
     distance: parseFloat(document.getElementById('distance').value),
     elevation: parseFloat(document.getElementById('elevation').value),
     duration: document.getElementById('duration').value,
-    temperature: document.getElementById('temperature').value || 25
+    ...readEnvironmentInputs()
   };
   
   // 安全驗證輸入
@@ -121,27 +170,63 @@ function calculateEph(inputs) {
   const [hours, minutes, seconds] = inputs.duration.split(':').map(Number);
   const totalTime = hours + minutes/60 + seconds/3600;
   
-  // 基礎 EP 計算
-  const ep = inputs.distance + inputs.elevation / 100;
-  let eph = ep / totalTime;
-  
-  // 溫度補償 (安全邊界檢查)
-  const temp = parseFloat(inputs.temperature);
-  if (!isNaN(temp) && temp >= -20 && temp <= 50) {
-    eph = eph * (1 + (temp - 25) * 0.01);
-  }
+  // 基礎 EP 計算（共用 EP 引擎，依使用者選擇的公式）
+  const epProfile = window.epEngine.getProfile().id;
+  const ep = window.epEngine.calculateEp({ distance: inputs.distance, gain: inputs.elevation }, epProfile);
+  const eph = window.epEngine.calculateEph(ep, totalTime);
   
   return {
     distance: inputs.distance,
     elevation: inputs.elevation,
     duration: inputs.duration,
-    temperature: inputs.temperature,
     ep: ep.toFixed(2),
     eph: eph.toFixed(2),
+    ...assessEnvironment(eph, inputs),
+    epProfile,
     timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * 安全讀取環境輸入（空白欄位為 null，交由環境模型驗證）
+ * @returns {Object} { temperature, humidity, altitude, wind }
+ */
+function readEnvironmentInputs() {
+  const read = id => {
+    const el = document.getElementById(id);
+    return el && el.value !== '' ? el.value : null;
+  };
+  
+  return {
+    temperature: read('temperature'),
+    humidity: read('humidity'),
+    altitude: read('altitude'),
+    wind: read('wind')
+  };
+}
+
+/**
+ * 安全評估環境影響（高溫 / 濕度 / 寒冷 / 海拔）
+ * @param {number} eph - 原始 EPH
+ * @param {Object} inputs - 環境輸入
+ * @returns {Object} 環境條件、標準化 EPH 與各項懲罰
+ */
+function assessEnvironment(eph, inputs) {
+  const assessment = window.EnvironmentModel.assess(inputs);
+  
+  return {
+    ...assessment.conditions,
+    normalizedEph: isNaN(eph) ? null : (eph * assessment.factor).toFixed(2),
+    environment: {
+      heatIndex: assessment.heatIndex,
+      wbgt: assessment.wbgt,
+      windChill: assessment.windChill,
+      penalties: assessment.penalties,
+      factor: Math.round(assessment.factor * 1000) / 1000
+    }
+  };
+}
+
 /**
  * 安全顯示結果
  * @param {Object} result - 計算結果
@@ -153,9 +238,27 @@ function displayResult(result) {
     ephValueEl.textContent = result.eph;
   }
   
+  // 安全顯示時間來源
+  displayDurationInfo(result);
+  
+  // 安全顯示環境標準化 EPH
+  displayEnvironmentInfo(result);
+  
   // 安全更新海拔圖表
   updateElevationChart(result);
   
+  // 安全更新賽道地圖
+  updateCourseMap(result);
+  
+  // 安全顯示檢查點（GPX 航點）
+  displayCheckpoints(result.checkpoints);
+  
+  // 安全顯示分段 EPH
+  displaySegments(result.segments);
+  
+  // 安全顯示圈數（TCX / FIT）
+  displayLaps(result.laps);
+  
   // 安全顯示結果區塊
   const resultSection = document.getElementById('calculationResult');
   if (resultSection) {
@@ -168,6 +271,171 @@ function displayResult(result) {
   });
 }
 
+/**
+ * 安全顯示時間資訊（實際 / 移動 / 預估）
+ * @param {Object} result - 計算結果
+ */
+function displayDurationInfo(result) {
+  const durationInfoEl = document.getElementById('durationInfo');
+  if (!durationInfoEl) return;
+  
+  // 安全開發守則強制：【防止 XSS】
+  if (result.durationSource === 'estimated') {
+    durationInfoEl.textContent = 
+      `⚠️ 預估時間 ${result.duration}（檔案無時間戳，以 ${ESTIMATED_PACE_MIN_PER_KM} min/km 推算，EPH 僅供參考）`;
+    durationInfoEl.className = 'duration-info warning';
+  } else if (result.durationSource === 'gpx') {
+    const moving = result.movingTime ? `｜移動時間 ${result.movingTime}` : '';
+    const movingEph = result.movingEph ? `（移動 EPH ${result.movingEph}）` : '';
+    const heartRate = result.avgHeartRate ? `｜平均心率 ${result.avgHeartRate} bpm` : '';
+    const cadence = result.avgCadence ? `｜平均步頻 ${result.avgCadence} spm` : '';
+    durationInfoEl.textContent = `總時間 ${result.duration} ${moving}${movingEph}${heartRate}${cadence}`;
+    durationInfoEl.className = 'duration-info';
+  } else {
+    durationInfoEl.textContent = `時間 ${result.duration}`;
+    durationInfoEl.className = 'duration-info';
+  }
+}
+
+/**
+ * 安全顯示環境資訊（原始 EPH 與環境標準化 EPH 並列）
+ * @param {Object} result - 計算結果
+ */
+function displayEnvironmentInfo(result) {
+  const environmentInfoEl = document.getElementById('environmentInfo');
+  if (!environmentInfoEl) return;
+  
+  const environment = result.environment;
+  if (!environment || !result.normalizedEph) {
+    environmentInfoEl.hidden = true;
+    return;
+  }
+  
+  const penalties = environment.penalties || {};
+  const parts = [];
+  if (penalties.heat > 0) parts.push(`高溫 ${(penalties.heat * 100).toFixed(1)}%`);
+  if (penalties.cold > 0) parts.push(`寒冷 ${(penalties.cold * 100).toFixed(1)}%`);
+  if (penalties.altitude > 0) parts.push(`海拔 ${(penalties.altitude * 100).toFixed(1)}%`);
+  
+  const conditions = [];
+  if (environment.heatIndex !== null) conditions.push(`熱指數 ${environment.heatIndex}℃`);
+  if (environment.wbgt !== null) conditions.push(`WBGT ${environment.wbgt}℃`);
+  if (environment.windChill !== null && environment.windChill !== result.temperature) {
+    conditions.push(`風寒 ${environment.windChill}℃`);
+  }
+  
+  // 安全開發守則強制：【防止 XSS】
+  environmentInfoEl.textContent = 
+    `環境標準化 EPH ${result.normalizedEph}（原始 ${result.eph}｜` +
+    `${parts.length > 0 ? '環境損耗 ' + parts.join('、') : '中性環境'}）` +
+    (conditions.length > 0 ? `｜${conditions.join('、')}` : '');
+  environmentInfoEl.hidden = false;
+}
+
+/**
+ * 安全顯示檢查點列表
+ * @param {Array} checkpoints - 已定位的檢查點
+ */
+function displayCheckpoints(checkpoints) {
+  const sectionEl = document.getElementById('checkpointSection');
+  const tableBody = document.querySelector('#checkpointTable tbody');
+  if (!sectionEl || !tableBody) return;
+  
+  if (!Array.isArray(checkpoints) || checkpoints.length === 0) {
+    sectionEl.hidden = true;
+    return;
+  }
+  
+  // 安全開發守則強制：【防止 XSS】（航點名稱來自使用者檔案）
+  tableBody.textContent = '';
+  checkpoints.forEach(cp => {
+    const row = document.createElement('tr');
+    [cp.name, `${cp.distance} km`, `${cp.gain} m`, `${cp.elevation} m`].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+  sectionEl.hidden = false;
+}
+
+/**
+ * 安全顯示圈數（距離、用時、配速、心率與步頻）
+ * @param {Array} laps - summarizeLaps 結果
+ */
+function displayLaps(laps) {
+  const sectionEl = document.getElementById('lapSection');
+  const tableBody = document.querySelector('#lapTable tbody');
+  if (!sectionEl || !tableBody) return;
+  
+  if (!Array.isArray(laps) || laps.length === 0) {
+    sectionEl.hidden = true;
+    return;
+  }
+  
+  // 安全開發守則強制：【防止 XSS】
+  tableBody.textContent = '';
+  laps.forEach((lap, i) => {
+    const pace = lap.distance && lap.seconds ? Math.round(lap.seconds / lap.distance) : null; // 秒/km
+    const row = document.createElement('tr');
+    [
+      `${i + 1}`,
+      lap.distance !== null ? `${lap.distance} km` : '--',
+      lap.seconds !== null ? formatDuration(lap.seconds / 3600) : '--',
+      pace !== null ? `${Math.floor(pace / 60)}'${(pace % 60).toString().padStart(2, '0')}"/km` : '--',
+      lap.avgHeartRate !== null ? `${lap.avgHeartRate} bpm` : '--',
+      lap.maxHeartRate !== null ? `${lap.maxHeartRate} bpm` : '--',
+      lap.cadence !== null ? `${lap.cadence} spm` : '--'
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+  sectionEl.hidden = false;
+}
+
+/**
+ * 安全顯示爬坡 / 下坡 / 平路分段
+ * @param {Array} segments - TrackAnalysis.detectSegments 結果
+ */
+function displaySegments(segments) {
+  const sectionEl = document.getElementById('segmentSection');
+  const tableBody = document.querySelector('#segmentTable tbody');
+  if (!sectionEl || !tableBody) return;
+  
+  if (!Array.isArray(segments) || segments.length === 0) {
+    sectionEl.hidden = true;
+    return;
+  }
+  
+  const typeLabels = { climb: '爬坡', descent: '下坡', flat: '平路' };
+  
+  // 安全開發守則強制：【防止 XSS】
+  tableBody.textContent = '';
+  segments.forEach(seg => {
+    const row = document.createElement('tr');
+    row.className = `segment-${seg.type}`;
+    [
+      typeLabels[seg.type] || seg.type,
+      `${seg.startKm}–${seg.endKm} km`,
+      `${seg.distance} km`,
+      `+${seg.gain} / -${seg.loss} m`,
+      `${seg.avgGrade}%`,
+      seg.duration !== null ? formatDuration(seg.duration / 3600) : '--',
+      seg.eph !== null ? seg.eph.toFixed(2) : '--'
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+  sectionEl.hidden = false;
+}
+
 /**
  * 安全保存活動
  */
@@ -178,7 +446,16 @@ async function saveActivity() {
     
     // 安全開發守則強制：【最小權限原則】
     const activities = (await window.secureStorage.getItem('activities') || []);
-    activities.push(result);
+    
+    // 檔案來源活動：軌跡另存，活動列表只保留摘要
+    let activity = result;
+    if (result.gpxSource) {
+      if (activities.some(act => act.gpxSource?.fileHash === result.gpxSource.fileHash)) {
+        throw new Error('DUPLICATE_ACTIVITY');
+      }
+      activity = await storeActivityTrack(result);
+    }
+    activities.push(activity);
     
     // 安全存儲（自動加密）
     await window.secureStorage.setItem('activities', activities);
@@ -196,15 +473,66 @@ async function saveActivity() {
     });
   } catch (e) {
     window.security.logSecurityEvent('SAVE_FAILED', { error: e.message });
+    
+    const errorMsg = e.message === 'DUPLICATE_ACTIVITY' 
+      ? '此檔案已保存過，未重複匯入' 
+      : '保存失敗，請重試！';
     window.security.renderSafeContent(
       document.getElementById('gpxStatus'), 
-      '<span class="error">保存失敗，請重試！</span>'
+      `<span class="error">${errorMsg}</span>`
     );
   }
 }
 
 /**
- * 安全 GPX 上傳處理
+ * 安全保存活動軌跡（獨立加密鍵 track_<id>）
+ * @param {Object} result - 檔案來源的計算結果
+ * @returns {Promise<Object>} 活動摘要（含 trackId，不含剖面 / 檢查點 / 分段）
+ */
+async function storeActivityTrack(result) {
+  const { profile, checkpoints, segments, ...summary } = result;
+  const trackId = 'trk_' + Array.from(crypto.getRandomValues(new Uint8Array(8)))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+  
+  // 僅在解析中的軌跡與結果同一檔案時保存點序列（重新整理頁面後無原始點）
+  const parsed = lastParsedTrack && 
+    lastParsedTrack.source.fileHash === result.gpxSource.fileHash ? lastParsedTrack : null;
+  
+  const track = {
+    id: trackId,
+    source: result.gpxSource,
+    points: parsed 
+      ? window.TrackAnalysis.simplifyTrack(parsed.points, 5, STORED_TRACK_MAX_POINTS) 
+      : [],
+    waypoints: parsed 
+      ? (parsed.gpx.waypoints || []).map(wpt => ({
+        lat: wpt.lat,
+        lon: wpt.lon,
+        ele: wpt.ele,
+        name: wpt.name,
+        type: wpt.type,
+        desc: wpt.desc
+      })) 
+      : [],
+    checkpoints: checkpoints || [],
+    segments: segments || [],
+    profile: profile || null
+  };
+  
+  await window.secureStorage.setItem(`track_${trackId}`, track);
+  
+  return {
+    ...summary,
+    trackId,
+    pointCount: track.points.length,
+    checkpointCount: track.checkpoints.length,
+    segmentCount: track.segments.length
+  };
+}
+
+/**
+ * 安全 GPX / TCX / FIT 上傳處理
  * @param {Event} e - 檔案上傳事件
  */
 async function handleGpxUpload(e) {
@@ -213,7 +541,8 @@ async function handleGpxUpload(e) {
   
   try {
     // 安全開發守則強制：【驗證副檔名 & 檔案大小】
-    if (!file.name.toLowerCase().endsWith('.gpx')) {
+    const format = getActivityFormat(file.name);
+    if (!format) {
       throw new Error('INVALID_FILE_EXTENSION');
     }
     if (file.size > 5 * 1024 * 1024) { // 5MB
@@ -223,24 +552,37 @@ async function handleGpxUpload(e) {
     // 安全開發守則強制：【使用沙箱解析】
     window.security.renderSafeContent(
       statusEl, 
-      '<span class="processing">解析 GPX 文件中...</span>'
+      `<span class="processing">解析 ${format.label} 文件中...</span>`
     );
     
-    const gpxData = await window.gpxParser.parse(file);
+    // 各格式解析器輸出相同結構 { tracks, routes, waypoints }
+    const gpx = await format.parser().parse(file);
+    const gpxData = window.TrackAnalysis.flattenGpx(gpx);
     
     // 安全驗證解析結果
-    if (!gpxData || gpxData.length === 0) {
+    if (gpxData.length === 0) {
       throw new Error('NO_TRACKPOINTS');
     }
     
-    // 安全計算（使用解析數據）
-    const result = processGpxData(gpxData);
+    // 安全計算（使用解析數據），保留來源資訊供保存活動使用
+    lastParsedTrack = {
+      points: gpxData,
+      gpx,
+      source: {
+        fileName: file.name.slice(0, 100),
+        fileHash: await hashFile(file),
+        format: format.label,
+        fileSize: file.size
+      }
+    };
+    const result = calculateParsedTrack();
     displayResult(result);
     
     // 安全反饋
+    const timingNote = result.durationSource === 'estimated' ? '（無時間戳，時間為預估值）' : '';
     window.security.renderSafeContent(
       statusEl, 
-      `<span class="success">成功解析 ${gpxData.length} 個路徑點！</span>`
+      `<span class="success">成功解析 ${gpxData.length} 個路徑點！${timingNote}</span>`
     );
   } catch (e) {
     window.security.logSecurityEvent('GPX_PROCESSING_ERROR', { 
@@ -250,11 +592,11 @@ async function handleGpxUpload(e) {
     
     let errorMsg = '文件解析失敗';
     if (e.message === 'INVALID_FILE_EXTENSION') {
-      errorMsg = '僅支援 .gpx 檔案';
+      errorMsg = '僅支援 .gpx / .tcx / .fit 檔案';
     } else if (e.message === 'FILE_TOO_LARGE') {
       errorMsg = '檔案超過 5MB 限制';
     } else if (e.message === 'NO_TRACKPOINTS') {
-      errorMsg = 'GPX 文件不含有效路徑點';
+      errorMsg = '文件不含有效軌跡或路線點';
     }
     
     window.security.renderSafeContent(
@@ -266,15 +608,108 @@ async function handleGpxUpload(e) {
   }
 }
 
+/**
+ * 以最近一次解析的軌跡計算（附帶檔案來源）
+ * @returns {Object} 計算結果
+ */
+function calculateParsedTrack() {
+  return {
+    ...processGpxData(lastParsedTrack.points, lastParsedTrack.gpx),
+    gpxSource: lastParsedTrack.source
+  };
+}
+
+/**
+ * 計算檔案 SHA-256 雜湊（辨識重複匯入）
+ * @param {File} file - 上傳檔案
+ * @returns {Promise<string>} 十六進位雜湊值
+ */
+async function hashFile(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * 取得使用者選擇的海拔平滑方法
+ * @returns {string} TrackAnalysis.ELEVATION_METHODS 的鍵
+ */
+function getElevationMethod() {
+  const value = document.getElementById('elevationSmoothing')?.value;
+  // 安全開發守則強制：【預設不信任使用者輸入】
+  return value && window.TrackAnalysis.ELEVATION_METHODS[value] 
+    ? value 
+    : DEFAULT_ELEVATION_METHOD;
+}
+
+/**
+ * 平滑方法變更時以最近一次解析的軌跡重新計算
+ */
+function handleSmoothingChange() {
+  if (!lastParsedTrack) return;
+  
+  const result = calculateParsedTrack();
+  displayResult(result);
+}
+
+/**
+ * 安全初始化 EP 公式選單（選項來自共用 EP 引擎）
+ */
+async function initEpProfileSelect() {
+  const selectEl = document.getElementById('epProfile');
+  if (!selectEl) return;
+  
+  await window.epEngine.ready;
+  selectEl.textContent = '';
+  window.epEngine.listProfiles().forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.label;
+    option.selected = profile.id === window.epEngine.getProfile().id;
+    selectEl.appendChild(option);
+  });
+}
+
+/**
+ * EP 公式變更：保存為預設公式，並以新公式重新計算最近一次軌跡
+ * @param {Event} e - 選單變更事件
+ */
+async function handleEpProfileChange(e) {
+  try {
+    await window.epEngine.setDefaultProfile(e.target.value);
+    
+    if (lastParsedTrack) {
+      displayResult(calculateParsedTrack());
+    }
+    
+    window.security.logSecurityEvent('EP_PROFILE_CHANGED', { profile: e.target.value });
+  } catch (err) {
+    window.security.logSecurityEvent('EP_PROFILE_CHANGE_FAILED', { error: err.message });
+  }
+}
+
+/**
+ * 依副檔名取得活動檔格式
+ * @param {string} fileName - 檔案名稱
+ * @returns {Object|null} { label, parser }；不支援的格式返回 null
+ */
+function getActivityFormat(fileName) {
+  const name = String(fileName || '').toLowerCase();
+  const ext = Object.keys(ACTIVITY_FORMATS).find(key => name.endsWith(key));
+  return ext ? ACTIVITY_FORMATS[ext] : null;
+}
+
 /**
  * 安全處理 GPX 數據
- * @param {Array} gpxData - GPX 解析結果
+ * @param {Array} gpxData - 展平後的軌跡點
+ * @param {Object} gpx - GPXParser 結構化結果（提供名稱與航點）
+ * @param {string} elevationMethod - 海拔平滑方法（TrackAnalysis.ELEVATION_METHODS）
  * @returns {Object} 計算結果
  */
-function processGpxData(gpxData) {
+function processGpxData(gpxData, gpx = {}, elevationMethod = getElevationMethod()) {
   // 安全計算總距離、爬升、時間
   let totalDistance = 0;
-  let totalElevation = 0;
   let prevPoint = null;
   
   for (const point of gpxData) {
@@ -285,29 +720,159 @@ function processGpxData(gpxData) {
         point.lat, point.lon
       );
       totalDistance += dist;
-      
-      // 安全計算爬升
-      if (point.ele > prevPoint.ele) {
-        totalElevation += (point.ele - prevPoint.ele);
-      }
     }
     prevPoint = point;
   }
   
-  // 假設平均配速 8 min/km 計算時間
-  const totalTime = totalDistance * 8 / 60; // 小時
+  // 安全計算爬升：原始數據與平滑後數據並列，後續計算一律使用平滑結果
+  const rawTotals = window.TrackAnalysis.elevationTotals(gpxData);
+  const smoothedData = window.TrackAnalysis.smoothElevation(gpxData, elevationMethod);
+  const totals = window.TrackAnalysis.elevationTotals(smoothedData);
+  const totalElevation = totals.gain;
+  
+  const epProfile = window.epEngine.getProfile().id;
+  const ep = window.epEngine.calculateEp(
+    { distance: totalDistance, gain: totalElevation, loss: totals.loss }, 
+    epProfile
+  );
+  const timing = calculateTrackTiming(gpxData);
+  const profile = window.TrackAnalysis.buildProfile(smoothedData);
+  const heartRates = gpxData.map(point => point.hr).filter(hr => hr > 0);
+  const cadences = gpxData.map(point => point.cadence).filter(cadence => cadence > 0);
+  
+  // 環境輸入：未填海拔時以軌跡平均海拔代入
+  const environmentInputs = readEnvironmentInputs();
+  if (environmentInputs.altitude === null && smoothedData.length > 0) {
+    environmentInputs.altitude = Math.round(
+      smoothedData.reduce((sum, point) => sum + point.ele, 0) / smoothedData.length
+    );
+  }
+  const course = {
+    descent: totals.loss.toFixed(0),
+    rawElevation: rawTotals.gain.toFixed(0),
+    rawDescent: rawTotals.loss.toFixed(0),
+    elevationMethod,
+    epProfile,
+    avgHeartRate: heartRates.length > 0 
+      ? Math.round(heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length) 
+      : null,
+    // TCX / FIT 的跑步步頻以單腳每分鐘計，×2 為每分鐘步數 (spm)
+    avgCadence: cadences.length > 0 
+      ? Math.round(cadences.reduce((sum, cadence) => sum + cadence, 0) / cadences.length * 2) 
+      : null,
+    laps: summarizeLaps(gpx.laps),
+    courseName: gpx.tracks?.[0]?.name || gpx.routes?.[0]?.name || '',
+    checkpoints: window.TrackAnalysis.locateWaypoints(smoothedData, gpx.waypoints || []),
+    segments: window.TrackAnalysis.detectSegments(smoothedData, {
+      calculateEp: effort => window.epEngine.calculateEp(effort, epProfile)
+    })
+  };
+  
+  // 無時間戳時退回預估時間（明確標示，不冒充實際數據）
+  if (!timing) {
+    const estimatedTime = totalDistance * ESTIMATED_PACE_MIN_PER_KM / 60; // 小時
+    const estimatedEph = window.epEngine.calculateEph(ep, estimatedTime);
+    
+    return {
+      distance: totalDistance.toFixed(2),
+      elevation: totalElevation.toFixed(0),
+      duration: formatDuration(estimatedTime),
+      durationSource: 'estimated',
+      ep: ep.toFixed(2),
+      eph: estimatedEph.toFixed(2),
+      ...assessEnvironment(estimatedEph, environmentInputs),
+      profile,
+      ...course,
+      timestamp: new Date().toISOString()
+    };
+  }
+  
+  const elapsedHours = timing.elapsedSeconds / 3600;
+  const movingHours = timing.movingSeconds / 3600;
+  const eph = window.epEngine.calculateEph(ep, elapsedHours);
   
   return {
     distance: totalDistance.toFixed(2),
     elevation: totalElevation.toFixed(0),
-    duration: formatDuration(totalTime),
-    temperature: 25,
-    ep: (totalDistance + totalElevation/100).toFixed(2),
-    eph: ((totalDistance + totalElevation/100) / totalTime).toFixed(2),
+    duration: formatDuration(elapsedHours),
+    movingTime: formatDuration(movingHours),
+    durationSource: 'gpx',
+    ep: ep.toFixed(2),
+    eph: eph.toFixed(2),
+    ...assessEnvironment(eph, environmentInputs),
+    movingEph: movingHours > 0 ? window.epEngine.calculateEph(ep, movingHours).toFixed(2) : null,
+    startTime: new Date(timing.startTime).toISOString(),
+    profile,
+    ...course,
     timestamp: new Date().toISOString()
   };
 }
 
+/**
+ * 整理 TCX / FIT 圈數資料（GPX 無圈數時為空陣列）
+ * @param {Array} laps - 解析器的 laps
+ * @returns {Array} [{ distance (km), seconds, avgHeartRate, maxHeartRate, cadence (spm) }]
+ */
+function summarizeLaps(laps) {
+  // 安全開發守則強制：【預設不信任使用者輸入】
+  if (!Array.isArray(laps)) return [];
+  const positive = value => (typeof value === 'number' && isFinite(value) && value > 0 ? value : null);
+  
+  return laps.slice(0, MAX_LAPS).map(lap => {
+    const distance = positive(lap.distanceMeters);
+    const seconds = positive(lap.totalTimeSeconds);
+    const avgHeartRate = positive(lap.averageHeartRate);
+    const maxHeartRate = positive(lap.maxHeartRate);
+    const cadence = positive(lap.cadence);
+    return {
+      distance: distance === null ? null : parseFloat((distance / 1000).toFixed(2)),
+      seconds: seconds === null ? null : Math.round(seconds),
+      avgHeartRate: avgHeartRate === null ? null : Math.round(avgHeartRate),
+      maxHeartRate: maxHeartRate === null ? null : Math.round(maxHeartRate),
+      cadence: cadence === null ? null : Math.round(cadence * 2)
+    };
+  });
+}
+
+/**
+ * 安全計算軌跡時間（總時間與移動時間）
+ * @param {Array} gpxData - GPX 解析結果（time 為毫秒或 null）
+ * @returns {Object|null} 時間統計；時間戳不足時返回 null
+ */
+function calculateTrackTiming(gpxData) {
+  // 安全開發守則強制：【預設不信任使用者輸入】
+  const timedPoints = gpxData.filter(point => 
+    typeof point.time === 'number' && isFinite(point.time)
+  );
+  if (timedPoints.length < 2) return null;
+  
+  const startTime = timedPoints[0].time;
+  const endTime = timedPoints[timedPoints.length - 1].time;
+  if (endTime <= startTime) return null;
+  
+  // 自動暫停偵測：低於速度閾值的區段不計入移動時間
+  let movingSeconds = 0;
+  for (let i = 1; i < timedPoints.length; i++) {
+    const prev = timedPoints[i - 1];
+    const point = timedPoints[i];
+    const seconds = (point.time - prev.time) / 1000;
+    // 分段 (trkseg) 之間的空檔視為暫停
+    if (seconds <= 0 || point.segmentStart) continue;
+    
+    const dist = calculateDistance(prev.lat, prev.lon, point.lat, point.lon);
+    const speed = dist / (seconds / 3600); // km/h
+    if (speed >= AUTO_PAUSE_SPEED_KMH) {
+      movingSeconds += seconds;
+    }
+  }
+  
+  return {
+    startTime,
+    elapsedSeconds: (endTime - startTime) / 1000,
+    movingSeconds
+  };
+}
+
 /**
  * 安全生成分享圖
  */
@@ -354,68 +919,169 @@ function initElevationChart() {
   const ctx = chartEl.getContext('2d');
   window.elevationChart = new Chart(ctx, {
     type: 'line',
-     {
-      labels: [],
+    data: {
       datasets: [{
         label: '海拔 (m)',
-         [],
+        data: [],
         borderColor: '#1976D2',
         backgroundColor: 'rgba(25, 118, 210, 0.1)',
         borderWidth: 2,
+        pointRadius: 0,
         fill: true,
-        tension: 0.3
+        tension: 0.1
       }]
     },
     options: {
       responsive: true,
       maintainAspectRatio: false,
+      animation: false,
+      parsing: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      // 圖表滑鼠位置同步至賽道地圖
+      onHover: (event, elements, chart) => {
+        if (!courseMap) return;
+        const point = elements.length > 0 ? chart.data.datasets[0].data[elements[0].index] : null;
+        courseMap.highlight(point ? point.x : null);
+      },
       plugins: {
-        legend: { display: false }
+        legend: { display: false },
+        tooltip: {
+          mode: 'index',
+          intersect: false,
+          callbacks: {
+            title: items => items.length ? `${items[0].parsed.x.toFixed(2)} km` : '',
+            label: item => `海拔 ${Math.round(item.parsed.y)} m`
+          }
+        }
       },
       scales: {
-        y: { beginAtZero: true }
+        x: {
+          type: 'linear',
+          title: { display: true, text: '距離 (km)' }
+        },
+        y: {
+          beginAtZero: false,
+          title: { display: true, text: '海拔 (m)' }
+        }
       }
     }
   });
 }
 
+/**
+ * 在海拔圖表標示指定距離（由賽道地圖滑鼠位置觸發）
+ * @param {number|null} km - 累積距離；null 時清除標示
+ */
+function highlightElevationAt(km) {
+  const chart = window.elevationChart;
+  if (!chart) return;
+  
+  const data = chart.data.datasets[0].data;
+  if (km === null || data.length === 0) {
+    chart.setActiveElements([]);
+    chart.tooltip.setActiveElements([], { x: 0, y: 0 });
+    chart.update('none');
+    return;
+  }
+  
+  let index = 0;
+  data.forEach((point, i) => {
+    if (Math.abs(point.x - km) < Math.abs(data[index].x - km)) index = i;
+  });
+  const active = [{ datasetIndex: 0, index }];
+  const element = chart.getDatasetMeta(0).data[index];
+  chart.setActiveElements(active);
+  chart.tooltip.setActiveElements(active, { x: element?.x || 0, y: element?.y || 0 });
+  chart.update('none');
+}
+
+/**
+ * 安全更新賽道地圖（僅限本次解析的檔案；保存的結果沒有完整點序列）
+ * @param {Object} result - 計算結果
+ */
+function updateCourseMap(result) {
+  const sectionEl = document.getElementById('courseMapSection');
+  if (!sectionEl || !courseMap) return;
+  
+  const parsed = lastParsedTrack && result.gpxSource && 
+    lastParsedTrack.source.fileHash === result.gpxSource.fileHash ? lastParsedTrack : null;
+  if (!parsed) {
+    sectionEl.hidden = true;
+    return;
+  }
+  
+  // 先顯示容器，Leaflet 才能取得尺寸
+  sectionEl.hidden = false;
+  const rendered = courseMap.render({
+    points: window.TrackAnalysis.smoothElevation(parsed.points, result.elevationMethod),
+    waypoints: parsed.gpx.waypoints || [],
+    segments: result.segments || [],
+    colorBy: document.getElementById('mapColorMode')?.value
+  });
+  if (!rendered) {
+    sectionEl.hidden = true;
+  }
+}
+
+/**
+ * 地圖著色方式變更（坡度 / EPH）
+ */
+async function handleMapColorChange() {
+  const result = await window.secureStorage.getItem('lastCalculation');
+  if (result) {
+    updateCourseMap(result);
+  }
+}
+
 /**
  * 安全更新海拔圖表
  * @param {Object} result - 計算結果
  */
 function updateElevationChart(result) {
+  const chartContainer = document.querySelector('#calculationResult .chart-container');
+  const emptyEl = document.getElementById('elevationEmpty');
+  const statsEl = document.getElementById('elevationStats');
+  
+  // 手動輸入（或舊資料）沒有剖面：顯示明確的空狀態
+  const profile = result.profile;
+  if (!profile || !Array.isArray(profile.points) || profile.points.length < 2) {
+    if (chartContainer) chartContainer.hidden = true;
+    if (statsEl) statsEl.hidden = true;
+    if (emptyEl) emptyEl.hidden = false;
+    return;
+  }
+  
+  if (chartContainer) chartContainer.hidden = false;
+  if (emptyEl) emptyEl.hidden = true;
+  
   if (!window.elevationChart) {
     initElevationChart();
     if (!window.elevationChart) return;
   }
   
-  // 生成模擬海拔數據（實際應從 GPX 獲取）
-  const points = 50;
-  const data = [];
-  for (let i = 0; i < points; i++) {
-    // 安全生成模擬數據（避免 NaN）
-    const noise = (Math.random() - 0.5) * 20;
-    const value = 100 + (result.elevation * i / points) + noise;
-    data.push(Math.max(0, value)); // 確保非負
-  }
-  
-  // 安全更新圖表
-  window.elevationChart.data.labels = Array.from({length: points}, (_, i) => i);
-  window.elevationChart.data.datasets[0].data = data;
+  // 安全更新圖表（剖面已於解析時降採樣）
+  window.elevationChart.data.datasets[0].data = profile.points.map(([x, y]) => ({ x, y }));
   window.elevationChart.update();
+  
+  // 安全開發守則強制：【防止 XSS】
+  if (statsEl) {
+    statsEl.hidden = false;
+    const methodLabel = window.TrackAnalysis.ELEVATION_METHODS[result.elevationMethod];
+    const smoothing = result.rawElevation !== undefined && result.elevationMethod !== 'raw'
+      ? `（原始 ${result.rawElevation} m，${methodLabel}）` 
+      : '';
+    const descent = result.descent !== undefined ? `｜總下降 ${result.descent} m` : '';
+    statsEl.textContent = 
+      `最低 ${profile.minElevation} m｜最高 ${profile.maxElevation} m｜總爬升 ${result.elevation} m${smoothing}${descent}`;
+  }
 }
 
 // 安全工具函數
 function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // 地球半徑 (km)
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c; // 距離 (km)
+  return window.TrackAnalysis.haversine(lat1, lon1, lat2, lon2); // 距離 (km)
 }
 
 function formatDuration(hours) {
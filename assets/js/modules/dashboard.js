@@ -53,9 +53,10 @@ document.addEventListener('DOMContentLoaded', () => {
 async function initDashboard() {
   try {
     // 安全獲取數據
-    const [activities, shoes] = await Promise.all([
+    const [activities, shoes, races] = await Promise.all([
       window.secureStorage.getItem('activities') || [],
-      window.secureStorage.getItem('shoes') || []
+      window.secureStorage.getItem('shoes') || [],
+      window.secureStorage.getItem('races')
     ]);
     
     // 安全計算統計
@@ -70,6 +71,9 @@ async function initDashboard() {
     // 安全渲染跑鞋
     renderShoes(shoes);
     
+    // 訓練計畫進度
+    renderTrainingPlan(selectTrainingPlan(races || []), activities);
+    
     // 安全日誌
     window.security.logSecurityEvent('DASHBOARD_INITIALIZED', {
       activityCount: activities.length,
@@ -83,6 +87,82 @@ async function initDashboard() {
   }
 }
 
+/**
+ * 選出儀表板顯示的訓練計畫：最近一場尚未舉行的 A 級賽事；皆已結束時取最晚的一場
+ * @param {Array} races - 賽事庫
+ * @returns {Object|null} 訓練計畫
+ */
+function selectTrainingPlan(races) {
+  const today = new Date().toISOString().slice(0, 10);
+  const candidates = races
+    .filter(race => race.priority === 'A' && race.trainingPlan && race.trainingPlan.race)
+    .map(race => race.trainingPlan)
+    .sort((a, b) => a.race.date.localeCompare(b.race.date));
+  return candidates.find(plan => plan.race.date >= today) || candidates[candidates.length - 1] || null;
+}
+
+/**
+ * 安全顯示訓練計畫（各週目標與實際 EP）
+ * @param {Object|null} plan - 已保存的訓練計畫
+ * @param {Array} activities - 活動數據
+ */
+function renderTrainingPlan(plan, activities) {
+  const sectionEl = document.getElementById('trainingPlan');
+  const tableBody = document.querySelector('#trainingPlanTable tbody');
+  if (!sectionEl || !tableBody) return;
+  
+  if (!plan || !Array.isArray(plan.weeks) || plan.weeks.length === 0) {
+    sectionEl.hidden = true;
+    return;
+  }
+  sectionEl.hidden = false;
+  
+  const currentIndex = window.TrainingPlan.currentWeekIndex(plan);
+  const phaseLabels = { build: '建構期', recovery: '恢復週', peak: '巔峰期', taper: '減量期' };
+  
+  // 安全開發守則強制：【防止 XSS】
+  const summaryEl = document.getElementById('trainingPlanSummary');
+  if (summaryEl) {
+    const raceLabel = plan.race.name ? `${plan.race.name}（${plan.race.date}）` : plan.race.date;
+    summaryEl.textContent = currentIndex === -1
+      ? `目標賽事 ${raceLabel}：目前不在計畫期間內`
+      : `目標賽事 ${raceLabel}：第 ${currentIndex + 1} / ${plan.weeks.length} 週，` +
+        `${phaseLabels[plan.weeks[currentIndex].phase] || ''}`;
+  }
+  
+  tableBody.textContent = '';
+  plan.weeks.forEach((week, i) => {
+    const weekStart = new Date(`${week.weekStart}T00:00:00`);
+    const weekEnd = new Date(weekStart.getTime() + 7 * 24 * 60 * 60 * 1000);
+    // 未開始的週不顯示實際 EP
+    const started = currentIndex === -1 ? weekStart <= new Date() : i <= currentIndex;
+    const actualEp = activities
+      .filter(act => {
+        const date = new Date(act.startTime || act.timestamp);
+        return date >= weekStart && date < weekEnd;
+      })
+      .reduce((sum, act) => sum + window.epEngine.activityEp(act), 0);
+    
+    const row = document.createElement('tr');
+    row.className = i === currentIndex ? `plan-${week.phase} current-week` : `plan-${week.phase}`;
+    [
+      `${week.index}`,
+      week.weekStart,
+      phaseLabels[week.phase] || week.phase,
+      `${week.targetEp}`,
+      started ? actualEp.toFixed(1) : '—',
+      week.longRunKm > 0 ? `${week.longRunKm} km / ${week.longRunVertical} m` : '—',
+      `${week.vertical} m`,
+      (week.focus || []).join('；')
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+}
+
 /**
  * 安全計算儀表板統計
  * @param {Array} activities - 活動數據
@@ -108,7 +188,7 @@ function calculateDashboardStats(activities) {
   
   // 計算 ACWR (急性負荷比)
   const last7DaysEp = weeklyActivities.reduce((sum, act) => 
-    sum + (parseFloat(act.distance) + parseFloat(act.elevation)/100), 0
+    sum + window.epEngine.activityEp(act), 0
   );
   
   const monthlyActivities = activities.filter(act => 
@@ -117,7 +197,7 @@ function calculateDashboardStats(activities) {
   
   const avgMonthlyEp = monthlyActivities.length > 0 ? 
     monthlyActivities.reduce((sum, act) => 
-      sum + (parseFloat(act.distance) + parseFloat(act.elevation)/100), 0
+      sum + window.epEngine.activityEp(act), 0
     ) / 4 : 0;
   
   const acwr = avgMonthlyEp > 0 ? last7DaysEp / avgMonthlyEp : 0;
@@ -196,6 +276,9 @@ async function renderActivities() {
         elevation: window.security.sanitizeInput(activity.elevation),
         duration: window.security.sanitizeInput(activity.duration),
         eph: window.security.sanitizeInput(activity.eph),
+        source: activity.gpxSource 
+          ? window.security.sanitizeInput(activity.gpxSource.fileName || '') 
+          : '',
         timestamp: formatTimestamp(activity.timestamp)
       };
       
@@ -210,6 +293,7 @@ async function renderActivities() {
             <div>爬升: <strong>${safeActivity.elevation} m</strong></div>
             <div>時間: ${safeActivity.duration}</div>
             <div>EPH: <span class="eph-badge">${safeActivity.eph}</span></div>
+            ${safeActivity.source ? `<div>檔案: ${safeActivity.source}</div>` : ''}
           </div>
           <div class="activity-actions">
             <button class="delete-activity" data-id="${btoa(activity.timestamp)}">刪除</button>
@@ -256,9 +340,11 @@ function filterActivities(activities, timeFilter, typeFilter) {
     // 類型過濾
     let typeMatch = true;
     if (typeFilter === 'manual') {
-      typeMatch = !activity.gpxSource;
+      typeMatch = !activity.gpxSource && !activity.intervalSession;
     } else if (typeFilter === 'gpx') {
       typeMatch = !!activity.gpxSource;
+    } else if (typeFilter === 'interval') {
+      typeMatch = !!activity.intervalSession;
     }
     
     return timeMatch && typeMatch;
@@ -285,7 +371,11 @@ function formatTimestamp(timestamp) {
  * @returns {string} 類型標籤
  */
 function getTypeLabel(activity) {
-  return activity.gpxSource ? 'GPX 路線' : '手動輸入';
+  if (activity.intervalSession) return '間歇課表';
+  if (!activity.gpxSource) return '手動輸入';
+  // 早期匯入的活動未記錄格式，皆為 GPX
+  const format = ['GPX', 'TCX', 'FIT'].includes(activity.gpxSource.format) ? activity.gpxSource.format : 'GPX';
+  return `${format} 活動檔`;
 }
 
 /**
@@ -308,6 +398,11 @@ async function deleteActivity(timestampB64) {
     // 安全存儲
     await window.secureStorage.setItem('activities', newActivities);
     
+    // 一併刪除獨立保存的軌跡
+    await Promise.all(activities
+      .filter(act => act.timestamp === timestamp && act.trackId)
+      .map(act => window.secureStorage.removeItem(`track_${act.trackId}`)));
+    
     // 重新渲染
     renderActivities();
     
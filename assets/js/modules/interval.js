@@ -36,12 +36,103 @@ document.addEventListener('DOMContentLoaded', () => {
     saveBtn.addEventListener('click', saveWorkout);
   }
   
+  document.querySelectorAll('[data-export-format]').forEach(button => {
+    button.addEventListener('click', () => exportWorkout(button.dataset.exportFormat));
+  });
+  
+  const importInput = document.getElementById('importWorkout');
+  if (importInput) {
+    importInput.addEventListener('change', importWorkout);
+  }
+  
+  document.getElementById('templateSearch')?.addEventListener('input', renderTemplateList);
+  document.getElementById('templateTagFilter')?.addEventListener('change', renderTemplateList);
+  document.getElementById('newTemplate')?.addEventListener('click', resetTemplateEditor);
+  
+  const startSessionBtn = document.getElementById('startSession');
+  if (startSessionBtn) {
+    startSessionBtn.addEventListener('click', startSession);
+  }
+  
+  document.getElementById('sessionLap')?.addEventListener('click', () => handleSessionAction('lap'));
+  document.getElementById('sessionSkip')?.addEventListener('click', () => handleSessionAction('skip'));
+  document.getElementById('sessionPause')?.addEventListener('click', toggleSessionPause);
+  document.getElementById('sessionStop')?.addEventListener('click', () => {
+    if (confirm('確定要提前結束課表嗎？')) finishSession();
+  });
+  
+  const referenceBtn = document.getElementById('applyReference');
+  if (referenceBtn) {
+    referenceBtn.addEventListener('click', applyPaceReference);
+  }
+  
   // 休息類型切換
   document.querySelectorAll('input[name="restType"]').forEach(radio => {
     radio.addEventListener('change', toggleRestOptions);
   });
 });
 
+// 未設定參考成績且未指定配速時，各階段的預設配速 (秒/km) 與預設休息 (秒)
+const DEFAULT_PACE_SECONDS = {
+  work: 240,
+  warmup: 360,
+  cooldown: 360,
+  recovery: 420
+};
+const DEFAULT_REST_SECONDS = 120;
+
+// 已設定參考成績時，未指定配速的各階段所用區間
+const DEFAULT_PHASE_ZONES = {
+  work: 'interval',
+  warmup: 'easy',
+  cooldown: 'easy',
+  recovery: 'easy'
+};
+
+// 最近一次生成或載入的課表 { source, tree, restSettings, zones, schedule, totalTime }
+let currentWorkout = null;
+
+// 課表庫快取與目前編輯中的範本 ID（null 表示保存時建立新範本）
+let workoutTemplates = [];
+let currentTemplateId = null;
+
+// 每個範本保留的版本數
+const MAX_TEMPLATE_VERSIONS = 30;
+
+// 課表標籤
+const WORKOUT_TAGS = {
+  vo2: 'VO2max',
+  threshold: '閾值',
+  hill: '爬坡',
+  speed: '速度',
+  endurance: '耐力'
+};
+
+// 執行中的課表（SessionRunner 狀態）、定時器、音效與螢幕常亮
+let activeSession = null;
+let sessionTimer = null;
+let sessionAudio = null;
+let sessionWakeLock = null;
+
+// 執行畫面更新間隔 (ms)
+const SESSION_TICK_MS = 200;
+
+// 目前參考成績推算的區間配速 { easy, marathon, threshold, interval, repetition }（秒/km）
+let currentPaceZones = null;
+
+const PHASE_LABELS = {
+  warmup: '熱身',
+  cooldown: '緩和'
+};
+
+const ZONE_LABELS = {
+  easy: '輕鬆 (Z1)',
+  marathon: '馬拉松 (Z2)',
+  threshold: '閾值 (Z3)',
+  interval: '間歇 (Z4)',
+  repetition: '衝刺 (Z5)'
+};
+
 /**
  * 安全初始化間歇規劃器
  */
@@ -55,6 +146,12 @@ function initIntervalPlanner() {
     // 初始化休息選項
     toggleRestOptions();
     
+    // 載入已保存的參考成績
+    loadPaceReference();
+    
+    // 載入課表庫
+    initTemplateLibrary();
+    
     // 安全日誌
     window.security.logSecurityEvent('INTERVAL_PLANNER_INITIALIZED');
   } catch (e) {
@@ -80,6 +177,144 @@ function toggleRestOptions() {
     restType === 'manual' ? 'block' : 'none';
 }
 
+/**
+ * 讀取休息時間設定
+ * @returns {Object} { type, fixedRestTime, ratioValue, manualRestInput }
+ */
+function readRestSettings() {
+  return {
+    type: document.querySelector('input[name="restType"]:checked')?.value || 'fixed',
+    fixedRestTime: document.getElementById('fixedRestTime').value,
+    ratioValue: document.getElementById('ratioValue').value,
+    manualRestInput: document.getElementById('manualRestInput').value
+  };
+}
+
+/**
+ * 還原休息時間設定（載入已保存課表時）
+ * @param {Object} settings - readRestSettings 結果
+ */
+function applyRestSettings(settings) {
+  if (!settings) return;
+  
+  // 安全開發守則強制：【預設不信任使用者輸入】（已保存資料仍只接受已知選項）
+  document.querySelectorAll('input[name="restType"]').forEach(radio => {
+    radio.checked = radio.value === settings.type;
+  });
+  document.getElementById('fixedRestTime').value = String(settings.fixedRestTime ?? '').slice(0, 8);
+  document.getElementById('ratioValue').value = String(settings.ratioValue ?? '').slice(0, 8);
+  document.getElementById('manualRestInput').value = String(settings.manualRestInput ?? '').slice(0, 500);
+  toggleRestOptions();
+}
+
+/**
+ * 安全載入已保存的參考成績
+ */
+async function loadPaceReference() {
+  try {
+    const reference = await window.secureStorage.getItem('paceReference');
+    if (!reference) return;
+    
+    document.getElementById('referenceDistance').value = reference.distance || '';
+    document.getElementById('referenceTime').value = reference.time || '';
+    document.getElementById('referenceVdot').value = reference.time ? '' : reference.vdot;
+    currentPaceZones = window.PaceZones.zonePaces(reference.vdot);
+    displayPaceZones(reference.vdot, currentPaceZones);
+  } catch (e) {
+    window.security.logSecurityEvent('PACE_REFERENCE_LOAD_FAILED', { error: e.message });
+  }
+}
+
+/**
+ * 安全套用參考成績（近期比賽成績或直接輸入 VDOT）
+ */
+async function applyPaceReference() {
+  const statusEl = document.getElementById('referenceStatus');
+  
+  try {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const distance = parseInt(document.getElementById('referenceDistance').value);
+    const time = document.getElementById('referenceTime').value.trim();
+    const vdotInput = parseFloat(document.getElementById('referenceVdot').value);
+    
+    let vdot;
+    if (time) {
+      const seconds = parseDurationText(time);
+      if (seconds === null) {
+        throw new Error('INVALID_REFERENCE');
+      }
+      vdot = window.PaceZones.vdotFromPerformance(distance, seconds);
+    } else if (!isNaN(vdotInput)) {
+      vdot = vdotInput;
+    } else {
+      throw new Error('INVALID_REFERENCE');
+    }
+    
+    currentPaceZones = window.PaceZones.zonePaces(vdot);
+    displayPaceZones(vdot, currentPaceZones);
+    await window.secureStorage.setItem('paceReference', { 
+      distance: time ? distance : null, 
+      time: time || null, 
+      vdot 
+    });
+    
+    statusEl.textContent = '';
+    statusEl.className = 'upload-status';
+    window.security.logSecurityEvent('PACE_REFERENCE_UPDATED', { vdot });
+  } catch (e) {
+    window.security.logSecurityEvent('PACE_REFERENCE_FAILED', { error: e.message });
+    statusEl.textContent = e.message === 'INVALID_REFERENCE'
+      ? `請輸入有效的比賽成績（時:分:秒 或 分:秒），或 ${window.PaceZones.MIN_VDOT}–${window.PaceZones.MAX_VDOT} 的 VDOT`
+      : '參考成績設定失敗';
+    statusEl.className = 'upload-status error';
+  }
+}
+
+/**
+ * mm:ss 或 h:mm:ss → 秒
+ * @param {string} text - 時間文字
+ * @returns {number|null} 秒數；格式無效時為 null
+ */
+function parseDurationText(text) {
+  if (!/^\d{1,2}:\d{2}(?::\d{2})?$/.test(text)) return null;
+  const parts = text.split(':').map(Number);
+  if (parts.slice(1).some(part => part >= 60)) return null;
+  return parts.length === 3
+    ? parts[0] * 3600 + parts[1] * 60 + parts[2]
+    : parts[0] * 60 + parts[1];
+}
+
+/**
+ * 安全顯示區間配速
+ * @param {number} vdot - VDOT
+ * @param {Object} zones - 區間配速（秒/km）
+ */
+function displayPaceZones(vdot, zones) {
+  const vdotEl = document.getElementById('referenceVdotValue');
+  if (vdotEl) {
+    vdotEl.textContent = `VDOT ${vdot}`;
+  }
+  
+  const tableBody = document.querySelector('#zoneTable tbody');
+  if (!tableBody) return;
+  tableBody.textContent = '';
+  Object.entries(zones).forEach(([zone, seconds]) => {
+    const row = document.createElement('tr');
+    const paceMin = Math.floor(seconds / 60);
+    const paceSec = seconds % 60;
+    [
+      ZONE_LABELS[zone],
+      `${paceMin}'${paceSec.toString().padStart(2, '0')}"/km`,
+      `${(3600 / seconds).toFixed(1)} km/h`
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+}
+
 /**
  * 安全處理單組計算
  * @param {Event} e - 表單提交事件
@@ -174,225 +409,718 @@ function displaySingleIntervalResult(result) {
  * 安全生成完整課表
  */
 function generateWorkout() {
+  const workoutInput = document.getElementById('workoutInput').value.trim();
+  
   try {
-    // 安全獲取輸入
-    const workoutInput = document.getElementById('workoutInput').value.trim();
-    const restType = document.querySelector('input[name="restType"]:checked')?.value || 'fixed';
-    
     // 安全驗證輸入
     if (!workoutInput) {
-      showErrorMessage('請輸入有效的課表');
-      return;
-    }
-    
-    // 安全解析輸入
-    const intervals = parseWorkoutInput(workoutInput);
-    if (intervals.length === 0) {
-      showErrorMessage('無法解析課表輸入');
+      showWorkoutStatus('請輸入有效的課表');
       return;
     }
     
-    // 安全獲取休息時間
-    const restTimes = getRestTimes(intervals, restType);
+    // 安全解析輸入（語法錯誤時拋出 WORKOUT_SYNTAX_ERROR）
+    const { tree, steps } = parseWorkoutInput(workoutInput);
+    const restSettings = readRestSettings();
+    const restType = restSettings.type;
     
-    // 安全生成課表
-    const workout = generateWorkoutSchedule(intervals, restTimes);
+    // 安全生成課表（課表物件為保存、匯出與執行的唯一來源）
+    const workout = generateWorkoutSchedule(steps, restType, currentPaceZones);
+    currentWorkout = { source: workoutInput, tree, restSettings, zones: currentPaceZones, ...workout };
     
     // 安全顯示課表
+    showWorkoutStatus('');
     displayWorkout(workout);
     
     // 安全日誌
     window.security.logSecurityEvent('WORKOUT_GENERATED', {
-      intervalCount: intervals.length,
+      intervalCount: workout.schedule.length,
       restType
     });
   } catch (e) {
     window.security.logSecurityEvent('WORKOUT_GENERATION_FAILED', { 
-      error: e.message 
+      error: e.message,
+      position: e.position
     });
-    showErrorMessage('課表生成失敗');
+    
+    if (e.message === 'WORKOUT_SYNTAX_ERROR') {
+      showWorkoutStatus(formatSyntaxError(e), workoutInput, e.position);
+    } else if (e.message === 'MISSING_PACE_REFERENCE') {
+      showWorkoutStatus('課表使用強度區間（如 @tempo、@Z4），請先設定參考成績');
+    } else {
+      showWorkoutStatus('課表生成失敗');
+    }
   }
 }
 
 /**
- * 安全解析課表輸入
- * @param {string} input - 用戶輸入
- * @returns {Array} 解析後的間歇列表
+ * 安全匯出目前課表（FIT / ZWO / JSON）
+ * @param {string} format - 'fit' | 'zwo' | 'json'
  */
-function parseWorkoutInput(input) {
-  // 安全開發守則強制：【預設不信任使用者輸入】
-  const safeInput = window.security.sanitizeInput(input);
-  const intervals = [];
+function exportWorkout(format) {
+  if (!currentWorkout) {
+    showWorkoutStatus('請先生成課表');
+    return;
+  }
   
-  // 分割輸入 (逗號分隔)
-  const parts = safeInput.split(',').map(part => part.trim());
+  try {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const name = (document.getElementById('workoutName')?.value || '').trim().slice(0, 100) || 'TrailSync 課表';
+    const workout = { 
+      name, 
+      source: currentWorkout.source, 
+      steps: format === 'json' ? currentWorkout.tree.items : buildExportSteps(currentWorkout),
+      restSettings: currentWorkout.restSettings
+    };
+    const zones = currentWorkout.zones;
+    const resolve = step => resolvePace(step, zones);
+    const fileName = name.replace(/[^\w\u4e00-\u9fff-]+/g, '-').slice(0, 50) || 'trailsync-workout';
+    
+    if (format === 'fit') {
+      downloadFile(window.WorkoutExport.toFit(workout, { resolvePace: resolve }), `${fileName}.fit`, 'application/vnd.ant.fit');
+    } else if (format === 'zwo') {
+      const thresholdPace = zones ? zones.threshold : DEFAULT_PACE_SECONDS.work;
+      downloadFile(
+        window.WorkoutExport.toZwo(workout, { resolvePace: resolve, thresholdPace }), 
+        `${fileName}.zwo`, 
+        'application/xml'
+      );
+    } else {
+      downloadFile(window.WorkoutExport.toJson(workout), `${fileName}.json`, 'application/json');
+    }
+    
+    window.security.logSecurityEvent('WORKOUT_EXPORTED', { format });
+  } catch (e) {
+    window.security.logSecurityEvent('WORKOUT_EXPORT_FAILED', { format, error: e.message });
+    showWorkoutStatus(e.message === 'MISSING_PACE_REFERENCE' 
+      ? '課表使用強度區間，請先設定參考成績' 
+      : '匯出失敗，請重試');
+  }
+}
+
+/**
+ * FIT / ZWO 匯出用的課表步驟
+ * 休息時間設定補上的休息只存在於課表日程；有補上時改以展開後的步驟匯出，
+ * 每段之後的休息（指定或設定補上）接為該段的恢復，與規劃器顯示的課表一致。
+ * @param {Object} workout - currentWorkout
+ * @returns {Array} 語法樹 items 格式的步驟
+ */
+function buildExportSteps(workout) {
+  const hasDefaultRest = workout.schedule.some(item => item.restSeconds > 0 && !item.explicitRest);
+  if (!hasDefaultRest) return workout.tree.items;
   
-  for (const part of parts) {
-    if (!part) continue;
+  const nodes = [];
+  let scheduleIndex = 0;
+  window.WorkoutParser.flatten(workout.tree).forEach(({ phase, path, ...step }) => {
+    const previous = nodes[nodes.length - 1];
+    if (phase === 'recovery') {
+      // 巢狀重複的內外層恢復相鄰時，第二段恢復獨立成一步
+      if (previous && !previous.recovery) {
+        previous.recovery = step;
+      } else {
+        nodes.push({ type: 'step', ...step, phase: 'recovery', recovery: null });
+      }
+      return;
+    }
     
-    // 解析距離/時間
-    const distanceMatch = part.match(/(\d+)(m|meter|metres)/i);
-    const timeMatch = part.match(/(\d+[':]?\d*)s?(?:\*(\d+))?/i);
+    const item = workout.schedule[scheduleIndex++];
+    nodes.push({
+      type: 'step',
+      ...step,
+      phase: phase === 'work' ? null : phase,
+      recovery: item && item.restSeconds > 0 && !item.explicitRest
+        ? { kind: 'time', distance: null, duration: item.restSeconds, vertical: null, grade: null, target: null }
+        : null
+    });
+  });
+  return nodes;
+}
+
+/**
+ * 安全匯入 JSON 課表並重建於規劃器
+ * @param {Event} e - 檔案上傳事件
+ */
+async function importWorkout(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  try {
+    // 安全開發守則強制：【驗證副檔名 & 檔案大小】
+    if (!file.name.toLowerCase().endsWith('.json') || file.size > window.WorkoutExport.MAX_IMPORT_SIZE) {
+      throw new Error('INVALID_WORKOUT_FILE');
+    }
     
-    if (distanceMatch) {
-      const distance = parseInt(distanceMatch[1]);
-      intervals.push({
-        type: 'distance',
-        value: distance,
-        count: 1
-      });
-    } else if (timeMatch) {
-      const timeStr = timeMatch[1].replace("'", ":");
-      const count = timeMatch[3] ? parseInt(timeMatch[3]) : 1;
-      
-      // 驗證時間格式
-      const timePattern = /^\d{1,2}:\d{2}$/;
-      if (!timePattern.test(timeStr)) continue;
-      
-      intervals.push({
-        type: 'time',
-        value: timeStr,
-        count: count
-      });
+    const imported = window.WorkoutExport.fromJson(await file.text());
+    
+    // 轉回課表文字後重新解析，沿用相同的語法與上限檢查
+    document.getElementById('workoutInput').value = window.WorkoutExport.toDsl(imported.steps);
+    const nameInput = document.getElementById('workoutName');
+    if (nameInput) nameInput.value = imported.name;
+    applyRestSettings(imported.restSettings);
+    resetTemplateEditor();
+    generateWorkout();
+    
+    window.security.logSecurityEvent('WORKOUT_IMPORTED', { fileSize: file.size });
+  } catch (err) {
+    window.security.logSecurityEvent('WORKOUT_IMPORT_FAILED', { error: err.message });
+    showWorkoutStatus('無法匯入：僅支援本系統匯出的 JSON 課表檔');
+  } finally {
+    e.target.value = ''; // 清空輸入
+  }
+}
+
+/**
+ * 開始即時執行目前課表
+ */
+async function startSession() {
+  if (!currentWorkout) {
+    showWorkoutStatus('請先生成課表');
+    return;
+  }
+  if (activeSession && activeSession.status !== 'finished') return;
+  
+  try {
+    const segments = window.SessionRunner.buildSegments(currentWorkout.schedule);
+    activeSession = window.SessionRunner.create(segments, Date.now());
+    activeSession.workoutName = (document.getElementById('workoutName')?.value || '').trim().slice(0, 100);
+    
+    // 音效需在使用者操作時建立
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!sessionAudio && AudioContextClass) {
+      sessionAudio = new AudioContextClass();
+    }
+    await requestWakeLock();
+    
+    document.getElementById('sessionRunner').hidden = false;
+    document.getElementById('sessionResult').hidden = true;
+    document.getElementById('sessionPause').textContent = '暫停';
+    announceSegment(window.SessionRunner.current(activeSession));
+    renderSession();
+    sessionTimer = setInterval(updateSession, SESSION_TICK_MS);
+    
+    window.security.logSecurityEvent('INTERVAL_SESSION_STARTED', { segments: segments.length });
+  } catch (e) {
+    activeSession = null;
+    window.security.logSecurityEvent('INTERVAL_SESSION_FAILED', { error: e.message });
+    showWorkoutStatus(e.message === 'EMPTY_SESSION' ? '課表沒有可執行的段落' : '無法開始課表，請重試');
+  }
+}
+
+/**
+ * 定時推進執行狀態並處理提示
+ */
+function updateSession() {
+  if (!activeSession) return;
+  handleSessionEvents(window.SessionRunner.tick(activeSession, Date.now()));
+  if (activeSession.status !== 'finished') renderSession();
+}
+
+/**
+ * 記錄分段 / 略過目前段落
+ * @param {string} action - 'lap' | 'skip'
+ */
+function handleSessionAction(action) {
+  if (!activeSession) return;
+  handleSessionEvents(window.SessionRunner[action](activeSession, Date.now()));
+  if (activeSession.status !== 'finished') renderSession();
+}
+
+/**
+ * 暫停 / 繼續
+ */
+function toggleSessionPause() {
+  if (!activeSession) return;
+  const pauseBtn = document.getElementById('sessionPause');
+  
+  if (activeSession.status === 'paused') {
+    window.SessionRunner.resume(activeSession, Date.now());
+    pauseBtn.textContent = '暫停';
+    speak('繼續');
+  } else {
+    window.SessionRunner.pause(activeSession, Date.now());
+    pauseBtn.textContent = '繼續';
+    speak('暫停');
+  }
+  renderSession();
+}
+
+/**
+ * 依執行事件播放提示
+ * @param {Array} events - SessionRunner 事件
+ */
+function handleSessionEvents(events) {
+  events.forEach(event => {
+    if (event.type === 'countdown') {
+      playBeep(660, 0.12);
+    } else if (event.type === 'segment') {
+      playBeep(990, 0.4);
+      announceSegment(event.segment);
+    } else if (event.type === 'finish') {
+      finishSession();
+    }
+  });
+}
+
+/**
+ * 安全更新執行畫面
+ */
+function renderSession() {
+  const segment = window.SessionRunner.current(activeSession);
+  if (!segment) return;
+  
+  const now = Date.now();
+  const remaining = window.SessionRunner.remaining(activeSession, now);
+  const next = activeSession.segments[activeSession.index + 1];
+  const runSegments = activeSession.segments.filter(item => item.type === 'run').length;
+  
+  // 安全開發守則強制：【防止 XSS】
+  document.getElementById('sessionSegment').textContent = describeSegment(segment);
+  document.getElementById('sessionCountdown').textContent = remaining >= 0 
+    ? formatTime(Math.ceil(remaining)) 
+    : `+${formatTime(Math.floor(-remaining))}`;
+  document.getElementById('sessionCountdown').className = 
+    `session-countdown session-${segment.type}${remaining < 0 ? ' overtime' : ''}`;
+  document.getElementById('sessionTarget').textContent = segment.type === 'run'
+    ? `目標 ${formatTime(segment.duration)}${segment.pace ? `（${segment.pace}/km）` : ''}`
+    : '';
+  document.getElementById('sessionNext').textContent = next ? `下一段：${describeSegment(next)}` : '最後一段';
+  document.getElementById('sessionProgress').textContent = 
+    `已完成 ${activeSession.laps.length} / ${runSegments} 段 · 總時間 ${formatTime(Math.floor(window.SessionRunner.totalElapsed(activeSession, now)))}`;
+  document.getElementById('sessionLap').disabled = segment.type !== 'run' || activeSession.status !== 'running';
+}
+
+/**
+ * 段落說明文字
+ * @param {Object} segment - 段落
+ * @returns {string} 說明
+ */
+function describeSegment(segment) {
+  if (segment.type === 'rest') {
+    return `恢復 ${formatTime(segment.duration)}`;
+  }
+  const name = segment.phase === 'work' ? `第 ${segment.label} 組` : segment.label;
+  if (segment.kind === 'vertical') {
+    return `${name} · 爬升 ${segment.gain} m（${segment.grade}%）`;
+  }
+  return segment.kind === 'distance' ? `${name} · ${segment.distance} m` : `${name} · ${formatTime(segment.duration)}`;
+}
+
+/**
+ * 以語音播報段落
+ * @param {Object} segment - 段落
+ */
+function announceSegment(segment) {
+  if (!segment) return;
+  if (segment.type === 'rest') {
+    speak(`恢復 ${formatSpokenTime(segment.duration)}`);
+    return;
+  }
+  const name = segment.phase === 'work' ? `第 ${segment.label} 組` : segment.label;
+  const amount = segment.kind === 'vertical' ? `爬升 ${segment.gain} 公尺，坡度 ${segment.grade}%` :
+    segment.kind === 'distance' ? `${segment.distance} 公尺` : formatSpokenTime(segment.duration);
+  speak(`${name}，${amount}，目標 ${formatSpokenTime(segment.duration)}`);
+}
+
+/**
+ * 秒數轉為語音用文字
+ * @param {number} seconds - 秒
+ * @returns {string} 例：1 分 30 秒
+ */
+function formatSpokenTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  if (minutes === 0) return `${rest} 秒`;
+  return rest > 0 ? `${minutes} 分 ${rest} 秒` : `${minutes} 分鐘`;
+}
+
+/**
+ * 播放提示音（Web Audio）
+ * @param {number} frequency - 頻率 (Hz)
+ * @param {number} seconds - 長度 (秒)
+ */
+function playBeep(frequency, seconds) {
+  if (!sessionAudio) return;
+  try {
+    const oscillator = sessionAudio.createOscillator();
+    const gain = sessionAudio.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.3, sessionAudio.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, sessionAudio.currentTime + seconds);
+    oscillator.connect(gain);
+    gain.connect(sessionAudio.destination);
+    oscillator.start();
+    oscillator.stop(sessionAudio.currentTime + seconds);
+  } catch (e) {
+    window.security.logSecurityEvent('SESSION_AUDIO_FAILED', { error: e.message });
+  }
+}
+
+/**
+ * 語音提示（瀏覽器不支援時略過）
+ * @param {string} text - 播報內容
+ */
+function speak(text) {
+  if (!window.speechSynthesis || !window.SpeechSynthesisUtterance) return;
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = 'zh-TW';
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+}
+
+/**
+ * 執行期間保持螢幕常亮（瀏覽器不支援時略過）
+ */
+async function requestWakeLock() {
+  try {
+    if (navigator.wakeLock) {
+      sessionWakeLock = await navigator.wakeLock.request('screen');
     }
+  } catch (e) {
+    sessionWakeLock = null;
   }
+}
+
+/**
+ * 結束課表、顯示計畫 vs 實際並保存為活動
+ */
+async function finishSession() {
+  if (!activeSession) return;
+  
+  clearInterval(sessionTimer);
+  sessionTimer = null;
+  if (sessionWakeLock) {
+    sessionWakeLock.release().catch(() => {});
+    sessionWakeLock = null;
+  }
+  
+  window.SessionRunner.stop(activeSession, Date.now());
+  const summary = window.SessionRunner.summary(activeSession);
+  const session = activeSession;
+  speak('課表結束');
   
-  return intervals;
+  document.getElementById('sessionRunner').hidden = true;
+  displaySessionResult(summary);
+  
+  if (summary.completed === 0) {
+    showSessionStatus('未完成任何一組，未保存活動', 'error');
+    return;
+  }
+  
+  try {
+    await saveSessionActivity(session, summary);
+    showSessionStatus('已保存為活動，可於個人數據中心查看', 'success');
+  } catch (e) {
+    window.security.logSecurityEvent('INTERVAL_SESSION_SAVE_FAILED', { error: e.message });
+    showSessionStatus('保存失敗，請重試', 'error');
+  }
 }
 
 /**
- * 安全獲取休息時間
- * @param {Array} intervals - 間歇列表
+ * 安全顯示計畫 vs 實際
+ * @param {Object} summary - SessionRunner.summary 結果
+ */
+function displaySessionResult(summary) {
+  const tableBody = document.querySelector('#sessionResultTable tbody');
+  if (!tableBody) return;
+  
+  // 安全開發守則強制：【防止 XSS】
+  tableBody.textContent = '';
+  summary.laps.forEach(lap => {
+    const row = document.createElement('tr');
+    row.className = `phase-${lap.phase}`;
+    const difference = lap.difference === null ? '' : 
+      `${lap.difference > 0 ? '+' : lap.difference < 0 ? '-' : ''}${formatTime(Math.abs(lap.difference))}`;
+    [
+      lap.phase === 'work' ? lap.label : PHASE_LABELS[lap.phase] || lap.label,
+      `${lap.distance} m`,
+      formatTime(lap.plannedSeconds),
+      lap.skipped ? '略過' : lap.plannedOnly ? '依計畫' : formatTime(lap.actualSeconds),
+      difference
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+  
+  const plannedOnly = summary.completed - summary.splits;
+  document.getElementById('sessionResultSummary').textContent = 
+    `完成 ${summary.completed} / ${summary.laps.length} 段，總時間 ${formatTime(summary.elapsedSeconds)}` +
+    (plannedOnly > 0 ? `（${plannedOnly} 段時間型依計畫結束，以計畫距離計）` : '');
+  document.getElementById('sessionResult').hidden = false;
+}
+
+/**
+ * 安全保存執行結果為活動（距離與爬升計入未略過的段落；依計畫結束的時間型段落以計畫值計）
+ * @param {Object} session - SessionRunner 狀態
+ * @param {Object} summary - SessionRunner.summary 結果
+ */
+async function saveSessionActivity(session, summary) {
+  const distanceKm = summary.distance / 1000;
+  const hours = summary.elapsedSeconds / 3600;
+  const epProfile = window.epEngine.getProfile().id;
+  const ep = window.epEngine.calculateEp({ distance: distanceKm, gain: summary.gain, loss: 0 }, epProfile);
+  
+  const activity = {
+    distance: distanceKm.toFixed(2),
+    elevation: summary.gain.toFixed(0),
+    duration: formatClockTime(summary.elapsedSeconds),
+    ep: ep.toFixed(2),
+    eph: hours > 0 ? window.epEngine.calculateEph(ep, hours).toFixed(2) : '0.00',
+    epProfile,
+    startTime: new Date(session.startedAt).toISOString(),
+    intervalSession: {
+      name: session.workoutName || '',
+      source: currentWorkout ? currentWorkout.source : '',
+      laps: summary.laps
+    },
+    timestamp: new Date().toISOString()
+  };
+  
+  // 安全開發守則強制：【最小權限原則】
+  const activities = await window.secureStorage.getItem('activities') || [];
+  activities.push(activity);
+  await window.secureStorage.setItem('activities', activities);
+  
+  window.security.logSecurityEvent('INTERVAL_SESSION_SAVED', { 
+    laps: summary.laps.length,
+    completed: summary.completed
+  });
+}
+
+/**
+ * 安全顯示執行結果狀態
+ * @param {string} message - 訊息
+ * @param {string} type - 'success' | 'error'
+ */
+function showSessionStatus(message, type) {
+  const statusEl = document.getElementById('sessionStatus');
+  if (statusEl) {
+    statusEl.textContent = message;
+    statusEl.className = `upload-status ${type}`;
+  }
+}
+
+/**
+ * 安全下載檔案（Blob，無新窗口）
+ * @param {string|Uint8Array} content - 檔案內容
+ * @param {string} fileName - 檔名
+ * @param {string} mimeType - MIME 類型
+ */
+function downloadFile(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * 安全解析課表輸入
+ * @param {string} input - 用戶輸入
+ * @returns {Object} { tree: 語法樹, steps: 展開後的步驟 }
+ */
+function parseWorkoutInput(input) {
+  // 安全開發守則強制：【預設不信任使用者輸入】（白名單語法解析，不執行任何輸入內容）
+  const tree = window.WorkoutParser.parse(input);
+  return { tree, steps: window.WorkoutParser.flatten(tree) };
+}
+
+/**
+ * 語法錯誤說明
+ * @param {Error} error - WORKOUT_SYNTAX_ERROR（含 position、token、expected）
+ * @returns {string} 錯誤訊息
+ */
+function formatSyntaxError(error) {
+  const where = error.token 
+    ? `第 ${error.position + 1} 個字元「${error.token}」` 
+    : `第 ${error.position + 1} 個字元（輸入結尾）`;
+  return `課表語法錯誤：${where}，預期為${error.expected}`;
+}
+
+/**
+ * 安全獲取未指定恢復時的預設休息時間
+ * @param {Array} runs - 需要預設休息的課表段（依序）
  * @param {string} restType - 休息類型
- * @returns {Array} 休息時間列表
+ * @returns {Array} 休息秒數列表
  */
-function getRestTimes(intervals, restType) {
-  const restTimes = [];
+function getRestTimes(runs, restType) {
+  const toSeconds = time => {
+    const [min, sec] = time.split(':').map(Number);
+    return min * 60 + sec;
+  };
+  const timePattern = /^\d{1,2}:\d{2}$/;
   
   switch (restType) {
-    case 'fixed':
-      const fixedTime = document.getElementById('fixedRestTime').value || '02:00';
-      for (let i = 0; i < intervals.length - 1; i++) {
-        restTimes.push(fixedTime);
-      }
-      break;
-      
-    case 'ratio':
+    case 'ratio': {
       const ratio = parseFloat(document.getElementById('ratioValue').value) || 0.8;
-      for (let i = 0; i < intervals.length - 1; i++) {
-        if (intervals[i].type === 'time') {
-          const [min, sec] = intervals[i].value.split(':').map(Number);
-          const totalSec = min * 60 + sec;
-          const restSec = Math.round(totalSec * ratio);
-          const restMin = Math.floor(restSec / 60);
-          const restSecRem = restSec % 60;
-          restTimes.push(`${restMin.toString().padStart(2, '0')}:${restSecRem.toString().padStart(2, '0')}`);
-        } else {
-          restTimes.push('02:00'); // 默認
-        }
-      }
-      break;
+      return runs.map(run => Math.round(run.duration * ratio));
+    }
       
-    case 'manual':
+    case 'manual': {
+      const restTimes = [];
       const manualInput = document.getElementById('manualRestInput').value.trim();
-      if (manualInput) {
-        const parts = manualInput.split(',').map(part => part.trim());
-        for (const part of parts) {
-          const timeMatch = part.match(/(\d{1,2}:\d{2})(?:\*(\d+))?/);
-          if (timeMatch) {
-            const time = timeMatch[1];
-            const count = timeMatch[2] ? parseInt(timeMatch[2]) : 1;
-            for (let i = 0; i < count; i++) {
-              restTimes.push(time);
-            }
+      manualInput.split(',').map(part => part.trim()).forEach(part => {
+        const timeMatch = part.match(/^(\d{1,2}:\d{2})(?:\*(\d+))?$/);
+        if (timeMatch) {
+          const count = timeMatch[2] ? Math.min(parseInt(timeMatch[2]), 100) : 1;
+          for (let i = 0; i < count; i++) {
+            restTimes.push(toSeconds(timeMatch[1]));
           }
         }
-      }
+      });
       // 填充剩餘
-      while (restTimes.length < intervals.length - 1) {
-        restTimes.push(restTimes[restTimes.length - 1] || '02:00');
+      while (restTimes.length < runs.length) {
+        restTimes.push(restTimes[restTimes.length - 1] || DEFAULT_REST_SECONDS);
       }
-      break;
+      return restTimes;
+    }
+      
+    default: {
+      const fixedTime = document.getElementById('fixedRestTime').value;
+      const seconds = timePattern.test(fixedTime) ? toSeconds(fixedTime) : DEFAULT_REST_SECONDS;
+      return runs.map(() => seconds);
+    }
+  }
+}
+
+/**
+ * 單段的目標配速：指定配速 > 強度區間 > 階段預設區間 > 固定預設配速
+ * 坡度段的區間 / 預設配速視為平地努力程度，依每公里 EP 換算為坡上的實際配速。
+ * @param {Object} step - 展開後的步驟
+ * @param {Object|null} zones - 區間配速
+ * @returns {number} 配速 (秒/km)
+ */
+function resolvePace(step, zones) {
+  if (step.target && step.target.type === 'pace') {
+    return step.target.secondsPerKm;
   }
   
-  // 確保數量正確
-  while (restTimes.length < intervals.length - 1) {
-    restTimes.push('02:00');
+  let effortPace;
+  if (step.target && step.target.type === 'zone') {
+    if (!zones) {
+      throw new Error('MISSING_PACE_REFERENCE');
+    }
+    effortPace = zones[step.target.zone];
+  } else {
+    effortPace = zones ? zones[DEFAULT_PHASE_ZONES[step.phase]] : DEFAULT_PACE_SECONDS[step.phase];
   }
   
-  return restTimes;
+  if (!step.grade) return effortPace;
+  const epPerKm = window.epEngine.calculateEp({ distance: 1, gain: step.grade * 10 });
+  return Math.round(effortPace * epPerKm);
+}
+
+/**
+ * 單段的距離、時間與爬升（由目標配速互相推算）
+ * @param {Object} step - 展開後的步驟
+ * @param {Object|null} zones - 區間配速
+ * @returns {Object} { distance (m), duration (s), gain (m), paceSeconds }
+ */
+function resolveStep(step, zones) {
+  const paceSeconds = resolvePace(step, zones);
+  
+  let distance;
+  let duration;
+  if (step.kind === 'time') {
+    // 時間型恢復視為原地休息，不計距離
+    distance = step.phase === 'recovery' && !step.target && !step.grade 
+      ? 0 
+      : Math.round(step.duration / paceSeconds * 1000);
+    duration = step.duration;
+  } else {
+    distance = step.distance;
+    duration = Math.round(step.distance / 1000 * paceSeconds);
+  }
+  
+  const gain = step.kind === 'vertical' ? step.vertical : Math.round(distance * (step.grade || 0) / 100);
+  return { distance, duration, gain, paceSeconds };
 }
 
 /**
  * 安全生成課表日程
- * @param {Array} intervals - 間歇列表
- * @param {Array} restTimes - 休息時間列表
+ * @param {Array} steps - 展開後的步驟
+ * @param {string} restType - 未指定恢復時的預設休息類型
+ * @param {Object|null} zones - 區間配速（未設定參考成績時為 null）
  * @returns {Object} 課表數據
  */
-function generateWorkoutSchedule(intervals, restTimes) {
+function generateWorkoutSchedule(steps, restType, zones) {
   const schedule = [];
   let totalDistance = 0;
+  let totalGain = 0;
   let totalRunSec = 0;
   let totalRestSec = 0;
+  let workIndex = 1;
   
-  let intervalIndex = 1;
-  for (let i = 0; i < intervals.length; i++) {
-    const interval = intervals[i];
+  steps.forEach((step, i) => {
+    const resolved = resolveStep(step, zones);
+    totalDistance += resolved.distance;
+    totalGain += resolved.gain;
     
-    for (let j = 0; j < interval.count; j++) {
-      let distance = 0;
-      let time = '';
-      let pace = '';
-      let speed = '';
-      
-      if (interval.type === 'distance') {
-        distance = interval.value;
-        // 假設配速 4'00"/km
-        const paceMin = 4;
-        const paceSec = 0;
-        const totalSec = (distance / 1000) * (paceMin * 60 + paceSec);
-        time = formatTime(totalSec);
-        pace = `${paceMin}'${paceSec.toString().padStart(2, '0')}"`;
-        speed = ((distance / 1000) / (totalSec / 3600)).toFixed(1);
-      } else {
-        time = interval.value;
-        const [min, sec] = time.split(':').map(Number);
-        const totalSec = min * 60 + sec;
-        // 假設距離 400m
-        distance = 400;
-        const paceMin = Math.floor(totalSec / 60);
-        const paceSec = totalSec % 60;
-        pace = `${paceMin}'${paceSec.toString().padStart(2, '0')}"`;
-        speed = ((distance / 1000) / (totalSec / 3600)).toFixed(1);
-      }
-      
-      schedule.push({
-        number: intervalIndex++,
-        distance: distance,
-        time: time,
-        pace: pace,
-        speed: speed,
-        rest: i < intervals.length - 1 ? restTimes[i] : ''
-      });
-      
-      totalDistance += distance;
-      const [runMin, runSec] = time.split(':').map(Number);
-      totalRunSec += runMin * 60 + runSec;
-      
-      if (i < intervals.length - 1) {
-        const [restMin, restSec] = restTimes[i].split(':').map(Number);
-        totalRestSec += restMin * 60 + restSec;
-      }
+    if (step.phase === 'recovery') {
+      // 恢復併入前一段的休息欄
+      const previous = schedule[schedule.length - 1];
+      if (previous) previous.restSeconds += resolved.duration;
+      totalRestSec += resolved.duration;
+      return;
     }
-  }
+    
+    const paceMin = Math.floor(resolved.paceSeconds / 60);
+    const paceSec = Math.round(resolved.paceSeconds % 60);
+    const ep = window.epEngine.calculateEp({ distance: resolved.distance / 1000, gain: resolved.gain });
+    const speed = resolved.distance / 1000 / (resolved.duration / 3600);
+    schedule.push({
+      number: step.phase === 'work' ? `${workIndex++}` : PHASE_LABELS[step.phase],
+      phase: step.phase,
+      kind: step.kind,
+      distance: resolved.distance,
+      duration: resolved.duration,
+      time: formatTime(resolved.duration),
+      pace: `${paceMin}'${paceSec.toString().padStart(2, '0')}"`,
+      intensity: step.target && step.target.type === 'zone' ? ZONE_LABELS[step.target.zone] : '',
+      speed: speed.toFixed(1),
+      gain: resolved.gain,
+      grade: step.grade || 0,
+      ep: parseFloat(ep.toFixed(2)),
+      eph: parseFloat(window.epEngine.calculateEph(ep, resolved.duration / 3600).toFixed(2)),
+      // 跑步機設定：以換算器坡度模型求出與此段等效爬升相同的坡度
+      treadmill: {
+        speed: parseFloat(speed.toFixed(1)),
+        incline: parseFloat(window.InclineModel.inclineForElevation(resolved.gain, resolved.distance / 1000).toFixed(1))
+      },
+      restSeconds: 0,
+      explicitRest: steps[i + 1]?.phase === 'recovery'
+    });
+    totalRunSec += resolved.duration;
+  });
+  
+  // 連續主課段之間未指定恢復時，套用休息時間設定
+  const needsRest = schedule.filter((item, i) => 
+    item.phase === 'work' && !item.explicitRest && schedule[i + 1]?.phase === 'work'
+  );
+  getRestTimes(needsRest, restType).forEach((seconds, i) => {
+    needsRest[i].restSeconds = seconds;
+    totalRestSec += seconds;
+  });
+  
+  schedule.forEach(item => {
+    item.rest = item.restSeconds > 0 ? formatTime(item.restSeconds) : '';
+  });
   
-  // 計算總時間
+  // 計算總時間與訓練負荷（EP 含坡度段的爬升）
   const totalWorkoutSec = totalRunSec + totalRestSec;
+  const ep = window.epEngine.calculateEp({ distance: totalDistance / 1000, gain: totalGain, loss: 0 });
   const totalTime = {
     distance: totalDistance,
+    gain: totalGain,
     run: formatTime(totalRunSec),
     rest: formatTime(totalRestSec),
-    workout: formatTime(totalWorkoutSec)
+    workout: formatTime(totalWorkoutSec),
+    ep: parseFloat(ep.toFixed(1)),
+    eph: totalWorkoutSec > 0 ? parseFloat(window.epEngine.calculateEph(ep, totalWorkoutSec / 3600).toFixed(2)) : 0
   };
   
   return {
@@ -415,7 +1143,9 @@ function displayWorkout(workout) {
   // 更新總覽
   const totalDistanceEl = document.getElementById('totalDistance');
   if (totalDistanceEl) {
-    totalDistanceEl.textContent = `${workout.totalTime.distance} m`;
+    totalDistanceEl.textContent = workout.totalTime.gain 
+      ? `${workout.totalTime.distance} m（+${workout.totalTime.gain} m）` 
+      : `${workout.totalTime.distance} m`;
   }
   
   const totalRunTimeEl = document.getElementById('totalRunTime');
@@ -433,17 +1163,27 @@ function displayWorkout(workout) {
     totalWorkoutTimeEl.textContent = workout.totalTime.workout;
   }
   
+  const totalLoadEl = document.getElementById('totalLoad');
+  if (totalLoadEl) {
+    totalLoadEl.textContent = `${workout.totalTime.ep} EP（EPH ${workout.totalTime.eph}）`;
+  }
+  
   // 更新表格
   const tableBody = document.querySelector('#workoutTable tbody');
   if (tableBody) {
     let html = '';
     workout.schedule.forEach(item => {
       html += `
-        <tr>
+        <tr class="phase-${item.phase}">
           <td>${item.number}</td>
           <td>${item.distance} m</td>
+          <td>${item.gain ? `+${item.gain} m（${item.grade}%）` : ''}</td>
           <td>${item.time}</td>
           <td>${item.pace}</td>
+          <td>${item.speed} km/h</td>
+          <td>${item.intensity}</td>
+          <td>${item.ep ?? ''}</td>
+          <td>${item.eph ?? ''}</td>
           <td>${item.rest}</td>
         </tr>
       `;
@@ -451,65 +1191,451 @@ function displayWorkout(workout) {
     
     window.security.renderSafeContent(tableBody, html);
   }
+  
+  displayTreadmillSettings(workout.schedule);
 }
 
 /**
- * 安全保存課表
+ * 安全顯示跑步機設定（每段的時間、速度與坡度）
+ * @param {Array} schedule - 課表日程
+ */
+function displayTreadmillSettings(schedule) {
+  const tableBody = document.querySelector('#treadmillTable tbody');
+  if (!tableBody) return;
+  
+  // 安全開發守則強制：【防止 XSS】
+  tableBody.textContent = '';
+  schedule.forEach(item => {
+    // 舊版保存的課表沒有跑步機設定
+    if (!item.treadmill) return;
+    const row = document.createElement('tr');
+    row.className = `phase-${item.phase}`;
+    [
+      item.number,
+      item.time,
+      `${item.treadmill.speed} km/h`,
+      `${item.treadmill.incline}%`,
+      item.rest ? `${item.rest}（停止或步行）` : ''
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * 安全保存課表至課表庫（以生成的課表物件為準；編輯中的範本課表內容變更時新增版本）
  */
 async function saveWorkout() {
   try {
-    // 安全獲取課表數據
-    const schedule = [];
-    const rows = document.querySelectorAll('#workoutTable tbody tr');
-    
-    for (const row of rows) {
-      const cells = row.querySelectorAll('td');
-      schedule.push({
-        number: parseInt(cells[0].textContent),
-        distance: parseInt(cells[1].textContent),
-        time: cells[2].textContent,
-        pace: cells[3].textContent,
-        speed: parseFloat(cells[4].textContent),
-        rest: cells[5].textContent
-      });
-    }
-    
-    if (schedule.length === 0) {
-      showErrorMessage('無課表數據可保存');
+    if (!currentWorkout || currentWorkout.schedule.length === 0) {
+      showTemplateStatus('無課表數據可保存', 'error');
       return;
     }
     
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const name = (document.getElementById('workoutName')?.value || '').trim().slice(0, 100) || '未命名課表';
+    const tags = getSelectedTags();
+    const now = new Date().toISOString();
+    const version = {
+      savedAt: now,
+      source: currentWorkout.source,
+      tree: currentWorkout.tree,
+      restSettings: currentWorkout.restSettings,
+      zones: currentWorkout.zones,
+      schedule: currentWorkout.schedule,
+      totalTime: currentWorkout.totalTime
+    };
+    
     // 安全開發守則強制：【最小權限原則】
-    const workouts = (await window.secureStorage.getItem('workouts') || []);
-    const newWorkout = {
-      id: Date.now().toString(36),
-      timestamp: new Date().toISOString(),
-      schedule: schedule,
-      totalTime: {
-        distance: document.getElementById('totalDistance')?.textContent || '0 m',
-        run: document.getElementById('totalRunTime')?.textContent || '0:00',
-        rest: document.getElementById('totalRestTime')?.textContent || '0:00',
-        workout: document.getElementById('totalWorkoutTime')?.textContent || '0:00'
+    const templates = await loadWorkoutTemplates();
+    let template = templates.find(item => item.id === currentTemplateId);
+    if (template) {
+      const latest = template.versions[template.versions.length - 1];
+      // 配速區間變更時配速與日程也不同，同樣建立新版本
+      const changed = !latest || latest.source !== version.source ||
+        JSON.stringify(latest.restSettings) !== JSON.stringify(version.restSettings) ||
+        JSON.stringify(latest.zones ?? null) !== JSON.stringify(version.zones ?? null);
+      if (changed) {
+        template.versions.push({ version: (latest ? latest.version : 0) + 1, ...version });
+        template.versions = template.versions.slice(-MAX_TEMPLATE_VERSIONS);
       }
-    };
+      template.name = name;
+      template.tags = tags;
+      template.updatedAt = now;
+    } else {
+      template = {
+        id: `workout_${Date.now().toString(36)}`,
+        name,
+        tags,
+        createdAt: now,
+        updatedAt: now,
+        versions: [{ version: 1, ...version }]
+      };
+      templates.push(template);
+      currentTemplateId = template.id;
+    }
     
     // 安全存儲
-    workouts.push(newWorkout);
-    await window.secureStorage.setItem('workouts', workouts);
+    await window.secureStorage.setItem('workouts', templates);
+    workoutTemplates = templates;
+    renderTemplateList();
+    updateTemplateEditing(template);
     
     // 安全反饋
-    showSuccessMessage('課表已安全保存至個人數據中心');
+    const latest = template.versions[template.versions.length - 1];
+    showTemplateStatus(`已保存「${template.name}」v${latest.version}`, 'success');
     
     // 安全日誌
     window.security.logSecurityEvent('WORKOUT_SAVED', { 
-      workoutId: newWorkout.id,
-      intervalCount: schedule.length
+      workoutId: template.id,
+      version: latest.version,
+      intervalCount: currentWorkout.schedule.length
     });
   } catch (e) {
     window.security.logSecurityEvent('WORKOUT_SAVE_FAILED', { 
       error: e.message 
     });
-    showErrorMessage('保存失敗，請重試');
+    showTemplateStatus('保存失敗，請重試', 'error');
+  }
+}
+
+/**
+ * 安全讀取課表庫（首次載入時將舊版平面紀錄轉為單一版本的範本）
+ * @returns {Promise<Array>} 範本列表
+ */
+async function loadWorkoutTemplates() {
+  const stored = await window.secureStorage.getItem('workouts') || [];
+  let migrated = 0;
+  
+  const templates = stored.map(item => {
+    if (Array.isArray(item.versions)) return item;
+    migrated++;
+    const savedAt = item.timestamp || new Date().toISOString();
+    return {
+      id: `workout_${item.id}`,
+      name: `課表 ${savedAt.slice(0, 10)}`,
+      tags: [],
+      createdAt: savedAt,
+      updatedAt: savedAt,
+      versions: [{ 
+        version: 1, 
+        savedAt, 
+        source: '', 
+        schedule: item.schedule || [], 
+        totalTime: item.totalTime || {} 
+      }]
+    };
+  });
+  
+  if (migrated > 0) {
+    await window.secureStorage.setItem('workouts', templates);
+    window.security.logSecurityEvent('WORKOUTS_MIGRATED', { count: migrated });
+  }
+  return templates;
+}
+
+/**
+ * 安全初始化課表庫
+ */
+async function initTemplateLibrary() {
+  try {
+    workoutTemplates = await loadWorkoutTemplates();
+    renderTemplateList();
+  } catch (e) {
+    window.security.logSecurityEvent('WORKOUT_LIBRARY_LOAD_FAILED', { error: e.message });
+  }
+}
+
+/**
+ * 安全顯示課表庫（依搜尋文字與標籤過濾）
+ */
+function renderTemplateList() {
+  const listEl = document.getElementById('templateList');
+  if (!listEl) return;
+  
+  // 安全開發守則強制：【預設不信任使用者輸入】
+  const query = (document.getElementById('templateSearch')?.value || '').trim().toLowerCase().slice(0, 100);
+  const tagFilter = document.getElementById('templateTagFilter')?.value || 'all';
+  
+  const filtered = workoutTemplates
+    .filter(template => tagFilter === 'all' || template.tags.includes(tagFilter))
+    .filter(template => {
+      if (!query) return true;
+      const latest = template.versions[template.versions.length - 1];
+      return [template.name, latest ? latest.source : '', ...template.tags.map(tag => WORKOUT_TAGS[tag] || tag)]
+        .some(text => text.toLowerCase().includes(query));
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  
+  if (filtered.length === 0) {
+    window.security.renderSafeContent(
+      listEl, 
+      `<div class="empty-state">${workoutTemplates.length === 0 ? '尚無保存的課表' : '無符合條件的課表'}</div>`
+    );
+    return;
+  }
+  
+  listEl.textContent = '';
+  filtered.forEach(template => {
+    // 安全開發守則強制：【防止 XSS】（課表名稱與內容為使用者輸入）
+    const latest = template.versions[template.versions.length - 1];
+    const item = document.createElement('div');
+    item.className = template.id === currentTemplateId ? 'template-item selected' : 'template-item';
+    
+    const header = document.createElement('div');
+    header.className = 'template-header';
+    const name = document.createElement('span');
+    name.textContent = template.name;
+    header.appendChild(name);
+    const tags = document.createElement('span');
+    template.tags.forEach(tag => {
+      const badge = document.createElement('span');
+      badge.className = 'template-tag';
+      badge.textContent = WORKOUT_TAGS[tag] || tag;
+      tags.appendChild(badge);
+    });
+    header.appendChild(tags);
+    item.appendChild(header);
+    
+    const details = document.createElement('div');
+    details.className = 'template-details';
+    details.textContent = 
+      `v${latest.version}・共 ${template.versions.length} 個版本・更新於 ${template.updatedAt.slice(0, 10)}` +
+      (latest.totalTime.distance ? `・${formatTemplateDistance(latest.totalTime.distance)} / ${latest.totalTime.workout}` : '');
+    item.appendChild(details);
+    
+    if (latest.source) {
+      const source = document.createElement('div');
+      source.className = 'template-source';
+      source.textContent = latest.source;
+      item.appendChild(source);
+    }
+    
+    const history = document.createElement('div');
+    history.className = 'template-versions';
+    history.hidden = true;
+    [...template.versions].reverse().forEach(version => {
+      const row = document.createElement('div');
+      row.className = 'template-version';
+      const label = document.createElement('span');
+      label.textContent = `v${version.version}・${formatTimestamp(version.savedAt)}・${version.source || '（無課表文字）'}`;
+      row.appendChild(label);
+      if (version.source) {
+        const loadBtn = document.createElement('button');
+        loadBtn.type = 'button';
+        loadBtn.textContent = '載入此版本';
+        loadBtn.addEventListener('click', () => editTemplate(template.id, version.version));
+        row.appendChild(loadBtn);
+      }
+      history.appendChild(row);
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'template-actions';
+    [
+      { label: '編輯', handler: () => editTemplate(template.id) },
+      { label: '複製', handler: () => duplicateTemplate(template.id) },
+      { label: '版本紀錄', handler: () => { history.hidden = !history.hidden; } },
+      { label: '刪除', handler: () => deleteTemplate(template.id) }
+    ].forEach(action => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = action.label;
+      button.addEventListener('click', action.handler);
+      actions.appendChild(button);
+    });
+    item.appendChild(actions);
+    item.appendChild(history);
+    
+    listEl.appendChild(item);
+  });
+}
+
+/**
+ * 載入範本至規劃器編輯（預設為最新版本；保存時新增版本）
+ * @param {string} templateId - 範本 ID
+ * @param {number} versionNumber - 版本號（選填）
+ */
+function editTemplate(templateId, versionNumber) {
+  const template = workoutTemplates.find(item => item.id === templateId);
+  if (!template) return;
+  
+  const version = versionNumber 
+    ? template.versions.find(item => item.version === versionNumber) 
+    : template.versions[template.versions.length - 1];
+  if (!version || !version.source) {
+    showTemplateStatus('此紀錄為舊版格式，沒有課表文字可載入編輯', 'error');
+    return;
+  }
+  
+  document.getElementById('workoutInput').value = version.source;
+  document.getElementById('workoutName').value = template.name;
+  setSelectedTags(template.tags);
+  applyRestSettings(version.restSettings);
+  currentTemplateId = template.id;
+  updateTemplateEditing(template, version.version);
+  renderTemplateList();
+  showTemplateStatus('');
+  
+  if (version.tree && Array.isArray(version.schedule)) {
+    // 直接還原保存的課表物件（保留當時的配速區間）
+    currentWorkout = {
+      source: version.source,
+      tree: version.tree,
+      restSettings: version.restSettings,
+      zones: version.zones || null,
+      schedule: version.schedule,
+      totalTime: version.totalTime
+    };
+    showWorkoutStatus('');
+    displayWorkout(currentWorkout);
+  } else {
+    // 舊版紀錄只有課表文字，依目前設定重新生成
+    generateWorkout();
+  }
+  
+  window.security.logSecurityEvent('WORKOUT_TEMPLATE_LOADED', { 
+    workoutId: template.id, 
+    version: version.version 
+  });
+}
+
+/**
+ * 安全複製範本（以最新版本為新範本的第一版）
+ * @param {string} templateId - 範本 ID
+ */
+async function duplicateTemplate(templateId) {
+  try {
+    const templates = await loadWorkoutTemplates();
+    const template = templates.find(item => item.id === templateId);
+    if (!template) return;
+    
+    const now = new Date().toISOString();
+    const latest = template.versions[template.versions.length - 1];
+    templates.push({
+      id: `workout_${Date.now().toString(36)}`,
+      name: `${template.name}（複本）`.slice(0, 100),
+      tags: [...template.tags],
+      createdAt: now,
+      updatedAt: now,
+      versions: [{ ...latest, version: 1, savedAt: now }]
+    });
+    
+    await window.secureStorage.setItem('workouts', templates);
+    workoutTemplates = templates;
+    renderTemplateList();
+    showTemplateStatus(`已複製「${template.name}」`, 'success');
+    
+    window.security.logSecurityEvent('WORKOUT_TEMPLATE_DUPLICATED', { workoutId: template.id });
+  } catch (e) {
+    window.security.logSecurityEvent('WORKOUT_TEMPLATE_DUPLICATE_FAILED', { error: e.message });
+    showTemplateStatus('複製失敗，請重試', 'error');
+  }
+}
+
+/**
+ * 安全刪除範本（含所有版本）
+ * @param {string} templateId - 範本 ID
+ */
+async function deleteTemplate(templateId) {
+  try {
+    const templates = await loadWorkoutTemplates();
+    const template = templates.find(item => item.id === templateId);
+    if (!template || !confirm(`確定刪除課表「${template.name}」及其所有版本？`)) return;
+    
+    const updated = templates.filter(item => item.id !== templateId);
+    await window.secureStorage.setItem('workouts', updated);
+    workoutTemplates = updated;
+    if (currentTemplateId === templateId) {
+      resetTemplateEditor();
+    }
+    renderTemplateList();
+    
+    window.security.logSecurityEvent('WORKOUT_TEMPLATE_DELETED', { templateCount: updated.length });
+  } catch (e) {
+    window.security.logSecurityEvent('WORKOUT_TEMPLATE_DELETE_FAILED', { error: e.message });
+  }
+}
+
+/**
+ * 結束範本編輯（下次保存建立新範本）
+ */
+function resetTemplateEditor() {
+  currentTemplateId = null;
+  updateTemplateEditing(null);
+  renderTemplateList();
+}
+
+/**
+ * 顯示目前編輯中的範本
+ * @param {Object|null} template - 範本
+ * @param {number} versionNumber - 載入的版本號（選填）
+ */
+function updateTemplateEditing(template, versionNumber) {
+  const editingEl = document.getElementById('templateEditing');
+  if (!editingEl) return;
+  
+  const version = template ? versionNumber || template.versions[template.versions.length - 1].version : null;
+  editingEl.textContent = template 
+    ? `編輯中：${template.name}（載入 v${version}，內容變更後保存將建立新版本）` 
+    : '新課表（保存後建立新範本）';
+  document.getElementById('newTemplate').hidden = !template;
+}
+
+/**
+ * 已勾選的課表標籤
+ * @returns {Array} 標籤 ID
+ */
+function getSelectedTags() {
+  return [...document.querySelectorAll('input[name="workoutTag"]:checked')]
+    .map(input => input.value)
+    .filter(tag => WORKOUT_TAGS[tag]);
+}
+
+/**
+ * 勾選課表標籤
+ * @param {Array} tags - 標籤 ID
+ */
+function setSelectedTags(tags) {
+  document.querySelectorAll('input[name="workoutTag"]').forEach(input => {
+    input.checked = tags.includes(input.value);
+  });
+}
+
+/**
+ * 範本總距離文字（舊版紀錄保存的是表格文字，例如「4400 m」）
+ * @param {number|string} distance - 總距離 (m)
+ * @returns {string} 顯示文字
+ */
+function formatTemplateDistance(distance) {
+  return typeof distance === 'number' ? `${distance} m` : String(distance);
+}
+
+/**
+ * 時間戳顯示為 YYYY-MM-DD HH:MM
+ * @param {string} timestamp - ISO 時間
+ * @returns {string} 顯示文字
+ */
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) return '';
+  const pad = value => value.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * 安全顯示課表庫狀態
+ * @param {string} message - 訊息；空字串時清除
+ * @param {string} type - 'success' | 'error'
+ */
+function showTemplateStatus(message, type) {
+  const statusEl = document.getElementById('templateStatus');
+  if (statusEl) {
+    statusEl.textContent = message;
+    statusEl.className = message ? `upload-status ${type}` : 'upload-status';
   }
 }
 
@@ -531,29 +1657,55 @@ function formatTime(totalSec) {
 }
 
 /**
- * 安全顯示錯誤訊息
- * @param {string} message - 錯誤訊息
+ * 秒數轉為 HH:MM:SS（活動紀錄格式）
+ * @param {number} totalSec - 總秒數
+ * @returns {string} HH:MM:SS
  */
-function showErrorMessage(message) {
-  const statusEl = document.querySelector('.input-section');
-  if (statusEl) {
-    window.security.renderSafeContent(
-      statusEl, 
-      `<div class="error">${window.security.sanitizeInput(message)}</div>`
-    );
+function formatClockTime(totalSec) {
+  const hours = Math.floor(totalSec / 3600);
+  const minutes = Math.floor((totalSec % 3600) / 60);
+  const seconds = totalSec % 60;
+  return [hours, minutes, seconds].map(value => value.toString().padStart(2, '0')).join(':');
+}
+
+/**
+ * 安全顯示課表構建狀態（語法錯誤時標示出錯位置）
+ * @param {string} message - 訊息；空字串時清除
+ * @param {string} input - 課表輸入（選填）
+ * @param {number} position - 出錯字元位置（選填）
+ */
+function showWorkoutStatus(message, input, position) {
+  const statusEl = document.getElementById('workoutStatus');
+  if (!statusEl) return;
+  statusEl.textContent = '';
+  statusEl.className = message ? 'upload-status error' : 'upload-status';
+  if (!message) return;
+  
+  // 安全開發守則強制：【防止 XSS】（輸入內容僅以 textContent 呈現）
+  const messageEl = document.createElement('div');
+  messageEl.textContent = message;
+  statusEl.appendChild(messageEl);
+  
+  if (typeof input === 'string' && Number.isInteger(position)) {
+    const line = input.slice(0, position).split('\n').length - 1;
+    const column = position - (input.lastIndexOf('\n', position - 1) + 1);
+    const pointer = document.createElement('pre');
+    pointer.className = 'syntax-pointer';
+    pointer.textContent = `${input.split('\n')[line]}\n${' '.repeat(column)}^`;
+    statusEl.appendChild(pointer);
   }
 }
 
 /**
- * 安全顯示成功訊息
- * @param {string} message - 成功訊息
+ * 安全顯示錯誤訊息
+ * @param {string} message - 錯誤訊息
  */
-function showSuccessMessage(message) {
+function showErrorMessage(message) {
   const statusEl = document.querySelector('.input-section');
   if (statusEl) {
     window.security.renderSafeContent(
       statusEl, 
-      `<div class="success">${window.security.sanitizeInput(message)}</div>`
+      `<div class="error">${window.security.sanitizeInput(message)}</div>`
     );
   }
 }
\ No newline at end of file
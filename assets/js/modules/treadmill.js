@@ -44,8 +44,20 @@ document.addEventListener('DOMContentLoaded', () => {
   if (saveReverseBtn) {
     saveReverseBtn.addEventListener('click', () => saveConversion('reverse'));
   }
+  
+  document.getElementById('addStage')?.addEventListener('click', () => addStageRow());
+  document.getElementById('buildLadder')?.addEventListener('click', buildLadderProgram);
+  document.getElementById('buildFromProfile')?.addEventListener('click', buildProfileProgram);
+  document.getElementById('calculateProgram')?.addEventListener('click', calculateProgramConversion);
+  document.getElementById('saveProgram')?.addEventListener('click', () => saveConversion('program'));
 });
 
+// 最近一次計算的多階段課表（InclineModel.program 結果）
+let currentProgram = null;
+
+// 含高度剖面的已保存賽事（賽道爬坡重現用）
+let profileRaces = [];
+
 /**
  * 安全初始化跑步機換算器
  */
@@ -59,6 +71,10 @@ function initTreadmillConverter() {
     // 初始化轉換模式
     toggleConversionMode();
     
+    // 初始化多階段課表
+    addStageRow();
+    loadProfileRaces();
+    
     // 安全日誌
     window.security.logSecurityEvent('TREADMILL_CONVERTER_INITIALIZED');
   } catch (e) {
@@ -80,6 +96,8 @@ function toggleConversionMode() {
     conversionType === 'forward' ? 'block' : 'none';
   document.getElementById('reverseConversion').style.display = 
     conversionType === 'reverse' ? 'block' : 'none';
+  document.getElementById('programConversion').style.display = 
+    conversionType === 'program' ? 'block' : 'none';
 }
 
 /**
@@ -146,17 +164,12 @@ function calculateForward(inputs) {
   const [hours, minutes, seconds] = inputs.time.split(':').map(Number);
   const totalTime = hours + minutes/60 + seconds/3600;
   
-  // 計算總距離 (km)
-  const distance = inputs.speed * totalTime;
-  
-  // 計算等效爬升 (m)
-  const elevation = distance * 1000 * (inputs.incline / 100) * 10;
-  
-  // 計算 EP
-  const ep = distance + elevation / 100;
-  
-  // 計算 EPH
-  const eph = ep / totalTime;
+  // 計算距離、等效爬升、EP 與 EPH（共用坡度模型）
+  const { distance, elevation, ep, eph } = window.InclineModel.forward({
+    hours: totalTime,
+    speed: inputs.speed,
+    incline: inputs.incline
+  });
   
   return {
     time: inputs.time,
@@ -265,20 +278,12 @@ function calculateReverse(inputs) {
   const [hours, minutes, seconds] = inputs.time.split(':').map(Number);
   const totalTime = hours + minutes/60 + seconds/3600;
   
-  // 計算總距離 (km)
-  const distance = inputs.speed * totalTime;
-  
-  // 計算推薦坡度 (%)
-  const incline = (inputs.elevation / (distance * 1000 * 10)) * 100;
-  
-  // 計算等效爬升 (應等於目標值)
-  const elevation = inputs.elevation;
-  
-  // 計算 EP
-  const ep = distance + elevation / 100;
-  
-  // 計算 EPH
-  const eph = ep / totalTime;
+  // 計算推薦坡度、距離、EP 與 EPH（共用坡度模型）
+  const { distance, incline, ep, eph } = window.InclineModel.reverse({
+    hours: totalTime,
+    speed: inputs.speed,
+    elevation: inputs.elevation
+  });
   
   return {
     elevation: inputs.elevation,
@@ -323,16 +328,395 @@ function displayReverseResult(result) {
   }
 }
 
+/**
+ * 新增階段列
+ * @param {Object} stage - { seconds, speed, incline }（選填）
+ */
+function addStageRow(stage) {
+  const tableBody = document.querySelector('#stageTable tbody');
+  if (!tableBody) return;
+  if (tableBody.children.length >= window.InclineModel.MAX_STAGES) {
+    showProgramStatus(`最多 ${window.InclineModel.MAX_STAGES} 個階段`, 'error');
+    return;
+  }
+  
+  // 安全開發守則強制：【防止 XSS】（以 DOM API 建立輸入欄位）
+  const row = document.createElement('tr');
+  const indexCell = document.createElement('td');
+  indexCell.className = 'stage-index';
+  row.appendChild(indexCell);
+  
+  [
+    { name: 'time', type: 'text', value: stage ? formatStageTime(stage.seconds) : '05:00', placeholder: '05:00' },
+    { name: 'speed', type: 'number', value: stage ? stage.speed : '', min: '1', max: '25', step: '0.1' },
+    { name: 'incline', type: 'number', value: stage ? stage.incline : '', min: '0', max: '40', step: '0.1' }
+  ].forEach(field => {
+    const cell = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = field.type;
+    input.dataset.field = field.name;
+    input.value = field.value;
+    if (field.placeholder) input.placeholder = field.placeholder;
+    if (field.type === 'number') {
+      input.min = field.min;
+      input.max = field.max;
+      input.step = field.step;
+    }
+    cell.appendChild(input);
+    row.appendChild(cell);
+  });
+  
+  const actionCell = document.createElement('td');
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.textContent = '移除';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    renumberStageRows();
+  });
+  actionCell.appendChild(removeBtn);
+  row.appendChild(actionCell);
+  
+  tableBody.appendChild(row);
+  renumberStageRows();
+}
+
+/**
+ * 更新階段編號
+ */
+function renumberStageRows() {
+  document.querySelectorAll('#stageTable tbody tr').forEach((row, i) => {
+    row.querySelector('.stage-index').textContent = `${i + 1}`;
+  });
+}
+
+/**
+ * 以指定階段取代目前的階段列
+ * @param {Array} stages - [{ seconds, speed, incline }]
+ */
+function setStageRows(stages) {
+  const tableBody = document.querySelector('#stageTable tbody');
+  if (!tableBody) return;
+  tableBody.textContent = '';
+  stages.forEach(stage => addStageRow(stage));
+}
+
+/**
+ * 安全讀取階段列
+ * @returns {Array} [{ seconds, speed, incline }]
+ */
+function readStageRows() {
+  return [...document.querySelectorAll('#stageTable tbody tr')].map(row => {
+    const value = field => row.querySelector(`[data-field="${field}"]`).value;
+    // 安全開發守則強制：【預設不信任使用者輸入】（數值範圍由 InclineModel.program 驗證）
+    const seconds = parseStageTime(value('time'));
+    if (seconds === null) {
+      throw new Error('INVALID_PROGRAM');
+    }
+    return { seconds, speed: parseFloat(value('speed')), incline: parseFloat(value('incline')) };
+  });
+}
+
+/**
+ * 產生漸進坡度階梯
+ */
+function buildLadderProgram() {
+  try {
+    const seconds = parseStageTime(document.getElementById('ladderTime').value);
+    if (seconds === null) {
+      throw new Error('INVALID_PROGRAM');
+    }
+    
+    setStageRows(window.InclineModel.ladder({
+      count: document.getElementById('ladderCount').value,
+      seconds,
+      speed: parseFloat(document.getElementById('ladderSpeed').value),
+      startIncline: parseFloat(document.getElementById('ladderStartIncline').value),
+      step: parseFloat(document.getElementById('ladderStep').value)
+    }));
+    showProgramStatus('');
+  } catch (e) {
+    window.security.logSecurityEvent('PROGRAM_BUILD_FAILED', { source: 'ladder', error: e.message });
+    showProgramStatus('請輸入有效的階梯參數（階段數 1–60、時間 mm:ss、坡度 ≥ 0）', 'error');
+  }
+}
+
+/**
+ * 安全讀取含高度剖面的賽事（賽事評估器保存的賽道）
+ */
+async function loadProfileRaces() {
+  const selectEl = document.getElementById('profileRace');
+  if (!selectEl) return;
+  
+  try {
+    const races = await window.secureStorage.getItem('races') || [];
+    profileRaces = races.filter(race => race.course && race.course.profile && 
+      Array.isArray(race.course.profile.points) && race.course.profile.points.length > 1);
+  } catch (e) {
+    profileRaces = [];
+    window.security.logSecurityEvent('PROFILE_RACES_LOAD_FAILED', { error: e.message });
+  }
+  
+  // 安全開發守則強制：【防止 XSS】（賽事名稱為使用者輸入）
+  selectEl.textContent = '';
+  if (profileRaces.length === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = '尚無含賽道檔案的賽事';
+    selectEl.appendChild(option);
+    return;
+  }
+  profileRaces.forEach(race => {
+    const option = document.createElement('option');
+    option.value = race.id;
+    const points = race.course.profile.points;
+    option.textContent = `${race.name}（${points[points.length - 1][0].toFixed(1)} km）`;
+    selectEl.appendChild(option);
+  });
+}
+
+/**
+ * 依賽道剖面產生爬坡重現課表
+ */
+function buildProfileProgram() {
+  try {
+    const race = profileRaces.find(item => item.id === document.getElementById('profileRace').value);
+    if (!race) {
+      throw new Error('INVALID_PROFILE_RANGE');
+    }
+    
+    const stages = window.InclineModel.fromProfile(race.course.profile.points, {
+      startKm: parseFloat(document.getElementById('profileStart').value),
+      endKm: parseFloat(document.getElementById('profileEnd').value),
+      stageKm: parseFloat(document.getElementById('profileStageKm').value),
+      speed: parseFloat(document.getElementById('profileSpeed').value)
+    });
+    setStageRows(stages);
+    
+    const climb = stages.reduce((sum, stage) => sum + stage.gain, 0);
+    showProgramStatus(`已產生 ${stages.length} 個階段，區間實際爬升 ${climb} m`, 'success');
+  } catch (e) {
+    window.security.logSecurityEvent('PROGRAM_BUILD_FAILED', { source: 'profile', error: e.message });
+    showProgramStatus('請選擇含賽道的賽事，並輸入剖面範圍內的起訖距離、每段距離與 1–25 km/h 的速度', 'error');
+  }
+}
+
+/**
+ * 安全計算多階段課表
+ */
+function calculateProgramConversion() {
+  try {
+    const program = window.InclineModel.program(readStageRows());
+    currentProgram = program;
+    
+    displayProgramResult(program);
+    renderStageChart(program);
+    showProgramStatus('');
+    
+    window.security.logSecurityEvent('PROGRAM_CONVERSION_COMPLETED', {
+      stages: program.stages.length
+    });
+  } catch (e) {
+    window.security.logSecurityEvent('PROGRAM_CONVERSION_FAILED', { 
+      error: e.message 
+    });
+    showProgramStatus(e.message === 'INVALID_PROGRAM'
+      ? '請確認每個階段的時間 (mm:ss)、速度 (1–25 km/h) 與坡度 (0–40%)'
+      : '計算失敗，請檢查輸入', 'error');
+  }
+}
+
+/**
+ * 安全顯示多階段課表結果
+ * @param {Object} program - InclineModel.program 結果
+ */
+function displayProgramResult(program) {
+  // 安全開發守則強制：【防止 XSS】
+  document.getElementById('programResult').hidden = false;
+  document.getElementById('programTime').textContent = formatStageTime(program.totals.seconds);
+  document.getElementById('programDistance').textContent = `${program.totals.distance.toFixed(2)} km`;
+  document.getElementById('programElevation').textContent = `${Math.round(program.totals.elevation)} m`;
+  document.getElementById('programEp').textContent = program.totals.ep.toFixed(2);
+  document.getElementById('programEph').textContent = program.totals.eph.toFixed(2);
+  
+  const tableBody = document.querySelector('#programStageTable tbody');
+  if (!tableBody) return;
+  tableBody.textContent = '';
+  program.stages.forEach((stage, i) => {
+    const row = document.createElement('tr');
+    [
+      `${i + 1}`,
+      `${formatStageTime(stage.startSeconds)}–${formatStageTime(stage.startSeconds + stage.seconds)}`,
+      `${stage.speed} km/h`,
+      `${stage.incline}%`,
+      `${stage.distance.toFixed(2)} km`,
+      `${Math.round(stage.elevation)} m`,
+      stage.ep.toFixed(2),
+      stage.eph.toFixed(2)
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+}
+
+/**
+ * 安全繪製階段圖（坡度與速度隨時間的階梯線）
+ * @param {Object} program - InclineModel.program 結果
+ */
+function renderStageChart(program) {
+  const chartEl = document.getElementById('stageChart');
+  if (!chartEl || typeof Chart === 'undefined') return;
+  
+  // 每階段起點一個資料點，最後補上結束點以畫出最後一階
+  const toPoints = field => {
+    const points = program.stages.map(stage => ({ x: stage.startSeconds / 60, y: stage[field] }));
+    const last = program.stages[program.stages.length - 1];
+    points.push({ x: program.totals.seconds / 60, y: last[field] });
+    return points;
+  };
+  
+  // 安全開發守則強制：【防止 XSS】（圖表以 Canvas 繪製）
+  if (!window.stageChart) {
+    window.stageChart = new Chart(chartEl.getContext('2d'), {
+      type: 'line',
+      data: {
+        datasets: [
+          {
+            label: '坡度 (%)',
+            data: [],
+            borderColor: '#2E7D32',
+            backgroundColor: 'rgba(46, 125, 50, 0.15)',
+            fill: true,
+            stepped: 'after',
+            pointRadius: 0,
+            yAxisID: 'y'
+          },
+          {
+            label: '速度 (km/h)',
+            data: [],
+            borderColor: '#1976D2',
+            stepped: 'after',
+            pointRadius: 0,
+            yAxisID: 'y1'
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        parsing: false,
+        interaction: {
+          mode: 'nearest',
+          axis: 'x',
+          intersect: false
+        },
+        plugins: {
+          legend: { position: 'top' },
+          tooltip: {
+            callbacks: {
+              title: items => items.length ? `${items[0].parsed.x.toFixed(1)} 分鐘` : '',
+              label: item => `${item.dataset.label} ${item.parsed.y}`
+            }
+          }
+        },
+        scales: {
+          x: {
+            type: 'linear',
+            title: { display: true, text: '時間 (分鐘)' }
+          },
+          y: {
+            beginAtZero: true,
+            title: { display: true, text: '坡度 (%)' }
+          },
+          y1: {
+            position: 'right',
+            beginAtZero: true,
+            grid: { drawOnChartArea: false },
+            title: { display: true, text: '速度 (km/h)' }
+          }
+        }
+      }
+    });
+  }
+  
+  window.stageChart.data.datasets[0].data = toPoints('incline');
+  window.stageChart.data.datasets[1].data = toPoints('speed');
+  window.stageChart.update();
+}
+
+/**
+ * 階段時間 mm:ss 或 h:mm:ss → 秒（格式無效時為 null）
+ * @param {string} text - 時間文字
+ * @returns {number|null} 秒
+ */
+function parseStageTime(text) {
+  const value = String(text || '').trim();
+  if (!/^\d{1,2}:\d{2}(:\d{2})?$/.test(value)) return null;
+  const parts = value.split(':').map(Number);
+  if (parts.slice(1).some(part => part >= 60)) return null;
+  const seconds = parts.length === 3
+    ? parts[0] * 3600 + parts[1] * 60 + parts[2]
+    : parts[0] * 60 + parts[1];
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * 秒 → mm:ss 或 h:mm:ss
+ * @param {number} totalSec - 秒
+ * @returns {string} 時間文字
+ */
+function formatStageTime(totalSec) {
+  const rounded = Math.round(totalSec);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = rounded % 60;
+  const pad = value => value.toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+}
+
+/**
+ * 安全顯示多階段課表狀態
+ * @param {string} message - 訊息；空字串時清除
+ * @param {string} type - 'success' | 'error'
+ */
+function showProgramStatus(message, type) {
+  const statusEl = document.getElementById('programStatus');
+  if (statusEl) {
+    statusEl.textContent = message;
+    statusEl.className = message ? `upload-status ${type}` : 'upload-status';
+  }
+}
+
 /**
  * 安全保存轉換結果
- * @param {string} type - 轉換類型 (forward/reverse)
+ * @param {string} type - 轉換類型 (forward/reverse/program)
  */
 async function saveConversion(type) {
   try {
     // 安全獲取轉換數據
     let conversionData;
     
-    if (type === 'forward') {
+    if (type === 'program') {
+      if (!currentProgram) return;
+      conversionData = {
+        type: 'program',
+        stages: currentProgram.stages.map(stage => ({
+          seconds: stage.seconds,
+          speed: stage.speed,
+          incline: stage.incline
+        })),
+        time: formatStageTime(currentProgram.totals.seconds),
+        distance: `${currentProgram.totals.distance.toFixed(2)} km`,
+        elevation: `${Math.round(currentProgram.totals.elevation)} m`,
+        ep: currentProgram.totals.ep.toFixed(2),
+        eph: currentProgram.totals.eph.toFixed(2),
+        timestamp: new Date().toISOString()
+      };
+    } else if (type === 'forward') {
       conversionData = {
         type: 'forward',
         time: document.getElementById('treadmillTime').value,
@@ -0,0 +1,364 @@
+/**
+ * 賽道地圖 - Leaflet 軌跡繪製（離線可用）
+ *
+ * 連線時預設 OpenStreetMap，圖磚連續載入失敗（受限網路、連線不穩）即改用不需網路的空白格線圖層；
+ * 離線時直接使用空白格線圖層，亦可切換本地快取圖磚。
+ * 所有使用者文字（航點名稱）以 DOM 節點綁定，不以 HTML 字串插入。
+ *
+ * 安全開發守則：
+ *   [x] 防止 XSS
+ *   [x] 預設不信任使用者輸入
+ *   [x] 關閉偵錯模式
+ */
+class CourseMap {
+  /**
+   * @param {string} containerId - 地圖容器 ID
+   * @param {Object} options - { onHover(km|null) }
+   */
+  constructor(containerId, options = {}) {
+    this.containerId = containerId;
+    this.onHover = options.onHover || null;
+    this.map = null;
+    this.trackLayer = null;
+    this.hoverMarker = null;
+    this.legend = null;
+    this.points = [];
+    this.distances = [];
+    this.hoverPoints = [];
+
+    // 圖磚連續失敗幾次後改用離線底圖
+    this.tileErrorLimit = 3;
+
+    // 色階：坡度 (%) 與 EPH
+    this.gradeStops = [
+      { max: -15, color: '#1565C0', label: '< -15%' },
+      { max: -5, color: '#42A5F5', label: '-15 ~ -5%' },
+      { max: 5, color: '#66BB6A', label: '-5 ~ 5%' },
+      { max: 15, color: '#FFA726', label: '5 ~ 15%' },
+      { max: Infinity, color: '#E53935', label: '> 15%' }
+    ];
+    this.ephStops = [
+      { max: 3, color: '#E53935', label: '< 3' },
+      { max: 5, color: '#FFA726', label: '3 ~ 5' },
+      { max: 7, color: '#66BB6A', label: '5 ~ 7' },
+      { max: Infinity, color: '#1565C0', label: '> 7' }
+    ];
+  }
+
+  /**
+   * 建立離線空白底圖（Canvas 格線，不發出任何網路請求）
+   * @private
+   */
+  _createBlankLayer() {
+    const BlankLayer = L.GridLayer.extend({
+      createTile: function() {
+        const tile = document.createElement('canvas');
+        const size = this.getTileSize();
+        tile.width = size.x;
+        tile.height = size.y;
+        const ctx = tile.getContext('2d');
+        ctx.fillStyle = '#f5f5f0';
+        ctx.fillRect(0, 0, size.x, size.y);
+        ctx.strokeStyle = '#e0e0d8';
+        ctx.strokeRect(0, 0, size.x, size.y);
+        return tile;
+      }
+    });
+    return new BlankLayer({ maxZoom: 19 });
+  }
+
+  /**
+   * 初始化地圖（首次繪製時呼叫）
+   * @private
+   */
+  _initMap() {
+    if (this.map) return true;
+    if (typeof L === 'undefined') {
+      window.security?.logSecurityEvent('LEAFLET_UNAVAILABLE');
+      return false;
+    }
+
+    const container = document.getElementById(this.containerId);
+    if (!container) return false;
+
+    const baseLayers = {
+      '離線空白底圖': this._createBlankLayer(),
+      // 本地快取圖磚（預先下載至同源目錄，離線可用）
+      '本地快取圖磚': L.tileLayer('/assets/tiles/{z}/{x}/{y}.png', {
+        maxZoom: 17,
+        errorTileUrl: ''
+      }),
+      'OpenStreetMap（需連線）': L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 19,
+        attribution: '&copy; OpenStreetMap contributors'
+      })
+    };
+
+    // 向量以 Canvas 繪製，長距離軌跡仍保持流暢
+    this.map = L.map(container, { preferCanvas: true });
+    const onlineLayer = baseLayers['OpenStreetMap（需連線）'];
+    const offlineLayer = baseLayers['離線空白底圖'];
+    if (navigator.onLine) {
+      let tileErrors = 0;
+      const fallback = () => {
+        if (++tileErrors < this.tileErrorLimit) return;
+        onlineLayer.off('tileerror', fallback);
+        if (!this.map.hasLayer(onlineLayer)) return;
+        this.map.removeLayer(onlineLayer);
+        offlineLayer.addTo(this.map);
+        window.security?.logSecurityEvent('MAP_TILES_UNAVAILABLE');
+      };
+      onlineLayer.on('tileload', () => { tileErrors = 0; });
+      onlineLayer.on('tileerror', fallback);
+      onlineLayer.addTo(this.map);
+    } else {
+      offlineLayer.addTo(this.map);
+    }
+    L.control.layers(baseLayers, null, { collapsed: true }).addTo(this.map);
+    L.control.scale({ imperial: false }).addTo(this.map);
+
+    this.map.on('mousemove', e => this._handleMouseMove(e));
+    this.map.on('mouseout', () => {
+      this.highlight(null);
+      if (this.onHover) this.onHover(null);
+    });
+    return true;
+  }
+
+  /**
+   * 繪製軌跡
+   * @param {Object} course - { points, waypoints, segments, colorBy: 'gradient' | 'eph' }
+   * @returns {boolean} 是否成功繪製
+   */
+  render(course) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const points = (course.points || []).filter(point =>
+      isFinite(point.lat) && isFinite(point.lon) &&
+      Math.abs(point.lat) <= 90 && Math.abs(point.lon) <= 180
+    );
+    if (points.length < 2 || !this._initMap()) return false;
+
+    this.points = points;
+    this.distances = window.TrackAnalysis.cumulative(points).distances;
+    this.hoverPoints = this._buildHoverPoints(points);
+
+    if (this.trackLayer) this.trackLayer.remove();
+    this.trackLayer = L.layerGroup().addTo(this.map);
+
+    const colorBy = course.colorBy === 'eph' ? 'eph' : 'gradient';
+    this._drawTrack(colorBy, course.segments || []);
+    this._drawMarkers(course.waypoints || []);
+    this._updateLegend(colorBy);
+
+    this.hoverMarker = L.circleMarker([points[0].lat, points[0].lon], {
+      radius: 6,
+      color: '#212121',
+      weight: 2,
+      fillColor: '#FFEB3B',
+      fillOpacity: 1,
+      interactive: false
+    });
+
+    this.map.fitBounds(L.latLngBounds(points.map(point => [point.lat, point.lon])), {
+      padding: [20, 20]
+    });
+    // 容器可能剛由隱藏轉為顯示
+    setTimeout(() => this.map.invalidateSize(), 0);
+    return true;
+  }
+
+  /**
+   * 依坡度或 EPH 分色繪製（約每 100 m 一段）
+   * @private
+   */
+  _drawTrack(colorBy, segments) {
+    const stepKm = 0.1;
+    let chunk = [this.points[0]];
+    let chunkStart = 0;
+
+    for (let i = 1; i < this.points.length; i++) {
+      const point = this.points[i];
+      if (point.segmentStart) {
+        // 分段之間（暫停）不連線
+        this._drawChunk(chunk, chunkStart, i - 1, colorBy, segments);
+        chunk = [point];
+        chunkStart = i;
+        continue;
+      }
+      chunk.push(point);
+      if (this.distances[i] - this.distances[chunkStart] >= stepKm || i === this.points.length - 1) {
+        this._drawChunk(chunk, chunkStart, i, colorBy, segments);
+        chunk = [point];
+        chunkStart = i;
+      }
+    }
+  }
+
+  /**
+   * 繪製單一色段
+   * @private
+   */
+  _drawChunk(chunk, startIndex, endIndex, colorBy, segments) {
+    if (chunk.length < 2) return;
+
+    const distanceKm = this.distances[endIndex] - this.distances[startIndex];
+    let color = '#9E9E9E';
+    if (colorBy === 'gradient' && distanceKm > 0) {
+      const grade = (this.points[endIndex].ele - this.points[startIndex].ele) / (distanceKm * 1000) * 100;
+      color = this._colorFor(grade, this.gradeStops);
+    } else if (colorBy === 'eph') {
+      const midKm = (this.distances[startIndex] + this.distances[endIndex]) / 2;
+      const segment = segments.find(seg => midKm >= seg.startKm && midKm <= seg.endKm);
+      if (segment && segment.eph !== null) {
+        color = this._colorFor(segment.eph, this.ephStops);
+      }
+    }
+
+    L.polyline(chunk.map(point => [point.lat, point.lon]), {
+      color,
+      weight: 4,
+      opacity: 0.9
+    }).addTo(this.trackLayer);
+  }
+
+  /**
+   * 起終點與航點標記
+   * @private
+   */
+  _drawMarkers(waypoints) {
+    const first = this.points[0];
+    const last = this.points[this.points.length - 1];
+
+    this._addMarker([first.lat, first.lon], '#2E7D32', '起點');
+    this._addMarker([last.lat, last.lon], '#C62828', '終點');
+
+    waypoints.forEach(wpt => {
+      if (!isFinite(wpt.lat) || !isFinite(wpt.lon)) return;
+      this._addMarker([wpt.lat, wpt.lon], '#1976D2', wpt.name || wpt.type || '航點', 5);
+    });
+  }
+
+  /**
+   * 加入圓形標記（提示文字以 textContent 設定）
+   * @private
+   */
+  _addMarker(latLng, color, text, radius = 7) {
+    // 安全開發守則強制：【防止 XSS】
+    const label = document.createElement('span');
+    label.textContent = String(text).slice(0, 100);
+
+    L.circleMarker(latLng, {
+      radius,
+      color: '#ffffff',
+      weight: 2,
+      fillColor: color,
+      fillOpacity: 1
+    }).bindTooltip(label).addTo(this.trackLayer);
+  }
+
+  /**
+   * 更新色階圖例
+   * @private
+   */
+  _updateLegend(colorBy) {
+    if (this.legend) this.legend.remove();
+
+    const stops = colorBy === 'eph' ? this.ephStops : this.gradeStops;
+    const title = colorBy === 'eph' ? '分段 EPH' : '坡度';
+    this.legend = L.control({ position: 'bottomright' });
+    this.legend.onAdd = () => {
+      const container = document.createElement('div');
+      container.className = 'course-map-legend';
+      const heading = document.createElement('strong');
+      heading.textContent = title;
+      container.appendChild(heading);
+      stops.forEach(stop => {
+        const row = document.createElement('div');
+        const swatch = document.createElement('span');
+        swatch.className = 'legend-swatch';
+        swatch.style.background = stop.color;
+        row.appendChild(swatch);
+        row.appendChild(document.createTextNode(stop.label));
+        container.appendChild(row);
+      });
+      return container;
+    };
+    this.legend.addTo(this.map);
+  }
+
+  /**
+   * 依數值取得色階顏色
+   * @private
+   */
+  _colorFor(value, stops) {
+    return (stops.find(stop => value < stop.max) || stops[stops.length - 1]).color;
+  }
+
+  /**
+   * 命中測試用的簡化軌跡（保留各點的累積距離）
+   * @private
+   */
+  _buildHoverPoints(points) {
+    const simplified = window.TrackAnalysis.simplifyTrack(points, 10, 1000);
+    // 簡化結果依原順序保留部分點（座標四捨五入至 6 位），依序對回原始索引
+    let index = 0;
+    return simplified.map(point => {
+      while (index < points.length - 1 &&
+          !(Math.abs(points[index].lat - point.lat) < 1e-6 && Math.abs(points[index].lon - point.lon) < 1e-6)) {
+        index++;
+      }
+      return { lat: point.lat, lon: point.lon, km: this.distances[index] };
+    });
+  }
+
+  /**
+   * 滑鼠移動：以簡化軌跡找出最近點並回報距離（30 px 內才算命中）
+   * @private
+   */
+  _handleMouseMove(e) {
+    if (this.hoverPoints.length === 0) return;
+
+    const mouse = this.map.latLngToContainerPoint(e.latlng);
+    let nearest = null;
+    let minDistance = 30;
+    this.hoverPoints.forEach(point => {
+      const d = mouse.distanceTo(this.map.latLngToContainerPoint([point.lat, point.lon]));
+      if (d < minDistance) {
+        minDistance = d;
+        nearest = point;
+      }
+    });
+
+    const km = nearest === null ? null : nearest.km;
+    this.highlight(km);
+    if (this.onHover) this.onHover(km);
+  }
+
+  /**
+   * 在指定距離處顯示游標標記（供海拔圖表聯動）
+   * @param {number|null} km - 累積距離；null 時隱藏
+   */
+  highlight(km) {
+    if (!this.map || !this.hoverMarker) return;
+
+    if (km === null || km === undefined || this.points.length === 0) {
+      this.hoverMarker.remove();
+      return;
+    }
+
+    // 二分搜尋最接近的距離
+    let low = 0;
+    let high = this.distances.length - 1;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (this.distances[mid] < km) low = mid + 1;
+      else high = mid;
+    }
+    const point = this.points[low];
+    this.hoverMarker.setLatLng([point.lat, point.lon]);
+    if (!this.map.hasLayer(this.hoverMarker)) this.hoverMarker.addTo(this.map);
+  }
+}
+
+// 全局可用（符合 SDL 流程）
+window.CourseMap = CourseMap;
@@ -0,0 +1,165 @@
+/**
+ * 環境模型 - 高溫 / 濕度 / 寒冷 / 海拔對耐力表現的影響
+ *
+ * 懲罰值為「因環境損失的表現比例」：0.05 表示同樣努力在中性環境下可多產出 5% EPH。
+ * 標準化 EPH = 原始 EPH × (1 + 總懲罰)，用於跨環境比較。
+ *
+ * 安全開發守則：
+ *   [x] 預設不信任使用者輸入
+ *   [x] 關閉偵錯模式
+ */
+const EnvironmentModel = {
+  // 輸入邊界（超出即視為無效，不參與計算）
+  LIMITS: {
+    temperature: { min: -20, max: 50 },  // ℃
+    humidity: { min: 0, max: 100 },      // %
+    altitude: { min: -500, max: 6000 },  // m
+    wind: { min: 0, max: 150 }           // km/h
+  },
+
+  // 未提供濕度時的預設值 (%)
+  DEFAULT_HUMIDITY: 50,
+
+  // 高溫：WBGT 超過 10℃ 後每度損失 0.4%，超過 18℃ 後每度再加 0.6%
+  HEAT_WBGT_THRESHOLD: 10,
+  HEAT_WBGT_SEVERE: 18,
+  HEAT_PENALTY_PER_DEGREE: 0.004,
+  HEAT_SEVERE_PENALTY_PER_DEGREE: 0.006,
+
+  // 寒冷：體感溫度低於 5℃ 後每度損失 0.3%
+  COLD_THRESHOLD: 5,
+  COLD_PENALTY_PER_DEGREE: 0.003,
+
+  // 海拔：500 m 以上每 1000 m 損失 4%（最大攝氧量隨氧分壓下降）
+  ALTITUDE_THRESHOLD: 500,
+  ALTITUDE_PENALTY_PER_KM: 0.04,
+
+  /**
+   * 驗證並正規化環境輸入
+   * @param {Object} inputs - { temperature, humidity, altitude, wind }
+   * @returns {Object} 數值或 null（無效 / 未提供）
+   */
+  sanitize: function(inputs) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const safe = {};
+    Object.entries(this.LIMITS).forEach(([key, limit]) => {
+      const raw = inputs ? inputs[key] : null;
+      const value = raw === '' || raw === null || raw === undefined ? NaN : parseFloat(raw);
+      safe[key] = !isNaN(value) && value >= limit.min && value <= limit.max ? value : null;
+    });
+    return safe;
+  },
+
+  /**
+   * 水蒸氣壓（Magnus 公式）
+   * @param {number} temperature - 氣溫 (℃)
+   * @param {number} humidity - 相對濕度 (%)
+   * @returns {number} 水蒸氣壓 (hPa)
+   */
+  vapourPressure: function(temperature, humidity) {
+    return (humidity / 100) * 6.105 * Math.exp(17.27 * temperature / (237.7 + temperature));
+  },
+
+  /**
+   * 熱指數（NWS Rothfusz 迴歸；低於 26.7℃ 時使用 Steadman 簡化式）
+   * @param {number} temperature - 氣溫 (℃)
+   * @param {number} humidity - 相對濕度 (%)
+   * @returns {number} 熱指數 (℃)
+   */
+  heatIndex: function(temperature, humidity) {
+    const t = temperature * 9 / 5 + 32;
+    const rh = humidity;
+    let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+    if ((hi + t) / 2 >= 80) {
+      hi = -42.379 + 2.04901523 * t + 10.14333127 * rh
+        - 0.22475541 * t * rh - 0.00683783 * t * t
+        - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+        + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    }
+    return (hi - 32) * 5 / 9;
+  },
+
+  /**
+   * 近似 WBGT（澳洲氣象局陰影簡化式，未考慮日照）
+   * @param {number} temperature - 氣溫 (℃)
+   * @param {number} humidity - 相對濕度 (%)
+   * @returns {number} WBGT (℃)
+   */
+  wbgt: function(temperature, humidity) {
+    return 0.567 * temperature + 0.393 * this.vapourPressure(temperature, humidity) + 3.94;
+  },
+
+  /**
+   * 風寒溫度（加拿大環境部公式；僅於 ≤10℃ 且風速 > 4.8 km/h 時有效）
+   * @param {number} temperature - 氣溫 (℃)
+   * @param {number} wind - 風速 (km/h)
+   * @returns {number} 體感溫度 (℃)
+   */
+  windChill: function(temperature, wind) {
+    if (temperature > 10 || !(wind > 4.8)) return temperature;
+    const v = Math.pow(wind, 0.16);
+    return 13.12 + 0.6215 * temperature - 11.37 * v + 0.3965 * temperature * v;
+  },
+
+  /**
+   * 評估環境對表現的影響
+   * @param {Object} inputs - { temperature, humidity, altitude, wind }
+   * @returns {Object} { conditions, heatIndex, wbgt, windChill, penalties: { heat, cold, altitude }, factor }
+   */
+  assess: function(inputs) {
+    const conditions = this.sanitize(inputs);
+    const penalties = { heat: 0, cold: 0, altitude: 0 };
+    let heatIndex = null;
+    let wbgt = null;
+    let windChill = null;
+
+    if (conditions.temperature !== null) {
+      const humidity = conditions.humidity !== null ? conditions.humidity : this.DEFAULT_HUMIDITY;
+      heatIndex = this.heatIndex(conditions.temperature, humidity);
+      wbgt = this.wbgt(conditions.temperature, humidity);
+      windChill = this.windChill(conditions.temperature, conditions.wind || 0);
+
+      if (wbgt > this.HEAT_WBGT_THRESHOLD) {
+        penalties.heat = (wbgt - this.HEAT_WBGT_THRESHOLD) * this.HEAT_PENALTY_PER_DEGREE +
+          Math.max(0, wbgt - this.HEAT_WBGT_SEVERE) * this.HEAT_SEVERE_PENALTY_PER_DEGREE;
+      }
+      if (windChill < this.COLD_THRESHOLD) {
+        penalties.cold = (this.COLD_THRESHOLD - windChill) * this.COLD_PENALTY_PER_DEGREE;
+      }
+    }
+
+    if (conditions.altitude !== null && conditions.altitude > this.ALTITUDE_THRESHOLD) {
+      penalties.altitude = (conditions.altitude - this.ALTITUDE_THRESHOLD) / 1000 *
+        this.ALTITUDE_PENALTY_PER_KM;
+    }
+
+    Object.keys(penalties).forEach(key => {
+      penalties[key] = Math.round(penalties[key] * 1000) / 1000;
+    });
+
+    return {
+      conditions,
+      heatIndex: heatIndex === null ? null : Math.round(heatIndex * 10) / 10,
+      wbgt: wbgt === null ? null : Math.round(wbgt * 10) / 10,
+      windChill: windChill === null ? null : Math.round(windChill * 10) / 10,
+      penalties,
+      factor: 1 + penalties.heat + penalties.cold + penalties.altitude
+    };
+  },
+
+  /**
+   * 將實際 EPH 換算為中性環境下的標準化 EPH
+   * @param {number} eph - 原始 EPH
+   * @param {Object} inputs - 環境輸入
+   * @returns {number} 標準化 EPH；EPH 無效時為 NaN
+   */
+  normalizeEph: function(eph, inputs) {
+    const value = parseFloat(eph);
+    if (isNaN(value)) return NaN;
+    return value * this.assess(inputs).factor;
+  }
+};
+
+// 全局可用（符合 SDL 流程）
+window.EnvironmentModel = EnvironmentModel;
@@ -0,0 +1,130 @@
+/**
+ * EP（努力點數）計算引擎 - 全模塊共用
+ *
+ * 安全開發守則：
+ *   [x] 預設不信任使用者輸入
+ *   [x] 最小權限原則
+ *   [x] 關閉偵錯模式
+ */
+class EPEngine {
+  constructor() {
+    // 具名公式：EP = 距離 (km) + 爬升 / gainPerKm + 下降 / lossPerKm
+    this.profiles = {
+      itra: {
+        label: 'ITRA km-effort（+1 km / 100 m 爬升）',
+        gainPerKm: 100,
+        lossPerKm: null
+      },
+      naismith: {
+        label: 'Naismith（+1 km / 120 m 爬升）',
+        gainPerKm: 120,
+        lossPerKm: null
+      },
+      leistungskilometer: {
+        label: '效能公里（+1 km / 100 m 爬升，+1 km / 150 m 下降）',
+        gainPerKm: 100,
+        lossPerKm: 150
+      },
+      'descent-weighted': {
+        label: '下降加權（+1 km / 100 m 爬升，+1 km / 300 m 下降）',
+        gainPerKm: 100,
+        lossPerKm: 300
+      }
+    };
+    this.defaultProfileId = 'itra';
+    this.ready = this._loadDefaultProfile();
+  }
+
+  /**
+   * 載入使用者選擇的預設公式
+   * @private
+   */
+  async _loadDefaultProfile() {
+    try {
+      const stored = await window.secureStorage?.getItem('epProfile');
+      if (stored && this.profiles[stored]) {
+        this.defaultProfileId = stored;
+      }
+    } catch (e) {
+      window.security?.logSecurityEvent('EP_PROFILE_LOAD_FAILED', { error: e.message });
+    }
+  }
+
+  /**
+   * 取得公式設定（未知 ID 退回預設公式）
+   * @param {string} profileId - 公式 ID
+   * @returns {Object} { id, label, gainPerKm, lossPerKm }
+   */
+  getProfile(profileId) {
+    const id = this.profiles[profileId] ? profileId : this.defaultProfileId;
+    return { id, ...this.profiles[id] };
+  }
+
+  /**
+   * 列出所有公式
+   * @returns {Array} [{ id, label }]
+   */
+  listProfiles() {
+    return Object.entries(this.profiles).map(([id, profile]) => ({ id, label: profile.label }));
+  }
+
+  /**
+   * 設定並保存預設公式
+   * @param {string} profileId - 公式 ID
+   */
+  async setDefaultProfile(profileId) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    if (!this.profiles[profileId]) {
+      throw new Error('UNKNOWN_EP_PROFILE');
+    }
+    this.defaultProfileId = profileId;
+    await window.secureStorage.setItem('epProfile', profileId);
+  }
+
+  /**
+   * 計算 EP
+   * @param {Object} effort - { distance (km), gain (m), loss (m) }
+   * @param {string} profileId - 公式 ID（省略時使用預設公式）
+   * @returns {number} EP；輸入無效時為 NaN
+   */
+  calculateEp(effort, profileId) {
+    const profile = this.getProfile(profileId);
+    const distance = parseFloat(effort.distance);
+    const gain = parseFloat(effort.gain) || 0;
+    const loss = parseFloat(effort.loss) || 0;
+    if (isNaN(distance)) return NaN;
+
+    let ep = distance + gain / profile.gainPerKm;
+    if (profile.lossPerKm) {
+      ep += loss / profile.lossPerKm;
+    }
+    return ep;
+  }
+
+  /**
+   * 計算 EPH
+   * @param {number} ep - EP
+   * @param {number} hours - 時間（小時）
+   * @returns {number} EPH；時間無效時為 NaN
+   */
+  calculateEph(ep, hours) {
+    return hours > 0 ? ep / hours : NaN;
+  }
+
+  /**
+   * 以目前公式重新計算已保存活動的 EP（歷史數據統計用）
+   * @param {Object} activity - 活動（distance / elevation / descent）
+   * @param {string} profileId - 公式 ID
+   * @returns {number} EP；數據無效時為 NaN
+   */
+  activityEp(activity, profileId) {
+    return this.calculateEp({
+      distance: activity.distance,
+      gain: activity.elevation,
+      loss: activity.descent
+    }, profileId);
+  }
+}
+
+// 全局實例（安全初始化）
+window.epEngine = new EPEngine();
@@ -0,0 +1,383 @@
+/**
+ * 安全 FIT 解析器 - 二進位活動檔解碼
+ *
+ * 安全開發守則：
+ *   [x] 驗證檔案上傳
+ *   [x] 預設不信任使用者輸入
+ *   [x] 儲存位置：非公開目錄（前端沙箱）
+ */
+
+/**
+ * FIT 二進位解碼（僅於沙箱內執行）
+ * 只解讀 record / lap / event / course_point 訊息，其餘訊息略過。
+ * 所有讀取均做邊界檢查，遇到損毀資料即拋出錯誤。
+ * @param {ArrayBuffer} buffer - FIT 檔案內容
+ * @returns {Object} 與 GPXParser 相同結構 { tracks, routes, waypoints, laps }
+ */
+function decodeFit(buffer) {
+  const FIT_EPOCH_MS = 631065600000; // 1989-12-31T00:00:00Z
+  const SEMICIRCLE_TO_DEG = 180 / 2147483648;
+  const MESG_LAP = 19;
+  const MESG_RECORD = 20;
+  const MESG_EVENT = 21;
+  const MESG_COURSE_POINT = 32;
+
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < 12) {
+    throw new Error('INVALID_FIT');
+  }
+
+  const view = new DataView(buffer);
+  const headerSize = view.getUint8(0);
+  const dataSize = view.getUint32(4, true);
+  const signature = String.fromCharCode(
+    view.getUint8(8), view.getUint8(9), view.getUint8(10), view.getUint8(11)
+  );
+  if ((headerSize !== 12 && headerSize !== 14) || signature !== '.FIT') {
+    throw new Error('INVALID_FIT');
+  }
+
+  const end = Math.min(headerSize + dataSize, buffer.byteLength);
+  const ensure = (offset, size) => {
+    if (offset + size > end) throw new Error('INVALID_FIT');
+  };
+
+  // 依基本型別讀值；無效值（FIT 規範的 invalid sentinel）回傳 null
+  const readValue = (offset, baseType, size, little) => {
+    const type = baseType & 0x1F;
+    switch (type) {
+      case 0: case 2: case 13: { // enum / uint8 / byte
+        const v = view.getUint8(offset);
+        return v === 0xFF ? null : v;
+      }
+      case 10: { // uint8z
+        const v = view.getUint8(offset);
+        return v === 0 ? null : v;
+      }
+      case 1: { // sint8
+        const v = view.getInt8(offset);
+        return v === 0x7F ? null : v;
+      }
+      case 3: { // sint16
+        if (size < 2) return null;
+        const v = view.getInt16(offset, little);
+        return v === 0x7FFF ? null : v;
+      }
+      case 4: case 11: { // uint16 / uint16z
+        if (size < 2) return null;
+        const v = view.getUint16(offset, little);
+        return v === (type === 4 ? 0xFFFF : 0) ? null : v;
+      }
+      case 5: { // sint32
+        if (size < 4) return null;
+        const v = view.getInt32(offset, little);
+        return v === 0x7FFFFFFF ? null : v;
+      }
+      case 6: case 12: { // uint32 / uint32z
+        if (size < 4) return null;
+        const v = view.getUint32(offset, little);
+        return v === (type === 6 ? 0xFFFFFFFF : 0) ? null : v;
+      }
+      case 7: { // string（以 0 結尾的 UTF-8）
+        const bytes = new Uint8Array(buffer, offset, size);
+        const zero = bytes.indexOf(0);
+        return new TextDecoder().decode(zero === -1 ? bytes : bytes.subarray(0, zero)).slice(0, 200);
+      }
+      case 8: // float32
+        return size < 4 ? null : view.getFloat32(offset, little);
+      case 9: // float64
+        return size < 8 ? null : view.getFloat64(offset, little);
+      default:
+        return null;
+    }
+  };
+
+  const toTime = (fitSeconds) => (fitSeconds === null || fitSeconds === undefined)
+    ? null
+    : FIT_EPOCH_MS + fitSeconds * 1000;
+  const toDegrees = (semicircles) => (semicircles === null || semicircles === undefined)
+    ? null
+    : semicircles * SEMICIRCLE_TO_DEG;
+
+  const definitions = {};
+  const segments = [];
+  const laps = [];
+  const waypoints = [];
+  let currentSegment = [];
+  let timerStopped = false;
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < end) {
+    ensure(offset, 1);
+    const header = view.getUint8(offset++);
+    let localType;
+    let isDefinition = false;
+    let hasDeveloperData = false;
+    let compressedTimestamp = null;
+
+    if (header & 0x80) {
+      // 壓縮時間戳記錄頭：時間為上一個時間戳的低 5 位元偏移
+      localType = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1F;
+      if (lastTimestamp !== null) {
+        const lastLow = lastTimestamp % 32;
+        compressedTimestamp = lastTimestamp - lastLow + timeOffset +
+          (timeOffset < lastLow ? 32 : 0);
+      }
+    } else {
+      localType = header & 0x0F;
+      isDefinition = (header & 0x40) !== 0;
+      hasDeveloperData = (header & 0x20) !== 0;
+    }
+
+    if (isDefinition) {
+      ensure(offset, 5);
+      const little = view.getUint8(offset + 1) === 0;
+      const globalNum = view.getUint16(offset + 2, little);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      ensure(offset, fieldCount * 3);
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({
+          num: view.getUint8(offset),
+          size: view.getUint8(offset + 1),
+          baseType: view.getUint8(offset + 2)
+        });
+        offset += 3;
+      }
+
+      // 開發者欄位：只記錄長度以便略過
+      let developerSize = 0;
+      if (hasDeveloperData) {
+        ensure(offset, 1);
+        const devCount = view.getUint8(offset++);
+        ensure(offset, devCount * 3);
+        for (let i = 0; i < devCount; i++) {
+          developerSize += view.getUint8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions[localType] = { little, globalNum, fields, developerSize };
+      continue;
+    }
+
+    const definition = definitions[localType];
+    if (!definition) throw new Error('INVALID_FIT');
+
+    const values = {};
+    definition.fields.forEach(field => {
+      ensure(offset, field.size);
+      values[field.num] = field.size > 0
+        ? readValue(offset, field.baseType, field.size, definition.little)
+        : null;
+      offset += field.size;
+    });
+    ensure(offset, definition.developerSize);
+    offset += definition.developerSize;
+
+    if (values[253] !== undefined && values[253] !== null) {
+      lastTimestamp = values[253];
+    } else if (compressedTimestamp !== null) {
+      values[253] = compressedTimestamp;
+      lastTimestamp = compressedTimestamp;
+    }
+
+    switch (definition.globalNum) {
+      case MESG_RECORD: {
+        const lat = toDegrees(values[0]);
+        const lon = toDegrees(values[1]);
+        if (lat === null || lon === null) break; // 無 GPS 位置的點略過
+
+        // 優先使用 enhanced_altitude (78)，兩者皆為 scale 5 / offset 500
+        const rawAltitude = values[78] ?? values[2] ?? null;
+        currentSegment.push({
+          lat,
+          lon,
+          ele: rawAltitude === null ? 0 : rawAltitude / 5 - 500,
+          time: toTime(values[253]),
+          hr: values[3] ?? null,
+          cadence: values[4] ?? null
+        });
+        break;
+      }
+      case MESG_EVENT: {
+        // event 0 = timer；event_type 0 = start，1 / 4 = stop / stop_all
+        if (values[0] !== 0) break;
+        if (values[1] === 1 || values[1] === 4) {
+          timerStopped = true;
+        } else if (values[1] === 0 && timerStopped) {
+          timerStopped = false;
+          if (currentSegment.length > 0) {
+            segments.push({ points: currentSegment });
+            currentSegment = [];
+          }
+        }
+        break;
+      }
+      case MESG_LAP:
+        laps.push({
+          startTime: toTime(values[2]),
+          totalTimeSeconds: values[7] === null || values[7] === undefined ? null : values[7] / 1000,
+          distanceMeters: values[9] === null || values[9] === undefined ? null : values[9] / 100,
+          averageHeartRate: values[15] ?? null,
+          maxHeartRate: values[16] ?? null,
+          cadence: values[17] ?? null
+        });
+        break;
+      case MESG_COURSE_POINT: {
+        const lat = toDegrees(values[2]);
+        const lon = toDegrees(values[3]);
+        if (lat === null || lon === null) break;
+        waypoints.push({
+          lat,
+          lon,
+          ele: 0,
+          time: toTime(values[1]),
+          name: typeof values[6] === 'string' ? values[6] : '',
+          type: values[5] === null || values[5] === undefined ? '' : String(values[5]),
+          desc: ''
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (currentSegment.length > 0) {
+    segments.push({ points: currentSegment });
+  }
+
+  return {
+    tracks: segments.length > 0 ? [{ name: '', segments }] : [],
+    routes: [],
+    waypoints,
+    laps
+  };
+}
+
+class FITParser {
+  constructor() {
+    this.sandbox = this._createSandbox();
+    this.pendingResolvers = {};
+  }
+
+  /**
+   * 創建安全沙箱（解碼器以原始碼注入，主頁面不直接處理二進位內容）
+   * @private
+   */
+  _createSandbox() {
+    const sandbox = document.createElement('iframe');
+    sandbox.style.display = 'none';
+    sandbox.sandbox = 'allow-scripts';
+    sandbox.srcdoc = `
+      <!DOCTYPE html>
+      <html>
+      <body>
+        <script>
+          ${decodeFit.toString()}
+
+          // 沙箱內解析邏輯
+          window.addEventListener('message', (event) => {
+            if (event.origin !== window.location.origin) return;
+
+            if (event.data.type === 'PARSE_FIT') {
+              try {
+                const data = decodeFit(event.data.buffer);
+
+                // 安全傳回主頁面
+                window.parent.postMessage({
+                  type: 'FIT_PARSED',
+                  id: event.data.id,
+                  data
+                }, window.location.origin);
+
+              } catch (e) {
+                window.parent.postMessage({
+                  type: 'FIT_ERROR',
+                  id: event.data.id,
+                  error: 'INVALID_FIT'
+                }, window.location.origin);
+              }
+            }
+          });
+        <\/script>
+      </body>
+      </html>
+    `;
+    document.body.appendChild(sandbox);
+    return sandbox;
+  }
+
+  /**
+   * 解析 FIT 文件
+   * @param {File} file - FIT 文件
+   * @returns {Promise<Object>} 解析結果（與 GPXParser 相同結構，另含 laps）
+   */
+  async parse(file) {
+    // 安全開發守則：【驗證副檔名】
+    if (!file.name.toLowerCase().endsWith('.fit')) {
+      throw new Error('INVALID_FILE_EXTENSION');
+    }
+
+    // 安全開發守則：【驗證檔案大小】
+    if (file.size > 5 * 1024 * 1024) { // 5MB
+      throw new Error('FILE_TOO_LARGE');
+    }
+
+    // 讀取文件內容（二進位）
+    const reader = new FileReader();
+    const bufferPromise = new Promise((resolve, reject) => {
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('FILE_READ_ERROR'));
+    });
+
+    reader.readAsArrayBuffer(file);
+    const buffer = await bufferPromise;
+
+    // 生成唯一 ID 用於請求跟蹤
+    const requestId = 'req_' + Math.random().toString(36).substr(2, 9);
+
+    // 創建解析請求
+    return new Promise((resolve, reject) => {
+      this.pendingResolvers[requestId] = { resolve, reject };
+
+      this.sandbox.contentWindow.postMessage({
+        type: 'PARSE_FIT',
+        id: requestId,
+        buffer
+      }, window.location.origin, [buffer]);
+    });
+  }
+
+  /**
+   * 初始化消息監聽
+   */
+  init() {
+    window.addEventListener('message', (event) => {
+      if (event.origin !== window.location.origin) return;
+
+      if (event.data.type === 'FIT_PARSED') {
+        const resolver = this.pendingResolvers[event.data.id];
+        if (resolver) {
+          resolver.resolve(event.data.data);
+          delete this.pendingResolvers[event.data.id];
+        }
+      }
+      else if (event.data.type === 'FIT_ERROR') {
+        const resolver = this.pendingResolvers[event.data.id];
+        if (resolver) {
+          resolver.reject(new Error(event.data.error));
+          delete this.pendingResolvers[event.data.id];
+        }
+      }
+    });
+  }
+}
+
+// 全局實例（安全初始化）
+window.fitParser = new FITParser();
+window.fitParser.init();
@@ -40,14 +40,52 @@ class GPXParser {
                 const parser = new DOMParser();
                 const xmlDoc = parser.parseFromString(content, "text/xml");
                 
-                // 步驟 3：提取安全數據（僅允許 trkpt）
-                const trkpts = Array.from(xmlDoc.getElementsByTagName('trkpt'));
-                const data = trkpts.map(pt => ({
-                  lat: parseFloat(pt.getAttribute('lat')) || 0,
-                  lon: parseFloat(pt.getAttribute('lon')) || 0,
-                  ele: parseFloat(pt.getElementsByTagName('ele')[0]?.textContent) || 0
+                // 步驟 3：提取安全數據（僅允許 trk / rte / wpt 白名單欄位）
+                const childText = (el, tag) => {
+                  // 只讀取直屬子節點，避免取到巢狀節點的同名欄位
+                  const child = Array.from(el.children).find(c => c.localName === tag);
+                  return child ? child.textContent.trim().slice(0, 200) : '';
+                };
+                
+                const readPoint = (pt) => {
+                  // 時間戳轉為毫秒數（無效或缺失時為 null）
+                  const time = Date.parse(childText(pt, 'time'));
+                  return {
+                    lat: parseFloat(pt.getAttribute('lat')) || 0,
+                    lon: parseFloat(pt.getAttribute('lon')) || 0,
+                    ele: parseFloat(childText(pt, 'ele')) || 0,
+                    time: isNaN(time) ? null : time
+                  };
+                };
+                
+                const tracks = Array.from(xmlDoc.getElementsByTagName('trk')).map(trk => {
+                  const segs = Array.from(trk.getElementsByTagName('trkseg'));
+                  // 非標準檔案：trkpt 直接位於 trk 下時視為單一分段
+                  const groups = segs.length > 0 ? segs : [trk];
+                  return {
+                    name: childText(trk, 'name'),
+                    segments: groups
+                      .map(seg => ({
+                        points: Array.from(seg.getElementsByTagName('trkpt')).map(readPoint)
+                      }))
+                      .filter(seg => seg.points.length > 0)
+                  };
+                }).filter(trk => trk.segments.length > 0);
+                
+                const routes = Array.from(xmlDoc.getElementsByTagName('rte')).map(rte => ({
+                  name: childText(rte, 'name'),
+                  points: Array.from(rte.getElementsByTagName('rtept')).map(readPoint)
+                })).filter(rte => rte.points.length > 0);
+                
+                const waypoints = Array.from(xmlDoc.getElementsByTagName('wpt')).map(wpt => ({
+                  ...readPoint(wpt),
+                  name: childText(wpt, 'name'),
+                  type: childText(wpt, 'type'),
+                  desc: childText(wpt, 'desc')
                 }));
                 
+                const data = { tracks, routes, waypoints };
+                
                 // 步驟 4：安全傳回主頁面
                 window.parent.postMessage({ 
                   type: 'GPX_PARSED', 
@@ -75,7 +113,7 @@ class GPXParser {
   /**
    * 解析 GPX 文件
    * @param {File} file - GPX 文件
-   * @returns {Promise<Object>} 解析結果
+   * @returns {Promise<Object>} 解析結果 { tracks: [{ name, segments: [{ points }] }], routes: [{ name, points }], waypoints }
    */
   async parse(file) {
     // 安全開發守則：【驗證副檔名】
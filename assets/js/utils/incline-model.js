@@ -0,0 +1,190 @@
+/**
+ * 跑步機坡度模型 - 跑步機換算器與間歇規劃器共用
+ *
+ * 等效爬升 = 距離 (m) × 坡度 (%) / 100 × ELEVATION_FACTOR
+ * 反向查詢以同一公式求出達成目標等效爬升所需的坡度，兩者換算結果一致。
+ * 多階段課表逐段以同一模型換算後加總；EP 為距離與爬升的線性函數，總 EP 即各段 EP 之和。
+ *
+ * 安全開發守則：
+ *   [x] 預設不信任使用者輸入
+ *   [x] 關閉偵錯模式
+ */
+const InclineModel = {
+  // 坡度換算等效爬升的倍率（換算器既有模型）
+  ELEVATION_FACTOR: 10,
+
+  // 多階段課表上限
+  MAX_STAGES: 60,
+  MAX_STAGE_SECONDS: 4 * 3600,
+  MIN_SPEED: 1,
+  MAX_SPEED: 25,
+  MAX_INCLINE: 40,
+
+  /**
+   * 坡度 → 等效爬升
+   * @param {number} distance - 距離 (km)
+   * @param {number} incline - 坡度 (%)
+   * @returns {number} 等效爬升 (m)
+   */
+  equivalentElevation: function(distance, incline) {
+    return distance * 1000 * (incline / 100) * this.ELEVATION_FACTOR;
+  },
+
+  /**
+   * 等效爬升 → 坡度
+   * @param {number} elevation - 等效爬升 (m)
+   * @param {number} distance - 距離 (km)
+   * @returns {number} 坡度 (%)；距離為 0 時為 0
+   */
+  inclineForElevation: function(elevation, distance) {
+    return distance > 0 ? (elevation / (distance * 1000 * this.ELEVATION_FACTOR)) * 100 : 0;
+  },
+
+  /**
+   * 正向換算（跑步機 → 戶外）
+   * @param {Object} setting - { hours, speed (km/h), incline (%) }
+   * @returns {Object} { distance (km), elevation (m), ep, eph }
+   */
+  forward: function(setting) {
+    const distance = setting.speed * setting.hours;
+    const elevation = this.equivalentElevation(distance, setting.incline);
+    const ep = window.epEngine.calculateEp({ distance, gain: elevation });
+    return { distance, elevation, ep, eph: window.epEngine.calculateEph(ep, setting.hours) };
+  },
+
+  /**
+   * 反向查詢（目標等效爬升 → 坡度）
+   * @param {Object} target - { hours, speed (km/h), elevation (m) }
+   * @returns {Object} { distance (km), incline (%), ep, eph }
+   */
+  reverse: function(target) {
+    const distance = target.speed * target.hours;
+    const incline = this.inclineForElevation(target.elevation, distance);
+    const ep = window.epEngine.calculateEp({ distance, gain: target.elevation });
+    return { distance, incline, ep, eph: window.epEngine.calculateEph(ep, target.hours) };
+  },
+
+  /**
+   * 多階段課表逐段換算並加總
+   * @param {Array} stages - [{ seconds, speed (km/h), incline (%) }]
+   * @returns {Object} { stages: [{ seconds, speed, incline, startSeconds, distance, elevation, ep, eph }],
+   *   totals: { seconds, distance, elevation, ep, eph } }
+   */
+  program: function(stages) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    if (!Array.isArray(stages) || stages.length === 0 || stages.length > this.MAX_STAGES) {
+      throw new Error('INVALID_PROGRAM');
+    }
+
+    let elapsed = 0;
+    const results = stages.map(stage => {
+      const seconds = Math.round(stage.seconds);
+      const speed = parseFloat(stage.speed);
+      const incline = parseFloat(stage.incline);
+      if (!(seconds > 0 && seconds <= this.MAX_STAGE_SECONDS) ||
+          !(speed >= this.MIN_SPEED && speed <= this.MAX_SPEED) ||
+          !(incline >= 0 && incline <= this.MAX_INCLINE)) {
+        throw new Error('INVALID_PROGRAM');
+      }
+
+      const result = {
+        seconds,
+        speed,
+        incline,
+        startSeconds: elapsed,
+        ...this.forward({ hours: seconds / 3600, speed, incline })
+      };
+      elapsed += seconds;
+      return result;
+    });
+
+    const distance = results.reduce((sum, stage) => sum + stage.distance, 0);
+    const elevation = results.reduce((sum, stage) => sum + stage.elevation, 0);
+    const ep = window.epEngine.calculateEp({ distance, gain: elevation });
+    return {
+      stages: results,
+      totals: { seconds: elapsed, distance, elevation, ep, eph: window.epEngine.calculateEph(ep, elapsed / 3600) }
+    };
+  },
+
+  /**
+   * 漸進坡度階梯
+   * @param {Object} options - { count, seconds, speed, startIncline, step }
+   * @returns {Array} 階段 [{ seconds, speed, incline }]
+   */
+  ladder: function(options) {
+    const count = parseInt(options.count, 10);
+    if (!(count >= 1 && count <= this.MAX_STAGES) || !(options.startIncline >= 0) || isNaN(options.step)) {
+      throw new Error('INVALID_PROGRAM');
+    }
+
+    return Array.from({ length: count }, (_, i) => ({
+      seconds: options.seconds,
+      speed: options.speed,
+      incline: parseFloat(Math.max(0, Math.min(this.MAX_INCLINE, options.startIncline + options.step * i)).toFixed(1))
+    }));
+  },
+
+  /**
+   * 重現賽道爬坡：區間依固定距離切段，每段坡度使等效爬升等於該段實際爬升（下坡段為 0%）
+   * @param {Array} profile - 高度剖面 [[km, m], ...]
+   * @param {Object} options - { startKm, endKm, stageKm, speed }
+   * @returns {Array} 階段 [{ seconds, speed, incline, gain }]
+   */
+  fromProfile: function(profile, options) {
+    const { startKm, endKm, stageKm, speed } = options;
+    if (!Array.isArray(profile) || profile.length < 2 ||
+        !(startKm >= 0) || !(endKm > startKm) || endKm > profile[profile.length - 1][0] + 0.001 ||
+        !(stageKm > 0) || Math.ceil((endKm - startKm) / stageKm) > this.MAX_STAGES ||
+        !(speed >= this.MIN_SPEED && speed <= this.MAX_SPEED)) {
+      throw new Error('INVALID_PROFILE_RANGE');
+    }
+
+    const stages = [];
+    for (let from = startKm; from < endKm - 0.0001; from += stageKm) {
+      const to = Math.min(endKm, from + stageKm);
+      const gain = this._climbBetween(profile, from, to);
+      stages.push({
+        seconds: Math.round((to - from) / speed * 3600),
+        speed,
+        incline: parseFloat(Math.min(this.MAX_INCLINE, this.inclineForElevation(gain, to - from)).toFixed(1)),
+        gain: Math.round(gain)
+      });
+    }
+    return stages;
+  },
+
+  /**
+   * 剖面區間內的累積爬升（端點以線性內插）
+   * @private
+   */
+  _climbBetween: function(profile, from, to) {
+    const elevations = [this._elevationAt(profile, from)];
+    profile.forEach(([km, ele]) => {
+      if (km > from && km < to) elevations.push(ele);
+    });
+    elevations.push(this._elevationAt(profile, to));
+
+    let gain = 0;
+    for (let i = 1; i < elevations.length; i++) {
+      gain += Math.max(0, elevations[i] - elevations[i - 1]);
+    }
+    return gain;
+  },
+
+  /**
+   * 剖面上指定距離的高度（線性內插）
+   * @private
+   */
+  _elevationAt: function(profile, km) {
+    const index = profile.findIndex(point => point[0] >= km);
+    if (index === -1) return profile[profile.length - 1][1];
+    if (index === 0) return profile[0][1];
+    const [d0, e0] = profile[index - 1];
+    const [d1, e1] = profile[index];
+    return d1 > d0 ? e0 + (e1 - e0) * (km - d0) / (d1 - d0) : e1;
+  }
+};
+
+// 全局可用（符合 SDL 流程）
+window.InclineModel = InclineModel;
@@ -0,0 +1,97 @@
+/**
+ * 配速區間 - 由參考成績推算 VDOT 與各強度區間配速
+ *
+ * 採 Daniels–Gilbert 攝氧量公式：
+ *   VO2 = -4.60 + 0.182258 v + 0.000104 v²（v 為 m/min）
+ *   可維持比例 = 0.8 + 0.1894393 e^(-0.012778 t) + 0.2989558 e^(-0.1932605 t)（t 為分鐘）
+ *   VDOT = VO2 / 可維持比例
+ * 各區間配速為 VDOT 對應攝氧量的固定比例所對應的速度。
+ *
+ * 安全開發守則：
+ *   [x] 預設不信任使用者輸入
+ *   [x] 關閉偵錯模式
+ */
+const PaceZones = {
+  // 有效 VDOT 範圍
+  MIN_VDOT: 20,
+  MAX_VDOT: 85,
+
+  // 可選的參考成績距離 (m)
+  REFERENCE_DISTANCES: {
+    1500: '1500 m',
+    1609: '1 英里',
+    3000: '3000 m',
+    5000: '5 km',
+    10000: '10 km',
+    21097: '半程馬拉松',
+    42195: '全程馬拉松'
+  },
+
+  // 各區間的攝氧量比例（相對 VDOT）
+  ZONE_INTENSITY: {
+    easy: 0.70,
+    marathon: 0.80,
+    threshold: 0.88,
+    interval: 0.98,
+    repetition: 1.06
+  },
+
+  /**
+   * 由比賽成績推算 VDOT
+   * @param {number} distance - 距離 (m)
+   * @param {number} seconds - 完賽時間 (秒)
+   * @returns {number} VDOT
+   */
+  vdotFromPerformance: function(distance, seconds) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    if (!this.REFERENCE_DISTANCES[distance] || !(seconds > 0)) {
+      throw new Error('INVALID_REFERENCE');
+    }
+
+    const minutes = seconds / 60;
+    const velocity = distance / minutes;
+    const vo2 = -4.60 + 0.182258 * velocity + 0.000104 * velocity * velocity;
+    const fraction = 0.8 + 0.1894393 * Math.exp(-0.012778 * minutes) +
+      0.2989558 * Math.exp(-0.1932605 * minutes);
+    const vdot = vo2 / fraction;
+
+    if (!(vdot >= this.MIN_VDOT && vdot <= this.MAX_VDOT)) {
+      throw new Error('INVALID_REFERENCE');
+    }
+    return parseFloat(vdot.toFixed(1));
+  },
+
+  /**
+   * 攝氧量對應的速度（解 VO2 二次式）
+   * @param {number} vo2 - 攝氧量 (ml/kg/min)
+   * @returns {number} 速度 (m/min)
+   */
+  velocityAtVo2: function(vo2) {
+    const a = 0.000104;
+    const b = 0.182258;
+    const c = -(vo2 + 4.60);
+    return (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+  },
+
+  /**
+   * 各強度區間配速
+   * @param {number} vdot - VDOT
+   * @returns {Object} { easy, marathon, threshold, interval, repetition }（秒/km）
+   */
+  zonePaces: function(vdot) {
+    const value = parseFloat(vdot);
+    if (!(value >= this.MIN_VDOT && value <= this.MAX_VDOT)) {
+      throw new Error('INVALID_REFERENCE');
+    }
+
+    const paces = {};
+    Object.entries(this.ZONE_INTENSITY).forEach(([zone, intensity]) => {
+      const velocity = this.velocityAtVo2(value * intensity);
+      paces[zone] = Math.round(1000 / velocity * 60);
+    });
+    return paces;
+  }
+};
+
+// 全局可用（符合 SDL 流程）
+window.PaceZones = PaceZones;
@@ -0,0 +1,340 @@
+/**
+ * 個人表現模型 - 由歷史分段 EPH 推算各地形的移動能力
+ *
+ * 安全開發守則：
+ *   [x] 預設不信任使用者輸入
+ *   [x] 關閉偵錯模式
+ */
+const PerformanceModel = {
+  // 地形分類坡度門檻 (%)，與 TrackAnalysis.detectSegments 預設值一致
+  GRADE_THRESHOLD: 3,
+
+  // 無任何歷史數據時的預設 EPH
+  DEFAULT_EPH: 5,
+
+  // 配速計畫取樣距離 (km)
+  PLAN_STEP_KM: 0.1,
+
+  /**
+   * 依坡度分類地形
+   * @param {number} grade - 坡度 (%)
+   * @returns {string} 'climb' | 'descent' | 'flat'
+   */
+  terrainOf: function(grade) {
+    if (grade >= this.GRADE_THRESHOLD) return 'climb';
+    if (grade <= -this.GRADE_THRESHOLD) return 'descent';
+    return 'flat';
+  },
+
+  /**
+   * 由歷史分段建立模型（以時間加權：總 EP / 總時數）
+   * 缺少某類地形數據時退回整體 EPH。
+   * @param {Array} segments - 歷史分段 [{ type, ep, duration (秒) }]
+   * @param {number} fallbackEph - 整體 EPH（無分段數據時使用）
+   * @returns {Object} { climb, descent, flat, overall, sampleHours: { climb, descent, flat } }
+   */
+  fromSegments: function(segments, fallbackEph) {
+    const totals = {
+      climb: { ep: 0, hours: 0 },
+      descent: { ep: 0, hours: 0 },
+      flat: { ep: 0, hours: 0 }
+    };
+
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    (Array.isArray(segments) ? segments : []).forEach(seg => {
+      const total = totals[seg.type];
+      const ep = parseFloat(seg.ep);
+      const hours = parseFloat(seg.duration) / 3600;
+      if (!total || !(ep > 0) || !(hours > 0)) return;
+      total.ep += ep;
+      total.hours += hours;
+    });
+
+    const overall = totals.climb.ep + totals.descent.ep + totals.flat.ep;
+    const overallHours = totals.climb.hours + totals.descent.hours + totals.flat.hours;
+    const baseEph = fallbackEph > 0
+      ? fallbackEph
+      : overallHours > 0 ? overall / overallHours : this.DEFAULT_EPH;
+
+    const model = { overall: baseEph, sampleHours: {} };
+    Object.entries(totals).forEach(([type, total]) => {
+      model[type] = total.hours > 0 ? total.ep / total.hours : baseEph;
+      model.sampleHours[type] = parseFloat(total.hours.toFixed(2));
+    });
+    return model;
+  },
+
+  // 預測區間對應的標準常態分位數（雙尾）
+  INTERVAL_Z: { 50: 0.674, 80: 1.282, 95: 1.960 },
+
+  /**
+   * 建立完賽時間預測器（Riegel 式疲勞指數迴歸）
+   * ln T = c0 + b·ln EP + c2·爬升佔比；b 即疲勞指數（Riegel 原式約 1.06）。
+   * 樣本不足以估計爬升項時退回單變數迴歸。
+   * @param {Array} samples - [{ ep, hours, distance, gain }]
+   * @returns {Object} { coefficients, covariance, sigma, df, exponent, useClimb, n }
+   */
+  fitFinishPredictor: function(samples) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const valid = (Array.isArray(samples) ? samples : []).filter(sample =>
+      sample.ep > 0 && sample.hours > 0 && sample.distance > 0 && sample.gain >= 0
+    );
+    if (valid.length < 3) {
+      throw new Error('INSUFFICIENT_DATA');
+    }
+
+    const climbShare = sample => (sample.gain / 100) / (sample.distance + sample.gain / 100);
+    const y = valid.map(sample => Math.log(sample.hours));
+    const shares = valid.map(climbShare);
+    const shareSpread = Math.max(...shares) - Math.min(...shares);
+
+    // 爬升佔比需有變化且樣本足夠才納入
+    const useClimb = valid.length >= 5 && shareSpread > 0.05;
+    const features = sample => useClimb
+      ? [1, Math.log(sample.ep), climbShare(sample)]
+      : [1, Math.log(sample.ep)];
+    const X = valid.map(features);
+
+    const xtx = this._multiplyTranspose(X, X);
+    const inverse = this._invert(xtx);
+    if (!inverse) {
+      throw new Error('INSUFFICIENT_DATA');
+    }
+    const xty = X[0].map((_, j) => X.reduce((sum, row, i) => sum + row[j] * y[i], 0));
+    const coefficients = inverse.map(row => row.reduce((sum, value, j) => sum + value * xty[j], 0));
+
+    const df = valid.length - coefficients.length;
+    const sse = X.reduce((sum, row, i) => {
+      const fitted = row.reduce((acc, value, j) => acc + value * coefficients[j], 0);
+      return sum + Math.pow(y[i] - fitted, 2);
+    }, 0);
+    // 自由度為 0 時以保守的 15% 對數誤差代替
+    const sigma = df > 0 ? Math.sqrt(sse / df) : 0.15;
+
+    return {
+      coefficients,
+      covariance: inverse,
+      sigma,
+      df,
+      exponent: coefficients[1],
+      useClimb,
+      n: valid.length
+    };
+  },
+
+  /**
+   * 預測完賽時間與區間
+   * @param {Object} predictor - fitFinishPredictor 結果
+   * @param {Object} race - { ep, distance, gain }
+   * @param {number} cutoffHours - 關門時間（小時，選填）
+   * @returns {Object} { median, intervals: { 50: [low, high], 80, 95 }, finishProbability }
+   */
+  predictFinish: function(predictor, race, cutoffHours) {
+    const share = (race.gain / 100) / (race.distance + race.gain / 100);
+    const x = predictor.useClimb ? [1, Math.log(race.ep), share] : [1, Math.log(race.ep)];
+    const mean = x.reduce((sum, value, j) => sum + value * predictor.coefficients[j], 0);
+
+    // 預測標準誤：殘差變異 + 參數不確定性（外推越遠區間越寬）
+    const leverage = x.reduce((sum, xi, i) =>
+      sum + xi * x.reduce((acc, xj, j) => acc + predictor.covariance[i][j] * xj, 0), 0);
+    const se = predictor.sigma * Math.sqrt(1 + leverage);
+
+    const intervals = {};
+    Object.entries(this.INTERVAL_Z).forEach(([level, z]) => {
+      const t = this._tQuantile(z, predictor.df);
+      intervals[level] = [Math.exp(mean - t * se), Math.exp(mean + t * se)];
+    });
+
+    return {
+      median: Math.exp(mean),
+      intervals,
+      finishProbability: cutoffHours > 0 && se > 0
+        ? this._normalCdf((Math.log(cutoffHours) - mean) / se)
+        : null
+    };
+  },
+
+  /**
+   * XᵀY
+   * @private
+   */
+  _multiplyTranspose: function(X, Y) {
+    return X[0].map((_, i) => Y[0].map((__, j) =>
+      X.reduce((sum, row, k) => sum + row[i] * Y[k][j], 0)
+    ));
+  },
+
+  /**
+   * 方陣反矩陣（高斯-約旦消去）；奇異時回傳 null
+   * @private
+   */
+  _invert: function(matrix) {
+    const n = matrix.length;
+    const a = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+      }
+      if (Math.abs(a[pivot][col]) < 1e-12) return null;
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+
+      const divisor = a[col][col];
+      for (let j = 0; j < 2 * n; j++) a[col][j] /= divisor;
+      for (let row = 0; row < n; row++) {
+        if (row === col) continue;
+        const factor = a[row][col];
+        for (let j = 0; j < 2 * n; j++) a[row][j] -= factor * a[col][j];
+      }
+    }
+    return a.map(row => row.slice(n));
+  },
+
+  /**
+   * 標準常態累積分布（Abramowitz-Stegun 7.1.26）
+   * @private
+   */
+  _normalCdf: function(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+      t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  },
+
+  /**
+   * t 分位數近似（Cornish-Fisher 一階修正；自由度為 0 時取 2 倍常態分位數）
+   * @private
+   */
+  _tQuantile: function(z, df) {
+    if (df <= 0) return z * 2;
+    return z * (1 + (z * z + 1) / (4 * df));
+  },
+
+  /**
+   * 產生配速計畫
+   * 先以個人地形 EPH 推算各段相對用時，再整體縮放至目標時間 / 目標 EPH。
+   * @param {Array} points - 賽道點序列（已平滑）
+   * @param {Array} checkpoints - TrackAnalysis.locateWaypoints 結果
+   * @param {Object} model - fromSegments 結果
+   * @param {Object} target - { hours }、{ eph }，或 { model: true }（純模型預測，不縮放）
+   * @param {Function} calculateEp - EP 公式 ({ distance, gain, loss }) => EP
+   * @returns {Object} { legs, totalHours, totalEp, totalDistance, scale }
+   */
+  planCourse: function(points, checkpoints, model, target, calculateEp) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    if (!Array.isArray(points) || points.length < 2) {
+      throw new Error('INSUFFICIENT_COURSE');
+    }
+    const targetHours = parseFloat(target && target.hours);
+    const targetEph = parseFloat(target && target.eph);
+    const modelOnly = !!(target && target.model);
+    if (!modelOnly && !(targetHours > 0) && !(targetEph > 0)) {
+      throw new Error('INVALID_TARGET');
+    }
+
+    const { distances } = window.TrackAnalysis.cumulative(points);
+    const totalDistance = distances[distances.length - 1];
+
+    // 航點依距離排序，終點之前的才成為分段邊界
+    const stops = (Array.isArray(checkpoints) ? checkpoints : [])
+      .filter(cp => cp.distance > 0 && cp.distance < totalDistance)
+      .sort((a, b) => a.distance - b.distance);
+    const boundaries = [
+      { name: '起點', distance: 0 },
+      ...stops.map(cp => ({ name: cp.name || '檢查點', distance: cp.distance })),
+      { name: '終點', distance: totalDistance }
+    ];
+
+    const legs = boundaries.slice(1).map((to, i) => ({
+      from: boundaries[i].name,
+      to: to.name,
+      startKm: boundaries[i].distance,
+      endKm: to.distance,
+      distance: 0,
+      gain: 0,
+      loss: 0,
+      ep: 0,
+      modelHours: 0
+    }));
+
+    // 固定距離取樣：每一步依坡度選用對應地形 EPH
+    let legIndex = 0;
+    let step = { distance: 0, gain: 0, loss: 0 };
+    const flushStep = () => {
+      if (step.distance <= 0) return;
+      const leg = legs[legIndex];
+      const grade = (step.gain - step.loss) / (step.distance * 1000) * 100;
+      const ep = calculateEp({ distance: step.distance, gain: step.gain, loss: step.loss });
+      leg.distance += step.distance;
+      leg.gain += step.gain;
+      leg.loss += step.loss;
+      leg.ep += ep;
+      leg.modelHours += ep / model[this.terrainOf(grade)];
+      step = { distance: 0, gain: 0, loss: 0 };
+    };
+
+    const addToStep = (distance, delta) => {
+      step.distance += distance;
+      if (delta > 0) step.gain += delta;
+      else step.loss -= delta;
+    };
+
+    for (let i = 1; i < points.length; i++) {
+      const delta = points[i].ele - points[i - 1].ele;
+      const from = distances[i - 1];
+      const to = distances[i];
+      const span = to - from;
+
+      // 兩點之間可能跨越多個檢查點（稀疏路線），依距離比例分配並逐一結束各段
+      let covered = from;
+      while (legIndex < legs.length - 1 && to >= legs[legIndex].endKm) {
+        const boundary = Math.max(covered, legs[legIndex].endKm);
+        addToStep(boundary - covered, span > 0 ? delta * (boundary - covered) / span : 0);
+        covered = boundary;
+        flushStep();
+        legIndex++;
+      }
+      addToStep(to - covered, span > 0 ? delta * (to - covered) / span : delta);
+
+      if (step.distance >= this.PLAN_STEP_KM || i === points.length - 1) {
+        flushStep();
+      }
+    }
+
+    const totalEp = legs.reduce((sum, leg) => sum + leg.ep, 0);
+    const modelHours = legs.reduce((sum, leg) => sum + leg.modelHours, 0);
+    const goalHours = modelOnly
+      ? modelHours
+      : targetHours > 0 ? targetHours : totalEp / targetEph;
+    const scale = modelHours > 0 ? goalHours / modelHours : 1;
+
+    let arrival = 0;
+    return {
+      legs: legs.map(leg => {
+        const hours = leg.modelHours * scale;
+        arrival += hours;
+        return {
+          from: leg.from,
+          to: leg.to,
+          startKm: parseFloat(leg.startKm.toFixed(2)),
+          endKm: parseFloat(leg.endKm.toFixed(2)),
+          distance: parseFloat(leg.distance.toFixed(2)),
+          gain: Math.round(leg.gain),
+          loss: Math.round(leg.loss),
+          ep: parseFloat(leg.ep.toFixed(2)),
+          duration: hours,
+          arrival,
+          pace: leg.distance > 0 ? hours * 60 / leg.distance : null, // min/km
+          eph: hours > 0 ? parseFloat((leg.ep / hours).toFixed(2)) : null
+        };
+      }),
+      totalHours: goalHours,
+      totalEp: parseFloat(totalEp.toFixed(2)),
+      totalDistance: parseFloat(totalDistance.toFixed(2)),
+      scale: parseFloat(scale.toFixed(3))
+    };
+  }
+};
+
+// 全局可用（符合 SDL 流程）
+window.PerformanceModel = PerformanceModel;
@@ -0,0 +1,294 @@
+/**
+ * 完賽風險模型 - 多因子綜合評分
+ *
+ * 每個因子輸出 0–100 的風險值，依權重加總為綜合分數；
+ * 各因子的貢獻分數（權重 × 風險）一併回傳，讓使用者看到風險來源。
+ *
+ * 安全開發守則：
+ *   [x] 預設不信任使用者輸入
+ *   [x] 關閉偵錯模式
+ */
+const RiskModel = {
+  // 因子權重（總和 100）
+  WEIGHTS: {
+    requiredEph: 30,
+    acwr: 15,
+    consistency: 15,
+    longestRun: 15,
+    descent: 15,
+    exposure: 10
+  },
+
+  // 綜合分數門檻
+  LEVELS: { high: 60, medium: 35 },
+
+  // 訓練一致性觀察期（週）
+  CONSISTENCY_WEEKS: 12,
+
+  // 最長訓練的時間衰減常數（天）：越久以前的長距離訓練效益越低
+  RECENCY_DECAY_DAYS: 42,
+
+  // 夜間時段（時）
+  NIGHT_START_HOUR: 19,
+  NIGHT_END_HOUR: 5,
+
+  // 高溫賽事門檻 (℃)
+  HEAT_RACE_TEMPERATURE: 25,
+
+  /**
+   * 綜合評估
+   * @param {Object} context - { activities, race: { ep, distance, elevation, descent, cutoffHours,
+   *   temperature, startTime }, prediction, now }
+   * @returns {Object} { score, level, factors: [{ id, label, risk, weight, contribution, detail }] }
+   */
+  assess: function(context) {
+    const now = context.now || new Date();
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const activities = (Array.isArray(context.activities) ? context.activities : [])
+      .map(act => ({
+        ...act,
+        date: new Date(act.startTime || act.timestamp),
+        ep: window.epEngine.activityEp(act),
+        hours: this._durationHours(act.duration)
+      }))
+      .filter(act => !isNaN(act.date.getTime()) && act.date <= now && act.ep > 0);
+
+    const results = [
+      this.requiredEph(context.race, context.prediction),
+      this.acwr(activities, now),
+      this.consistency(activities, now),
+      this.longestRun(activities, context.race, now),
+      this.descent(activities, context.race, now),
+      this.exposure(activities, context.race, context.prediction, now)
+    ];
+
+    const totalWeight = results.reduce((sum, factor) => sum + this.WEIGHTS[factor.id], 0);
+    const factors = results.map(factor => {
+      const weight = this.WEIGHTS[factor.id];
+      const risk = Math.round(Math.max(0, Math.min(100, factor.risk)));
+      return {
+        ...factor,
+        risk,
+        weight,
+        contribution: parseFloat((risk * weight / totalWeight).toFixed(1))
+      };
+    });
+
+    const score = Math.round(factors.reduce((sum, factor) => sum + factor.contribution, 0));
+    const level = score >= this.LEVELS.high ? 'high' : score >= this.LEVELS.medium ? 'medium' : 'low';
+    return { score, level, factors };
+  },
+
+  /**
+   * 所需 EPH vs 歷史 EPH（以完賽機率為主，無機率時以 EPH 比值）
+   */
+  requiredEph: function(race, prediction) {
+    const required = race.ep / race.cutoffHours;
+    const achievable = prediction && prediction.median > 0 ? race.ep / prediction.median : null;
+
+    let risk = 50;
+    if (prediction && prediction.finishProbability !== null && prediction.finishProbability !== undefined) {
+      risk = (1 - prediction.finishProbability) * 100;
+    } else if (achievable) {
+      risk = this._scale(required / achievable, 0.8, 1.1);
+    }
+
+    return {
+      id: 'requiredEph',
+      label: '所需 EPH vs 歷史 EPH',
+      risk,
+      detail: achievable
+        ? `關門所需 EPH ${required.toFixed(2)}，依歷史預測可達 ${achievable.toFixed(2)}`
+        : `關門所需 EPH ${required.toFixed(2)}`
+    };
+  },
+
+  /**
+   * 近期訓練負荷（ACWR：近 7 天 EP / 近 28 天週平均 EP）
+   */
+  acwr: function(activities, now) {
+    const dayMs = 86400000;
+    const acute = activities
+      .filter(act => now - act.date <= 7 * dayMs)
+      .reduce((sum, act) => sum + act.ep, 0);
+    const chronic = activities
+      .filter(act => now - act.date <= 28 * dayMs)
+      .reduce((sum, act) => sum + act.ep, 0) / 4;
+
+    if (chronic <= 0) {
+      return { id: 'acwr', label: '訓練負荷 (ACWR)', risk: 100, detail: '近 4 週無訓練紀錄' };
+    }
+
+    const ratio = acute / chronic;
+    // 0.8–1.3 為安全區；過低代表減量過度，過高代表負荷暴增
+    let risk = 0;
+    if (ratio < 0.8) risk = this._scale(0.8 - ratio, 0, 0.5) * 0.6;
+    else if (ratio > 1.3) risk = this._scale(ratio, 1.3, 1.8);
+
+    return {
+      id: 'acwr',
+      label: '訓練負荷 (ACWR)',
+      risk,
+      detail: `ACWR ${ratio.toFixed(2)}（安全區 0.8–1.3）`
+    };
+  },
+
+  /**
+   * 訓練一致性（近 12 週有訓練的週數與週 EP 變異）
+   */
+  consistency: function(activities, now) {
+    const weekMs = 7 * 86400000;
+    const weeks = new Array(this.CONSISTENCY_WEEKS).fill(0);
+    activities.forEach(act => {
+      const index = Math.floor((now - act.date) / weekMs);
+      if (index >= 0 && index < weeks.length) weeks[index] += act.ep;
+    });
+
+    const activeWeeks = weeks.filter(ep => ep > 0).length;
+    const mean = weeks.reduce((sum, ep) => sum + ep, 0) / weeks.length;
+    const variance = weeks.reduce((sum, ep) => sum + Math.pow(ep - mean, 2), 0) / weeks.length;
+    const cv = mean > 0 ? Math.sqrt(variance) / mean : 1;
+
+    // 缺訓週數佔 70%，週量起伏佔 30%
+    const risk = (1 - activeWeeks / weeks.length) * 70 + this._scale(cv, 0.3, 1.2) * 0.3;
+
+    return {
+      id: 'consistency',
+      label: '訓練一致性',
+      risk,
+      detail: `近 ${weeks.length} 週有 ${activeWeeks} 週訓練，週量變異係數 ${cv.toFixed(2)}`
+    };
+  },
+
+  /**
+   * 最長距離訓練的規模與新近程度（EP 依時間衰減）
+   */
+  longestRun: function(activities, race, now) {
+    const best = activities.reduce((max, act) => {
+      const days = (now - act.date) / 86400000;
+      const effective = act.ep * Math.exp(-days / this.RECENCY_DECAY_DAYS);
+      return !max || effective > max.effective ? { act, effective, days } : max;
+    }, null);
+
+    if (!best) {
+      return { id: 'longestRun', label: '長距離訓練', risk: 100, detail: '無長距離訓練紀錄' };
+    }
+
+    const coverage = best.effective / race.ep;
+    return {
+      id: 'longestRun',
+      label: '長距離訓練',
+      risk: 100 - this._scale(coverage, 0.2, 0.6),
+      detail: `最具代表性的長距離：${parseFloat(best.act.distance).toFixed(1)} km（${Math.round(best.days)} 天前），` +
+        `時間衰減後相當於賽事 EP 的 ${(coverage * 100).toFixed(0)}%`
+    };
+  },
+
+  /**
+   * 下坡準備度（近 12 週單次最大下降 vs 賽事總下降）
+   */
+  descent: function(activities, race, now) {
+    const windowMs = this.CONSISTENCY_WEEKS * 7 * 86400000;
+    const raceDescent = race.descent > 0 ? race.descent : race.elevation;
+    if (!(raceDescent > 0)) {
+      return { id: 'descent', label: '下坡準備度', risk: 0, detail: '賽事無明顯下坡' };
+    }
+
+    // 舊紀錄沒有下降數據時以爬升近似（多數路線起終點相近）
+    const maxDescent = activities
+      .filter(act => now - act.date <= windowMs)
+      .reduce((max, act) => {
+        const descent = parseFloat(act.descent ?? act.elevation) || 0;
+        return Math.max(max, descent);
+      }, 0);
+
+    const coverage = maxDescent / raceDescent;
+    return {
+      id: 'descent',
+      label: '下坡準備度',
+      risk: 100 - this._scale(coverage, 0.15, 0.5),
+      detail: `近 ${this.CONSISTENCY_WEEKS} 週單次最大下降 ${Math.round(maxDescent)} m，` +
+        `賽事總下降 ${Math.round(raceDescent)} m`
+    };
+  },
+
+  /**
+   * 夜間 / 高溫適應（僅在賽事需要時計入）
+   */
+  exposure: function(activities, race, prediction, now) {
+    const windowMs = this.CONSISTENCY_WEEKS * 7 * 86400000;
+    const recent = activities.filter(act => now - act.date <= windowMs);
+    const raceHours = prediction && prediction.median > 0 ? prediction.median : race.cutoffHours;
+
+    // 有起跑時間時計算賽程是否跨入夜間；否則超過 12 小時視為必經夜間
+    let nightRequired = raceHours > 12;
+    if (/^\d{2}:\d{2}$/.test(race.startTime || '')) {
+      const [h, m] = race.startTime.split(':').map(Number);
+      nightRequired = this._nightHours(h + m / 60, raceHours) > 0;
+    }
+    const heatRequired = parseFloat(race.temperature) >= this.HEAT_RACE_TEMPERATURE;
+
+    const parts = [];
+    const risks = [];
+    if (nightRequired) {
+      // 只計有實際起跑時間的活動（手動輸入僅有保存時間）
+      const nightSessions = recent.filter(act =>
+        act.startTime && act.hours > 0 && this._nightHours(act.date.getHours() + act.date.getMinutes() / 60, act.hours) > 0.5
+      ).length;
+      risks.push(100 - this._scale(nightSessions, 0, 3));
+      parts.push(`賽程跨夜，近期夜跑 ${nightSessions} 次`);
+    }
+    if (heatRequired) {
+      // 氣溫僅在有環境評估時為使用者輸入；舊版活動的固定 25℃ 不計
+      const heatSessions = recent.filter(act => act.environment && (
+        (act.environment.penalties && act.environment.penalties.heat >= 0.05) ||
+        parseFloat(act.temperature) >= this.HEAT_RACE_TEMPERATURE
+      )).length;
+      risks.push(100 - this._scale(heatSessions, 0, 4));
+      parts.push(`預計高溫，近期熱環境訓練 ${heatSessions} 次`);
+    }
+
+    return {
+      id: 'exposure',
+      label: '夜間 / 高溫適應',
+      risk: risks.length > 0 ? Math.max(...risks) : 0,
+      detail: parts.length > 0 ? parts.join('；') : '賽事無夜間或高溫需求'
+    };
+  },
+
+  /**
+   * 時段內的夜間時數
+   * @private
+   */
+  _nightHours: function(startHour, hours) {
+    let night = 0;
+    const step = 0.25;
+    for (let t = 0; t < hours; t += step) {
+      const clock = (startHour + t) % 24;
+      if (clock >= this.NIGHT_START_HOUR || clock < this.NIGHT_END_HOUR) night += step;
+    }
+    return night;
+  },
+
+  /**
+   * 線性映射至 0–100（low 以下為 0，high 以上為 100）
+   * @private
+   */
+  _scale: function(value, low, high) {
+    if (!(high > low) || isNaN(value)) return 0;
+    return Math.max(0, Math.min(100, (value - low) / (high - low) * 100));
+  },
+
+  /**
+   * HH:MM:SS → 小時
+   * @private
+   */
+  _durationHours: function(duration) {
+    if (!/^\d{1,2}:\d{2}:\d{2}$/.test(duration || '')) return 0;
+    const [h, m, s] = duration.split(':').map(Number);
+    return h + m / 60 + s / 3600;
+  }
+};
+
+// 全局可用（符合 SDL 流程）
+window.RiskModel = RiskModel;
@@ -0,0 +1,285 @@
+/**
+ * 間歇課表執行器 - 即時課表的狀態機
+ *
+ * 課表展開為「奔跑 / 恢復」段落依序倒數：時間型段落與恢復倒數結束後自動進入下一段；
+ * 距離型與爬升段落倒數至目標時間後轉為超時計時，等待使用者按下分段才結束。
+ * 自動結束的時間型段落沒有實際分段時間，記為「依計畫完成」，距離與爬升以計畫值計。
+ * 所有函式都以呼叫端傳入的時間 (ms) 計算，不自行讀取時鐘，UI 只負責定時呼叫 tick。
+ *
+ * 安全開發守則：
+ *   [x] 預設不信任使用者輸入
+ *   [x] 關閉偵錯模式
+ */
+const SessionRunner = {
+  // 段落結束前的倒數提示秒數
+  COUNTDOWN_CUES: 3,
+
+  /**
+   * 由課表日程建立段落
+   * @param {Array} schedule - generateWorkoutSchedule 的 schedule
+   * @returns {Array} [{ type: 'run'|'rest', label, phase, kind, distance, gain, grade, duration, pace }]
+   */
+  buildSegments: function(schedule) {
+    const segments = [];
+    (Array.isArray(schedule) ? schedule : []).forEach(item => {
+      if (item.duration > 0) {
+        segments.push({
+          type: 'run',
+          label: item.number,
+          phase: item.phase,
+          kind: item.kind,
+          distance: item.distance,
+          gain: item.gain || 0,
+          grade: item.grade || 0,
+          duration: item.duration,
+          pace: item.pace
+        });
+      }
+      if (item.restSeconds > 0) {
+        segments.push({
+          type: 'rest',
+          label: '恢復',
+          phase: 'recovery',
+          kind: 'time',
+          distance: 0,
+          gain: 0,
+          grade: 0,
+          duration: item.restSeconds,
+          pace: ''
+        });
+      }
+    });
+    return segments;
+  },
+
+  /**
+   * 開始執行
+   * @param {Array} segments - buildSegments 結果
+   * @param {number} now - 目前時間 (ms)
+   * @returns {Object} 執行狀態
+   */
+  create: function(segments, now) {
+    if (!Array.isArray(segments) || segments.length === 0) {
+      throw new Error('EMPTY_SESSION');
+    }
+    return {
+      segments,
+      index: 0,
+      status: 'running',
+      startedAt: now,
+      finishedAt: null,
+      segmentStart: now,
+      pausedAt: null,
+      pausedMs: 0,
+      lastCue: null,
+      laps: []
+    };
+  },
+
+  /**
+   * 目前段落
+   * @param {Object} session - 執行狀態
+   * @returns {Object|null} 段落
+   */
+  current: function(session) {
+    return session.segments[session.index] || null;
+  },
+
+  /**
+   * 目前段落已進行秒數（暫停期間不計）
+   * @param {Object} session - 執行狀態
+   * @param {number} now - 目前時間 (ms)
+   * @returns {number} 秒
+   */
+  segmentElapsed: function(session, now) {
+    const end = session.pausedAt !== null ? session.pausedAt : now;
+    return Math.max(0, (end - session.segmentStart) / 1000);
+  },
+
+  /**
+   * 目前段落剩餘秒數（距離型段落超時時為負值）
+   * @param {Object} session - 執行狀態
+   * @param {number} now - 目前時間 (ms)
+   * @returns {number} 秒
+   */
+  remaining: function(session, now) {
+    const segment = this.current(session);
+    return segment ? segment.duration - this.segmentElapsed(session, now) : 0;
+  },
+
+  /**
+   * 整體已進行秒數（暫停期間不計）
+   * @param {Object} session - 執行狀態
+   * @param {number} now - 目前時間 (ms)
+   * @returns {number} 秒
+   */
+  totalElapsed: function(session, now) {
+    const end = session.finishedAt !== null ? session.finishedAt :
+      session.pausedAt !== null ? session.pausedAt : now;
+    return Math.max(0, (end - session.startedAt - session.pausedMs) / 1000);
+  },
+
+  /**
+   * 定時推進：產生倒數提示並自動結束到時的段落
+   * @param {Object} session - 執行狀態
+   * @param {number} now - 目前時間 (ms)
+   * @returns {Array} 事件 [{ type: 'countdown', seconds } | { type: 'segment', segment } | { type: 'finish' }]
+   */
+  tick: function(session, now) {
+    const events = [];
+    if (session.status !== 'running') return events;
+
+    let segment = this.current(session);
+    while (segment && this._autoAdvances(segment) && this.remaining(session, now) <= 0) {
+      // 以段落應結束的時間為下一段起點，避免定時器延遲累積誤差
+      const endedAt = session.segmentStart + segment.duration * 1000;
+      if (segment.type === 'run') {
+        this._recordLap(session, segment, null, false);
+      }
+      events.push(...this._advance(session, endedAt));
+      segment = this.current(session);
+    }
+
+    if (segment) {
+      const remaining = Math.ceil(this.remaining(session, now));
+      if (remaining > 0 && remaining <= this.COUNTDOWN_CUES && session.lastCue !== remaining) {
+        session.lastCue = remaining;
+        events.push({ type: 'countdown', seconds: remaining });
+      }
+    }
+    return events;
+  },
+
+  /**
+   * 記錄分段：結束目前奔跑段落並保存實際時間
+   * @param {Object} session - 執行狀態
+   * @param {number} now - 目前時間 (ms)
+   * @returns {Array} 事件
+   */
+  lap: function(session, now) {
+    const segment = this.current(session);
+    if (session.status !== 'running' || !segment || segment.type !== 'run') return [];
+    this._recordLap(session, segment, Math.round(this.segmentElapsed(session, now)), false);
+    return this._advance(session, now);
+  },
+
+  /**
+   * 略過目前段落（奔跑段落記為未完成）
+   * @param {Object} session - 執行狀態
+   * @param {number} now - 目前時間 (ms)
+   * @returns {Array} 事件
+   */
+  skip: function(session, now) {
+    const segment = this.current(session);
+    if (session.status !== 'running' || !segment) return [];
+    if (segment.type === 'run') {
+      this._recordLap(session, segment, null, true);
+    }
+    return this._advance(session, now);
+  },
+
+  /**
+   * 暫停
+   * @param {Object} session - 執行狀態
+   * @param {number} now - 目前時間 (ms)
+   */
+  pause: function(session, now) {
+    if (session.status !== 'running') return;
+    session.status = 'paused';
+    session.pausedAt = now;
+  },
+
+  /**
+   * 繼續（段落起點順延暫停時間）
+   * @param {Object} session - 執行狀態
+   * @param {number} now - 目前時間 (ms)
+   */
+  resume: function(session, now) {
+    if (session.status !== 'paused') return;
+    const pausedFor = now - session.pausedAt;
+    session.segmentStart += pausedFor;
+    session.pausedMs += pausedFor;
+    session.pausedAt = null;
+    session.status = 'running';
+  },
+
+  /**
+   * 提前結束
+   * @param {Object} session - 執行狀態
+   * @param {number} now - 目前時間 (ms)
+   */
+  stop: function(session, now) {
+    if (session.status === 'finished') return;
+    this.resume(session, now);
+    session.status = 'finished';
+    session.finishedAt = now;
+  },
+
+  /**
+   * 計畫 vs 實際摘要
+   * @param {Object} session - 執行狀態
+   * @returns {Object} { laps, completed, splits, distance (m), gain (m), elapsedSeconds }
+   *   completed 為未略過的段數（距離與爬升計入這些段）；splits 為有實際分段時間的段數
+   */
+  summary: function(session) {
+    const laps = session.laps.map(lap => ({
+      ...lap,
+      difference: lap.actualSeconds !== null ? lap.actualSeconds - lap.plannedSeconds : null
+    }));
+    const completed = laps.filter(lap => !lap.skipped);
+    return {
+      laps,
+      completed: completed.length,
+      splits: laps.filter(lap => lap.actualSeconds !== null).length,
+      distance: completed.reduce((sum, lap) => sum + lap.distance, 0),
+      gain: completed.reduce((sum, lap) => sum + lap.gain, 0),
+      elapsedSeconds: Math.round(this.totalElapsed(session, session.finishedAt))
+    };
+  },
+
+  /**
+   * 時間型段落與恢復到時自動結束；距離型與爬升段等待使用者分段
+   * @private
+   */
+  _autoAdvances: function(segment) {
+    return segment.type === 'rest' || segment.kind === 'time';
+  },
+
+  /**
+   * 記錄一組的計畫與實際時間（略過或依計畫自動結束時實際時間為 null）
+   * @private
+   */
+  _recordLap: function(session, segment, actualSeconds, skipped) {
+    session.laps.push({
+      label: segment.label,
+      phase: segment.phase,
+      distance: segment.distance,
+      gain: segment.gain,
+      plannedSeconds: segment.duration,
+      actualSeconds,
+      skipped,
+      plannedOnly: actualSeconds === null && !skipped
+    });
+  },
+
+  /**
+   * 進入下一段落
+   * @private
+   */
+  _advance: function(session, at) {
+    session.index++;
+    session.segmentStart = at;
+    session.lastCue = null;
+
+    const segment = this.current(session);
+    if (!segment) {
+      session.status = 'finished';
+      session.finishedAt = at;
+      return [{ type: 'finish' }];
+    }
+    return [{ type: 'segment', segment }];
+  }
+};
+
+// 全局可用（符合 SDL 流程）
+window.SessionRunner = SessionRunner;
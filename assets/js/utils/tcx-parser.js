@@ -0,0 +1,219 @@
+/**
+ * 安全 TCX 解析器 - 防禦 XXE 攻擊
+ *
+ * 安全開發守則：
+ *   [x] 驗證檔案上傳
+ *   [x] 預設不信任使用者輸入
+ *   [x] 儲存位置：非公開目錄（前端沙箱）
+ */
+class TCXParser {
+  constructor() {
+    this.sandbox = this._createSandbox();
+    this.pendingResolvers = {};
+  }
+
+  /**
+   * 創建安全沙箱
+   * @private
+   */
+  _createSandbox() {
+    const sandbox = document.createElement('iframe');
+    sandbox.style.display = 'none';
+    sandbox.sandbox = 'allow-scripts';
+    sandbox.srcdoc = `
+      <!DOCTYPE html>
+      <html>
+      <body>
+        <script>
+          // 沙箱內解析邏輯
+          window.addEventListener('message', (event) => {
+            if (event.origin !== window.location.origin) return;
+
+            if (event.data.type === 'PARSE_TCX') {
+              try {
+                // 步驟 1：移除所有 XXE 相關聲明
+                let content = event.data.content
+                  .replace(/<!ENTITY\\s+.*?>/g, '')
+                  .replace(/SYSTEM\\s+"[^"]*"/g, 'SYSTEM "safe://dummy"');
+
+                // 步驟 2：安全解析 XML
+                const parser = new DOMParser();
+                const xmlDoc = parser.parseFromString(content, "text/xml");
+
+                // 步驟 3：提取安全數據（僅允許 Activity / Course 白名單欄位）
+                const byTag = (el, tag) => Array.from(el.getElementsByTagNameNS('*', tag));
+                const childEl = (el, tag) =>
+                  Array.from(el.children).find(c => c.localName === tag) || null;
+                const childText = (el, tag) => {
+                  const child = el ? childEl(el, tag) : null;
+                  return child ? child.textContent.trim().slice(0, 200) : '';
+                };
+                const toNumber = (text) => {
+                  const value = parseFloat(text);
+                  return isNaN(value) ? null : value;
+                };
+
+                const readTrackpoint = (tp) => {
+                  const position = childEl(tp, 'Position');
+                  const time = Date.parse(childText(tp, 'Time'));
+                  return {
+                    lat: toNumber(childText(position, 'LatitudeDegrees')),
+                    lon: toNumber(childText(position, 'LongitudeDegrees')),
+                    ele: toNumber(childText(tp, 'AltitudeMeters')) || 0,
+                    time: isNaN(time) ? null : time,
+                    hr: toNumber(childText(childEl(tp, 'HeartRateBpm'), 'Value')),
+                    cadence: toNumber(childText(tp, 'Cadence'))
+                  };
+                };
+
+                // 無 GPS 位置的點（跑步機等）無法計算距離，予以略過
+                const readTrack = (track) =>
+                  byTag(track, 'Trackpoint')
+                    .map(readTrackpoint)
+                    .filter(pt => pt.lat !== null && pt.lon !== null);
+
+                // 活動：每個 Lap 內的 Track 視為一個分段（Garmin 於暫停時切分 Track）
+                const laps = [];
+                const tracks = byTag(xmlDoc, 'Activity').map(activity => {
+                  const segments = [];
+                  byTag(activity, 'Lap').forEach(lap => {
+                    const startTime = Date.parse(lap.getAttribute('StartTime') || '');
+                    laps.push({
+                      startTime: isNaN(startTime) ? null : startTime,
+                      totalTimeSeconds: toNumber(childText(lap, 'TotalTimeSeconds')),
+                      distanceMeters: toNumber(childText(lap, 'DistanceMeters')),
+                      averageHeartRate: toNumber(childText(childEl(lap, 'AverageHeartRateBpm'), 'Value')),
+                      maxHeartRate: toNumber(childText(childEl(lap, 'MaximumHeartRateBpm'), 'Value')),
+                      cadence: toNumber(childText(lap, 'Cadence'))
+                    });
+                    byTag(lap, 'Track').forEach(track => {
+                      const points = readTrack(track);
+                      if (points.length > 0) segments.push({ points });
+                    });
+                  });
+                  return {
+                    name: (activity.getAttribute('Sport') || '').slice(0, 50),
+                    segments
+                  };
+                });
+
+                // 賽道檔 (Course)：CoursePoint 即補給站 / 檢查點
+                const waypoints = [];
+                byTag(xmlDoc, 'Course').forEach(course => {
+                  const segments = byTag(course, 'Track')
+                    .map(track => ({ points: readTrack(track) }))
+                    .filter(seg => seg.points.length > 0);
+                  tracks.push({ name: childText(course, 'Name'), segments });
+
+                  byTag(course, 'CoursePoint').forEach(cp => {
+                    const point = readTrackpoint(cp);
+                    if (point.lat === null || point.lon === null) return;
+                    waypoints.push({
+                      ...point,
+                      name: childText(cp, 'Name'),
+                      type: childText(cp, 'PointType'),
+                      desc: childText(cp, 'Notes')
+                    });
+                  });
+                });
+
+                const data = {
+                  tracks: tracks.filter(trk => trk.segments.length > 0),
+                  routes: [],
+                  waypoints,
+                  laps
+                };
+
+                // 步驟 4：安全傳回主頁面
+                window.parent.postMessage({
+                  type: 'TCX_PARSED',
+                  id: event.data.id,
+                  data
+                }, window.location.origin);
+
+              } catch (e) {
+                window.parent.postMessage({
+                  type: 'TCX_ERROR',
+                  id: event.data.id,
+                  error: 'INVALID_TCX'
+                }, window.location.origin);
+              }
+            }
+          });
+        <\/script>
+      </body>
+      </html>
+    `;
+    document.body.appendChild(sandbox);
+    return sandbox;
+  }
+
+  /**
+   * 解析 TCX 文件
+   * @param {File} file - TCX 文件
+   * @returns {Promise<Object>} 解析結果（與 GPXParser 相同結構，另含 laps）
+   */
+  async parse(file) {
+    // 安全開發守則：【驗證副檔名】
+    if (!file.name.toLowerCase().endsWith('.tcx')) {
+      throw new Error('INVALID_FILE_EXTENSION');
+    }
+
+    // 安全開發守則：【驗證檔案大小】
+    if (file.size > 5 * 1024 * 1024) { // 5MB
+      throw new Error('FILE_TOO_LARGE');
+    }
+
+    // 讀取文件內容
+    const reader = new FileReader();
+    const contentPromise = new Promise((resolve, reject) => {
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('FILE_READ_ERROR'));
+    });
+
+    reader.readAsText(file);
+    const content = await contentPromise;
+
+    // 生成唯一 ID 用於請求跟蹤
+    const requestId = 'req_' + Math.random().toString(36).substr(2, 9);
+
+    // 創建解析請求
+    return new Promise((resolve, reject) => {
+      this.pendingResolvers[requestId] = { resolve, reject };
+
+      this.sandbox.contentWindow.postMessage({
+        type: 'PARSE_TCX',
+        id: requestId,
+        content
+      }, window.location.origin);
+    });
+  }
+
+  /**
+   * 初始化消息監聽
+   */
+  init() {
+    window.addEventListener('message', (event) => {
+      if (event.origin !== window.location.origin) return;
+
+      if (event.data.type === 'TCX_PARSED') {
+        const resolver = this.pendingResolvers[event.data.id];
+        if (resolver) {
+          resolver.resolve(event.data.data);
+          delete this.pendingResolvers[event.data.id];
+        }
+      }
+      else if (event.data.type === 'TCX_ERROR') {
+        const resolver = this.pendingResolvers[event.data.id];
+        if (resolver) {
+          resolver.reject(new Error(event.data.error));
+          delete this.pendingResolvers[event.data.id];
+        }
+      }
+    });
+  }
+}
+
+// 全局實例（安全初始化）
+window.tcxParser = new TCXParser();
+window.tcxParser.init();
@@ -0,0 +1,511 @@
+/**
+ * 軌跡分析工具集 - 純計算，不觸碰 DOM
+ *
+ * 安全開發守則：
+ *   [x] 預設不信任使用者輸入
+ *   [x] 關閉偵錯模式
+ */
+const TrackAnalysis = {
+  /**
+   * 兩點間距離（Haversine 公式）
+   * @param {number} lat1 - 起點緯度
+   * @param {number} lon1 - 起點經度
+   * @param {number} lat2 - 終點緯度
+   * @param {number} lon2 - 終點經度
+   * @returns {number} 距離 (km)
+   */
+  haversine: function(lat1, lon1, lat2, lon2) {
+    const R = 6371; // 地球半徑 (km)
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a =
+      Math.sin(dLat/2) * Math.sin(dLat/2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLon/2) * Math.sin(dLon/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return R * c;
+  },
+
+  /**
+   * 將 GPX 結構化結果展平為單一點序列
+   * 優先使用軌跡 (trk)；無軌跡時退回路線 (rte)。
+   * 每個分段的首點標記 segmentStart，供時間計算略過分段間的空檔。
+   * @param {Object} gpx - GPXParser 解析結果 { tracks, routes, waypoints }
+   * @returns {Array} 軌跡點序列
+   */
+  flattenGpx: function(gpx) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    if (!gpx || typeof gpx !== 'object') return [];
+
+    const segments = [];
+    (gpx.tracks || []).forEach(track => {
+      (track.segments || []).forEach(segment => segments.push(segment.points || []));
+    });
+    if (segments.length === 0) {
+      (gpx.routes || []).forEach(route => segments.push(route.points || []));
+    }
+
+    const points = [];
+    segments.forEach((segmentPoints, index) => {
+      segmentPoints.forEach((point, i) => {
+        points.push({
+          ...point,
+          segmentStart: index > 0 && i === 0
+        });
+      });
+    });
+    return points;
+  },
+
+  /**
+   * 累積距離與累積爬升
+   * @param {Array} points - 軌跡點序列
+   * @returns {Object} { distances: [km], gains: [m] }（與 points 等長）
+   */
+  cumulative: function(points) {
+    const distances = [];
+    const gains = [];
+    let distance = 0;
+    let gain = 0;
+
+    points.forEach((point, i) => {
+      if (i > 0) {
+        const prev = points[i - 1];
+        distance += this.haversine(prev.lat, prev.lon, point.lat, point.lon);
+        if (point.ele > prev.ele) gain += point.ele - prev.ele;
+      }
+      distances.push(distance);
+      gains.push(gain);
+    });
+
+    return { distances, gains };
+  },
+
+  /**
+   * 將航點定位至軌跡上，轉換為檢查點
+   * 依檔案順序向前搜尋，避免起終點相同的環線把終點配對到起點。
+   * @param {Array} points - 軌跡點序列
+   * @param {Array} waypoints - GPX 航點
+   * @param {number} maxOffsetKm - 航點與軌跡的最大允許偏離 (km)
+   * @returns {Array} 檢查點 [{ name, type, desc, distance, gain, elevation, lat, lon }]（依距離排序）
+   */
+  locateWaypoints: function(points, waypoints, maxOffsetKm = 0.5) {
+    if (!Array.isArray(points) || points.length === 0 || !Array.isArray(waypoints)) return [];
+
+    const { distances, gains } = this.cumulative(points);
+    const nearestFrom = (waypoint, startIndex) => {
+      let best = -1;
+      let bestDist = Infinity;
+      for (let i = startIndex; i < points.length; i++) {
+        const d = this.haversine(waypoint.lat, waypoint.lon, points[i].lat, points[i].lon);
+        if (d < bestDist) {
+          bestDist = d;
+          best = i;
+        }
+      }
+      return bestDist <= maxOffsetKm ? best : -1;
+    };
+
+    const checkpoints = [];
+    let searchFrom = 0;
+    waypoints.forEach(waypoint => {
+      let index = nearestFrom(waypoint, searchFrom);
+      if (index === -1) index = nearestFrom(waypoint, 0);
+      if (index === -1) return; // 不在路線上的航點略過
+
+      searchFrom = index;
+      checkpoints.push({
+        name: waypoint.name || `CP${checkpoints.length + 1}`,
+        type: waypoint.type || '',
+        desc: waypoint.desc || '',
+        distance: parseFloat(distances[index].toFixed(2)),
+        gain: Math.round(gains[index]),
+        elevation: Math.round(points[index].ele),
+        lat: waypoint.lat,
+        lon: waypoint.lon
+      });
+    });
+
+    return checkpoints.sort((a, b) => a.distance - b.distance);
+  },
+
+  /**
+   * 可選的海拔平滑方法（鍵值即存入結果的 elevationMethod）
+   */
+  ELEVATION_METHODS: {
+    raw: '原始數據',
+    'moving-average': '移動平均 (100 m)',
+    kalman: '卡爾曼濾波',
+    hysteresis: '遲滯門檻 (5 m)',
+    'douglas-peucker': 'Douglas–Peucker 簡化 (10 m)'
+  },
+
+  /**
+   * 海拔平滑，抑制氣壓計 / GPS 抖動造成的虛增爬升
+   * 所有方法皆回傳與輸入等長的新點序列（僅替換 ele），
+   * 下游的剖面、分段與檢查點計算可直接沿用。
+   * @param {Array} points - 軌跡點序列
+   * @param {string} method - ELEVATION_METHODS 之一
+   * @returns {Array} 平滑後的點序列
+   */
+  smoothElevation: function(points, method = 'moving-average') {
+    if (!Array.isArray(points) || points.length < 3 || method === 'raw') {
+      return Array.isArray(points) ? points.slice() : [];
+    }
+
+    const { distances } = this.cumulative(points);
+    const elevations = points.map(point => Number(point.ele) || 0);
+    let smoothed;
+
+    switch (method) {
+      case 'moving-average': {
+        // 以距離為窗口（前後各 50 m），不受取樣頻率影響
+        const halfWindow = 0.05;
+        smoothed = [];
+        let lo = 0;
+        let hi = 0;
+        let sum = 0;
+        for (let i = 0; i < points.length; i++) {
+          while (hi < points.length && distances[hi] - distances[i] <= halfWindow) {
+            sum += elevations[hi++];
+          }
+          while (distances[i] - distances[lo] > halfWindow) {
+            sum -= elevations[lo++];
+          }
+          smoothed.push(sum / (hi - lo));
+        }
+        break;
+      }
+      case 'kalman': {
+        // 一維卡爾曼濾波：過程雜訊隨移動距離增加，量測雜訊約 ±3 m
+        const processNoisePerKm = 10;
+        const measurementNoise = 9;
+        let estimate = elevations[0];
+        let variance = measurementNoise;
+        smoothed = [estimate];
+        for (let i = 1; i < points.length; i++) {
+          variance += processNoisePerKm * Math.max(distances[i] - distances[i - 1], 0.001);
+          const gain = variance / (variance + measurementNoise);
+          estimate += gain * (elevations[i] - estimate);
+          variance *= (1 - gain);
+          smoothed.push(estimate);
+        }
+        break;
+      }
+      case 'hysteresis': {
+        // 遲滯門檻：變化超過門檻才更新基準（形成階梯，爬升即階梯落差總和）
+        const threshold = 5;
+        let anchor = elevations[0];
+        smoothed = elevations.map(ele => {
+          if (Math.abs(ele - anchor) >= threshold) anchor = ele;
+          return anchor;
+        });
+        break;
+      }
+      case 'douglas-peucker': {
+        // 在 (距離, 海拔) 剖面上簡化，再線性插值回所有點
+        const tolerance = 10;
+        const keep = new Array(points.length).fill(false);
+        keep[0] = keep[points.length - 1] = true;
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+          const [start, end] = stack.pop();
+          const span = distances[end] - distances[start];
+          let maxOffset = 0;
+          let index = -1;
+          for (let i = start + 1; i < end; i++) {
+            const ratio = span > 0 ? (distances[i] - distances[start]) / span : 0;
+            const expected = elevations[start] + ratio * (elevations[end] - elevations[start]);
+            const offset = Math.abs(elevations[i] - expected);
+            if (offset > maxOffset) {
+              maxOffset = offset;
+              index = i;
+            }
+          }
+          if (index !== -1 && maxOffset > tolerance) {
+            keep[index] = true;
+            stack.push([start, index], [index, end]);
+          }
+        }
+
+        smoothed = new Array(points.length);
+        let prevKept = 0;
+        for (let i = 1; i < points.length; i++) {
+          if (!keep[i]) continue;
+          const span = distances[i] - distances[prevKept];
+          for (let j = prevKept; j <= i; j++) {
+            const ratio = span > 0 ? (distances[j] - distances[prevKept]) / span : 0;
+            smoothed[j] = elevations[prevKept] + ratio * (elevations[i] - elevations[prevKept]);
+          }
+          prevKept = i;
+        }
+        break;
+      }
+      default:
+        return points.slice();
+    }
+
+    return points.map((point, i) => ({ ...point, ele: smoothed[i] }));
+  },
+
+  /**
+   * 總爬升 / 總下降
+   * @param {Array} points - 軌跡點序列
+   * @returns {Object} { gain, loss } (m)
+   */
+  elevationTotals: function(points) {
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i < points.length; i++) {
+      const delta = points[i].ele - points[i - 1].ele;
+      if (delta > 0) gain += delta;
+      else loss -= delta;
+    }
+    return { gain, loss };
+  },
+
+  /**
+   * 自動偵測爬坡 / 下坡 / 平路分段並計算各段 EPH
+   * 先以固定距離取樣求坡度，再依坡度分類、合併，
+   * 爬升（或下降）不足 minGain 的短坡併入平路。
+   * @param {Array} points - 軌跡點序列 { lat, lon, ele, time }
+   * @param {Object} options - { stepKm, gradeThreshold (%), minGain (m), calculateEp }
+   * @returns {Array} 分段 [{ type, startKm, endKm, distance, gain, loss, avgGrade, duration, ep, eph }]
+   */
+  detectSegments: function(points, options = {}) {
+    const stepKm = options.stepKm || 0.1;
+    const gradeThreshold = options.gradeThreshold || 3;
+    const minGain = options.minGain || 30;
+    // EP 公式由共用引擎提供（呼叫端可指定公式）
+    const calculateEp = options.calculateEp || (effort => window.epEngine.calculateEp(effort));
+    if (!Array.isArray(points) || points.length < 2) return [];
+
+    // 步驟 1：固定距離取樣（每步記錄區間爬升 / 下降與時間）
+    const steps = [];
+    let step = { start: 0, distance: 0, gain: 0, loss: 0, startTime: points[0].time, endTime: points[0].time };
+    let cumulative = 0;
+    for (let i = 1; i < points.length; i++) {
+      const prev = points[i - 1];
+      const point = points[i];
+      const dist = this.haversine(prev.lat, prev.lon, point.lat, point.lon);
+      const delta = point.ele - prev.ele;
+      cumulative += dist;
+      step.distance += dist;
+      if (delta > 0) step.gain += delta;
+      else step.loss -= delta;
+      step.endTime = point.time;
+
+      if (step.distance >= stepKm || i === points.length - 1) {
+        steps.push(step);
+        step = { start: cumulative, distance: 0, gain: 0, loss: 0, startTime: point.time, endTime: point.time };
+      }
+    }
+
+    // 步驟 2：依坡度分類並合併相鄰同類步
+    const classify = (s) => {
+      const grade = s.distance > 0 ? (s.gain - s.loss) / (s.distance * 1000) * 100 : 0;
+      return grade >= gradeThreshold ? 'climb' : grade <= -gradeThreshold ? 'descent' : 'flat';
+    };
+    const mergeRuns = (runs) => runs.reduce((merged, run) => {
+      const last = merged[merged.length - 1];
+      if (last && last.type === run.type) {
+        last.distance += run.distance;
+        last.gain += run.gain;
+        last.loss += run.loss;
+        last.endTime = run.endTime;
+      } else {
+        merged.push({ ...run });
+      }
+      return merged;
+    }, []);
+
+    let runs = mergeRuns(steps.map(s => ({ ...s, type: classify(s) })));
+
+    // 步驟 3：淨爬升 / 下降不足門檻的坡段視為平路，再合併一次
+    runs = mergeRuns(runs.map(run => {
+      const net = run.gain - run.loss;
+      if (run.type === 'climb' && net < minGain) return { ...run, type: 'flat' };
+      if (run.type === 'descent' && -net < minGain) return { ...run, type: 'flat' };
+      return run;
+    }));
+
+    // 步驟 4：計算每段統計
+    return runs.map(run => {
+      const hasTime = typeof run.startTime === 'number' && typeof run.endTime === 'number' &&
+        run.endTime > run.startTime;
+      const duration = hasTime ? (run.endTime - run.startTime) / 1000 : null;
+      const ep = calculateEp({ distance: run.distance, gain: run.gain, loss: run.loss });
+      return {
+        type: run.type,
+        startKm: parseFloat(run.start.toFixed(2)),
+        endKm: parseFloat((run.start + run.distance).toFixed(2)),
+        distance: parseFloat(run.distance.toFixed(2)),
+        gain: Math.round(run.gain),
+        loss: Math.round(run.loss),
+        avgGrade: run.distance > 0
+          ? parseFloat(((run.gain - run.loss) / (run.distance * 1000) * 100).toFixed(1))
+          : 0,
+        duration,
+        ep: parseFloat(ep.toFixed(2)),
+        eph: duration ? parseFloat((ep / (duration / 3600)).toFixed(2)) : null
+      };
+    });
+  },
+
+  /**
+   * 建立海拔剖面（累積距離 vs 海拔）
+   * @param {Array} points - 軌跡點 { lat, lon, ele }
+   * @param {number} maxPoints - 剖面最大點數（降採樣上限）
+   * @returns {Object|null} { points: [[km, m], ...], minElevation, maxElevation }
+   */
+  buildProfile: function(points, maxPoints = 400) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    if (!Array.isArray(points) || points.length < 2) return null;
+
+    const profile = [];
+    let cumulative = 0;
+    let minElevation = Infinity;
+    let maxElevation = -Infinity;
+
+    points.forEach((point, i) => {
+      if (i > 0) {
+        const prev = points[i - 1];
+        cumulative += this.haversine(prev.lat, prev.lon, point.lat, point.lon);
+      }
+      const ele = Number(point.ele);
+      if (!isFinite(ele)) return;
+
+      minElevation = Math.min(minElevation, ele);
+      maxElevation = Math.max(maxElevation, ele);
+      profile.push([cumulative, ele]);
+    });
+
+    if (profile.length < 2) return null;
+
+    return {
+      points: this.downsample(profile, maxPoints).map(([d, ele]) => [
+        parseFloat(d.toFixed(3)),
+        parseFloat(ele.toFixed(1))
+      ]),
+      minElevation: Math.round(minElevation),
+      maxElevation: Math.round(maxElevation)
+    };
+  },
+
+  /**
+   * 平面軌跡簡化（Douglas–Peucker，供保存軌跡用）
+   * 以等距圓柱投影換算為公尺計算偏移；分段首點一律保留。
+   * 超過點數上限時放寬容差重算。
+   * @param {Array} points - 軌跡點 { lat, lon, ele, time, segmentStart }
+   * @param {number} tolerance - 容差 (m)
+   * @param {number} maxPoints - 最大點數
+   * @returns {Array} 簡化後的軌跡點（座標與海拔已四捨五入）
+   */
+  simplifyTrack: function(points, tolerance = 5, maxPoints = 2000) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    if (!Array.isArray(points) || points.length === 0) return [];
+
+    const lat0 = points[0].lat * Math.PI / 180;
+    const xy = points.map(point => [
+      point.lon * Math.PI / 180 * Math.cos(lat0) * 6371000,
+      point.lat * Math.PI / 180 * 6371000
+    ]);
+    const offset = (p, a, b) => {
+      const dx = b[0] - a[0];
+      const dy = b[1] - a[1];
+      const lengthSq = dx * dx + dy * dy;
+      if (lengthSq === 0) return Math.hypot(p[0] - a[0], p[1] - a[1]);
+      const t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq));
+      return Math.hypot(p[0] - a[0] - t * dx, p[1] - a[1] - t * dy);
+    };
+
+    let keep;
+    let currentTolerance = tolerance;
+    do {
+      keep = points.map((point, i) => i === 0 || i === points.length - 1 || !!point.segmentStart);
+      const anchors = keep.reduce((list, kept, i) => (kept ? list.concat(i) : list), []);
+      const stack = [];
+      for (let i = 1; i < anchors.length; i++) stack.push([anchors[i - 1], anchors[i]]);
+
+      while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        let maxOffset = 0;
+        let index = -1;
+        for (let i = start + 1; i < end; i++) {
+          const d = offset(xy[i], xy[start], xy[end]);
+          if (d > maxOffset) {
+            maxOffset = d;
+            index = i;
+          }
+        }
+        if (index !== -1 && maxOffset > currentTolerance) {
+          keep[index] = true;
+          stack.push([start, index], [index, end]);
+        }
+      }
+      currentTolerance *= 2;
+    } while (keep.filter(Boolean).length > maxPoints && currentTolerance < 10000);
+
+    return points.filter((point, i) => keep[i]).map(point => ({
+      lat: parseFloat(point.lat.toFixed(6)),
+      lon: parseFloat(point.lon.toFixed(6)),
+      ele: parseFloat((Number(point.ele) || 0).toFixed(1)),
+      time: typeof point.time === 'number' ? point.time : null,
+      segmentStart: !!point.segmentStart
+    }));
+  },
+
+  /**
+   * 降採樣（Largest-Triangle-Three-Buckets，保留山峰與谷底形狀）
+   * @param {Array} series - [[x, y], ...]
+   * @param {number} threshold - 目標點數
+   * @returns {Array} 降採樣結果
+   */
+  downsample: function(series, threshold) {
+    if (threshold >= series.length || threshold < 3) return series.slice();
+
+    const sampled = [series[0]];
+    const bucketSize = (series.length - 2) / (threshold - 2);
+    let a = 0;
+
+    for (let i = 0; i < threshold - 2; i++) {
+      // 下一個桶的平均點
+      const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+      const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, series.length);
+      let avgX = 0;
+      let avgY = 0;
+      for (let j = nextStart; j < nextEnd; j++) {
+        avgX += series[j][0];
+        avgY += series[j][1];
+      }
+      const count = Math.max(1, nextEnd - nextStart);
+      avgX /= count;
+      avgY /= count;
+
+      // 當前桶中與前一選點、下一桶平均點構成最大三角形的點
+      const start = Math.floor(i * bucketSize) + 1;
+      const end = Math.floor((i + 1) * bucketSize) + 1;
+      let maxArea = -1;
+      let chosen = start;
+      for (let j = start; j < end; j++) {
+        const area = Math.abs(
+          (series[a][0] - avgX) * (series[j][1] - series[a][1]) -
+          (series[a][0] - series[j][0]) * (avgY - series[a][1])
+        );
+        if (area > maxArea) {
+          maxArea = area;
+          chosen = j;
+        }
+      }
+
+      sampled.push(series[chosen]);
+      a = chosen;
+    }
+
+    sampled.push(series[series.length - 1]);
+    return sampled;
+  }
+};
+
+// 全局可用（符合 SDL 流程）
+window.TrackAnalysis = TrackAnalysis;
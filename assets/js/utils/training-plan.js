@@ -0,0 +1,307 @@
+/**
+ * 訓練計畫產生器 - 規則式週期化（建構 / 巔峰 / 減量）
+ *
+ * 依賽事日期、目前負荷與風險模型找出的弱項，逐週產生目標 EP、長距離距離與爬升。
+ * 全部於本機計算、結果可重現（相同輸入必得相同計畫），不呼叫任何外部服務。
+ *
+ * 安全開發守則：
+ *   [x] 預設不信任使用者輸入
+ *   [x] 關閉偵錯模式
+ */
+const TrainingPlan = {
+  // 計畫長度限制（週，含賽事週）
+  MIN_WEEKS: 3,
+  MAX_WEEKS: 52,
+
+  // 週負荷增幅上限；訓練不穩定時放慢
+  WEEKLY_INCREASE: 0.10,
+  CAUTIOUS_INCREASE: 0.07,
+
+  // 每 4 週安排 1 週恢復週，負荷降至 70%
+  RECOVERY_INTERVAL: 4,
+  RECOVERY_FACTOR: 0.7,
+
+  // 減量期各週負荷（相對巔峰週，最後一週為賽事週）
+  TAPER_FACTORS: [0.7, 0.45],
+  LONG_TAPER_FACTORS: [0.75, 0.6, 0.4],
+  LONG_TAPER_RACE_EP: 100,
+
+  // 巔峰週量：賽事 EP 的 1.1 倍，但超長賽事以 60 + 0.5 × EP 封頂
+  PEAK_RACE_RATIO: 1.1,
+  PEAK_BASE_EP: 60,
+  PEAK_EXTRA_RATIO: 0.5,
+
+  // 長距離佔週量比例與上限（賽事 EP 的 60%）
+  LONG_RUN_SHARE: { build: 0.35, recovery: 0.3, peak: 0.45, taper: 0.3 },
+  LONG_RUN_GAP_BONUS: 0.05,
+  LONG_RUN_RACE_RATIO: 0.6,
+
+  // 風險值達此門檻的因子視為待補強弱項
+  GAP_THRESHOLD: 50,
+
+  // 無訓練紀錄時的起始週量（相對巔峰週）
+  DEFAULT_START_RATIO: 0.4,
+
+  /**
+   * 產生週期化訓練計畫
+   * @param {Object} context - { race: { name, date, distance, elevation, descent }, activities, factors, now }
+   * @returns {Object} { createdAt, race, currentLoad, gaps, peakTargetEp, reachesTarget, weeks }
+   */
+  build: function(context) {
+    const now = context.now || new Date();
+    const race = this._sanitizeRace(context.race || {});
+    const start = this._startOfDay(now);
+
+    // 第 1 週自今天起算，最後一週包含賽事日
+    const totalWeeks = Math.floor((race.date - start) / (7 * 86400000)) + 1;
+    if (!(race.date >= start) || totalWeeks < this.MIN_WEEKS || totalWeeks > this.MAX_WEEKS) {
+      throw new Error('INVALID_RACE_DATE');
+    }
+
+    const raceEp = window.epEngine.calculateEp({
+      distance: race.distance,
+      gain: race.elevation,
+      loss: race.descent
+    });
+    const currentLoad = this.currentLoad(context.activities, now);
+    const gaps = (Array.isArray(context.factors) ? context.factors : [])
+      .filter(factor => factor && factor.risk >= this.GAP_THRESHOLD)
+      .map(factor => factor.id);
+
+    const phases = this._allocatePhases(totalWeeks, raceEp);
+    const peakTargetEp = Math.max(
+      currentLoad.weeklyEp,
+      Math.min(raceEp * this.PEAK_RACE_RATIO, this.PEAK_BASE_EP + raceEp * this.PEAK_EXTRA_RATIO)
+    );
+    const loads = this._weeklyLoads(phases, currentLoad.weeklyEp, peakTargetEp, gaps);
+    const peakEp = Math.max(...loads);
+
+    // 以賽事的爬升密度換算距離與爬升（EP 對距離為線性）
+    const gainPerKm = race.elevation / race.distance;
+    const lossPerKm = race.descent / race.distance;
+    const epPerKm = window.epEngine.calculateEp({ distance: 1, gain: gainPerKm, loss: lossPerKm });
+    const longRunCap = raceEp * this.LONG_RUN_RACE_RATIO;
+
+    const weeks = phases.map((phase, i) => {
+      const weekStart = new Date(start.getTime() + i * 7 * 86400000);
+      const targetEp = loads[i];
+      let share = this.LONG_RUN_SHARE[phase];
+      if ((phase === 'build' || phase === 'peak') && gaps.includes('longestRun')) {
+        share += this.LONG_RUN_GAP_BONUS;
+      }
+      // 賽事週不另排長距離
+      const longRunEp = i === phases.length - 1 ? 0 : Math.min(targetEp * share, longRunCap);
+      const weekDistance = targetEp / epPerKm;
+      const longRunKm = longRunEp / epPerKm;
+
+      return {
+        index: i + 1,
+        weekStart: this._formatDate(weekStart),
+        phase,
+        targetEp: parseFloat(targetEp.toFixed(1)),
+        distance: parseFloat(weekDistance.toFixed(1)),
+        vertical: Math.round(weekDistance * gainPerKm / 10) * 10,
+        longRunKm: parseFloat(longRunKm.toFixed(1)),
+        longRunVertical: Math.round(longRunKm * gainPerKm / 10) * 10,
+        focus: this._focus(phase, gaps, i === phases.length - 1)
+      };
+    });
+
+    return {
+      createdAt: new Date().toISOString(),
+      race: {
+        name: race.name,
+        date: this._formatDate(race.date),
+        distance: race.distance,
+        elevation: race.elevation,
+        ep: parseFloat(raceEp.toFixed(1))
+      },
+      currentLoad: {
+        weeklyEp: parseFloat(currentLoad.weeklyEp.toFixed(1)),
+        longRunEp: parseFloat(currentLoad.longRunEp.toFixed(1))
+      },
+      gaps,
+      peakTargetEp: parseFloat(peakTargetEp.toFixed(1)),
+      reachesTarget: peakEp >= peakTargetEp - 0.05,
+      weeks
+    };
+  },
+
+  /**
+   * 目前負荷：近 4 週平均週 EP 與最長單次 EP
+   * @param {Array} activities - 歷史活動
+   * @param {Date} now - 基準時間
+   * @returns {Object} { weeklyEp, longRunEp }
+   */
+  currentLoad: function(activities, now) {
+    const windowMs = 28 * 86400000;
+    const recent = (Array.isArray(activities) ? activities : [])
+      .map(act => ({ date: new Date(act.startTime || act.timestamp), ep: window.epEngine.activityEp(act) }))
+      .filter(act => !isNaN(act.date.getTime()) && act.date <= now && now - act.date <= windowMs && act.ep > 0);
+
+    return {
+      weeklyEp: recent.reduce((sum, act) => sum + act.ep, 0) / 4,
+      longRunEp: recent.reduce((max, act) => Math.max(max, act.ep), 0)
+    };
+  },
+
+  /**
+   * 找出目前日期所在的計畫週
+   * @param {Object} plan - build() 結果
+   * @param {Date} now - 基準時間
+   * @returns {number} weeks 陣列索引；不在計畫期間內為 -1
+   */
+  currentWeekIndex: function(plan, now = new Date()) {
+    if (!plan || !Array.isArray(plan.weeks)) return -1;
+    const today = this._startOfDay(now).getTime();
+    return plan.weeks.findIndex(week => {
+      const weekStart = new Date(`${week.weekStart}T00:00:00`).getTime();
+      return today >= weekStart && today < weekStart + 7 * 86400000;
+    });
+  },
+
+  /**
+   * 驗證賽事參數
+   * @private
+   */
+  _sanitizeRace: function(race) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    const distance = parseFloat(race.distance);
+    const elevation = parseFloat(race.elevation);
+    const descent = parseFloat(race.descent);
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(race.date || '') ? new Date(`${race.date}T00:00:00`) : null;
+
+    if (!(distance > 0) || !(elevation >= 0)) {
+      throw new Error('INVALID_RACE');
+    }
+    if (!date || isNaN(date.getTime())) {
+      throw new Error('INVALID_RACE_DATE');
+    }
+
+    return {
+      name: String(race.name || '').slice(0, 100),
+      date,
+      distance,
+      elevation,
+      descent: descent >= 0 ? descent : elevation
+    };
+  },
+
+  /**
+   * 分配各週階段：減量期固定於最後，巔峰期約佔 20%（1–3 週），其餘為建構期
+   * @private
+   */
+  _allocatePhases: function(totalWeeks, raceEp) {
+    const taper = raceEp >= this.LONG_TAPER_RACE_EP ? this.LONG_TAPER_FACTORS : this.TAPER_FACTORS;
+    const taperWeeks = Math.min(taper.length, totalWeeks - 1);
+    const peakWeeks = Math.max(1, Math.min(3, Math.round(totalWeeks * 0.2), totalWeeks - taperWeeks));
+    const buildWeeks = totalWeeks - taperWeeks - peakWeeks;
+
+    const phases = [];
+    for (let i = 0; i < buildWeeks; i++) {
+      // 建構期每第 4 週為恢復週（緊接巔峰期的那週除外）
+      const isRecovery = (i + 1) % this.RECOVERY_INTERVAL === 0 && i < buildWeeks - 1;
+      phases.push(isRecovery ? 'recovery' : 'build');
+    }
+    for (let i = 0; i < peakWeeks; i++) phases.push('peak');
+    for (let i = 0; i < taperWeeks; i++) phases.push('taper');
+    return phases;
+  },
+
+  /**
+   * 計算各週目標 EP
+   * @private
+   */
+  _weeklyLoads: function(phases, currentWeeklyEp, peakTargetEp, gaps) {
+    const increase = gaps.includes('consistency') ? this.CAUTIOUS_INCREASE : this.WEEKLY_INCREASE;
+    const taperWeeks = phases.filter(phase => phase === 'taper').length;
+    const taper = taperWeeks === this.LONG_TAPER_FACTORS.length
+      ? this.LONG_TAPER_FACTORS
+      : this.TAPER_FACTORS.slice(this.TAPER_FACTORS.length - taperWeeks);
+
+    // 負荷已暴增（ACWR 過高）時第 1 週不加量
+    let level = currentWeeklyEp > 0 ? currentWeeklyEp : peakTargetEp * this.DEFAULT_START_RATIO;
+    let first = !gaps.includes('acwr');
+    let peakLevel = null;
+    let taperIndex = 0;
+
+    return phases.map(phase => {
+      if (phase === 'build') {
+        level = first ? Math.min(peakTargetEp, level * (1 + increase)) : level;
+        first = true;
+        return level;
+      }
+      if (phase === 'recovery') {
+        return level * this.RECOVERY_FACTOR;
+      }
+      if (phase === 'peak') {
+        if (peakLevel === null) peakLevel = Math.min(peakTargetEp, level * (1 + increase));
+        return peakLevel;
+      }
+      return (peakLevel || level) * taper[taperIndex++];
+    });
+  },
+
+  /**
+   * 各週訓練重點（依階段與弱項）
+   * @private
+   */
+  _focus: function(phase, gaps, isRaceWeek) {
+    if (isRaceWeek) {
+      return ['賽事週：僅保留短距離開腿，確認裝備與補給'];
+    }
+    if (phase === 'recovery') {
+      return ['恢復週：降量 30%，維持輕鬆跑與睡眠'];
+    }
+    if (phase === 'taper') {
+      return ['減量保持強度：縮短距離，保留 1 次賽事配速訓練'];
+    }
+
+    const focus = [];
+    if (gaps.includes('acwr') || gaps.includes('consistency')) {
+      focus.push('穩定訓練：每週固定 3–4 次，週負荷增幅控制在 10% 內');
+    }
+    if (gaps.includes('longestRun')) {
+      focus.push('長距離：逐週延長單次距離，接近目標長距離');
+    }
+    if (gaps.includes('requiredEph')) {
+      focus.push(phase === 'peak'
+        ? '賽事配速模擬：以目標 EPH 完成長距離'
+        : '爬坡間歇：每週 1 次 500m+ 連續爬升，提升 EPH');
+    }
+    if (gaps.includes('descent')) {
+      focus.push('下坡訓練：每週 1 次長下坡，逐步累積股四頭肌離心負荷');
+    }
+    if (gaps.includes('exposure') && phase === 'peak') {
+      focus.push('環境演練：安排頭燈夜跑或熱環境訓練，演練補給節奏');
+    }
+    if (focus.length === 0) {
+      focus.push(phase === 'peak' ? '模擬賽事：背對背長距離，演練補給' : '累積有氧基礎，維持技術路段效率');
+    }
+    return focus;
+  },
+
+  /**
+   * 當日 00:00
+   * @private
+   */
+  _startOfDay: function(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+  },
+
+  /**
+   * 日期 → YYYY-MM-DD（本地時間）
+   * @private
+   */
+  _formatDate: function(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+  }
+};
+
+// 全局可用（符合 SDL 流程）
+window.TrainingPlan = TrainingPlan;
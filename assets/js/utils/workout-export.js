@@ -0,0 +1,528 @@
+/**
+ * 課表匯出 / 匯入 - FIT 課表檔、ZWO 與 JSON
+ *
+ * 輸入為 WorkoutParser.parse 的語法樹（保留重複、目標與恢復結構）。
+ * 恢復接在重複後代表「每次重複之間」（次數 − 1 次）；FIT 與 ZWO 的重複結構會在每次重複後都執行恢復，
+ * 因此有恢復的重複區塊匯出為「(內容 + 恢復) × (次數 − 1)，再接一次內容」，與原課表完全一致。
+ * JSON 另保存休息時間設定，匯入後以相同設定補上未指定的休息，重建同一份課表。
+ *
+ * 安全開發守則：
+ *   [x] 預設不信任使用者輸入
+ *   [x] 防止 XSS
+ *   [x] 關閉偵錯模式
+ */
+const WorkoutExport = {
+  // JSON 格式識別
+  JSON_FORMAT: 'trailsync-workout',
+  JSON_VERSION: 1,
+  MAX_IMPORT_SIZE: 200 * 1024,
+
+  // 目標配速容許範圍（±3%，FIT 以速度區間表示）
+  PACE_TOLERANCE: 0.03,
+
+  // 休息時間設定類型
+  REST_TYPES: ['fixed', 'ratio', 'manual'],
+
+  // FIT 常數
+  FIT_EPOCH_MS: 631065600000, // 1989-12-31T00:00:00Z
+  FIT_PROFILE_VERSION: 2132,
+  FIT_NAME_BYTES: 32,
+  FIT_INTENSITY: { work: 0, warmup: 2, cooldown: 3, recovery: 4 },
+
+  /**
+   * 匯出為 JSON（語法樹去除解析位置資訊）
+   * @param {Object} workout - { name, source, steps, restSettings }（steps 為語法樹 items）
+   * @returns {string} JSON 文字
+   */
+  toJson: function(workout) {
+    return JSON.stringify({
+      format: this.JSON_FORMAT,
+      version: this.JSON_VERSION,
+      name: String(workout.name || '').slice(0, 100),
+      source: workout.source || this.toDsl(workout.steps),
+      createdAt: new Date().toISOString(),
+      restSettings: workout.restSettings || null,
+      steps: workout.steps.map(node => this._cleanNode(node))
+    }, null, 2);
+  },
+
+  /**
+   * 匯入 JSON（嚴格驗證結構）
+   * @param {string} text - 檔案內容
+   * @returns {Object} { name, steps, restSettings }
+   */
+  fromJson: function(text) {
+    // 安全開發守則強制：【預設不信任使用者輸入】
+    if (typeof text !== 'string' || text.length > this.MAX_IMPORT_SIZE) {
+      throw new Error('INVALID_WORKOUT_FILE');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('INVALID_WORKOUT_FILE');
+    }
+
+    if (!data || data.format !== this.JSON_FORMAT || data.version !== this.JSON_VERSION ||
+        !Array.isArray(data.steps) || data.steps.length === 0) {
+      throw new Error('INVALID_WORKOUT_FILE');
+    }
+
+    return {
+      name: typeof data.name === 'string' ? data.name.slice(0, 100) : '',
+      steps: data.steps.map(node => this._validateNode(node, 0)),
+      restSettings: this._validateRestSettings(data.restSettings)
+    };
+  },
+
+  /**
+   * 語法樹 → 課表 DSL 文字（匯入後回填至規劃器重新解析）
+   * @param {Array} nodes - 語法樹 items
+   * @returns {string} 課表文字
+   */
+  toDsl: function(nodes) {
+    const tags = { warmup: ' WU', cooldown: ' CD' };
+    return nodes.map(node => {
+      const body = node.type === 'repeat'
+        ? `${node.count}x(${this.toDsl(node.children)})`
+        : this._dslStep(node);
+      const tag = tags[node.phase] || '';
+      const recovery = node.recovery
+        ? ` ${node.type === 'repeat' && node.children.some(child => child.type === 'repeat') ? 'R' : 'r'}` +
+          this._dslStep(node.recovery)
+        : '';
+      return `${body}${tag}${recovery}`;
+    }).join(', ');
+  },
+
+  /**
+   * 匯出為 ZWO（Zwift / 跑步機 App；以閾值配速為 1.0 的相對速度表示強度）
+   * @param {Object} workout - { name, steps }
+   * @param {Object} options - { resolvePace(step) → 秒/km, thresholdPace: 秒/km }
+   * @returns {string} XML 文字
+   */
+  toZwo: function(workout, options) {
+    const elements = [];
+    const power = step => (options.thresholdPace / options.resolvePace(step)).toFixed(3);
+    const duration = step => Math.round(step.kind === 'time'
+      ? step.duration
+      : step.distance / 1000 * options.resolvePace(step));
+
+    const steady = (step) => {
+      const attrs = `Duration="${duration(step)}"`;
+      if (step.phase === 'warmup') {
+        elements.push(`<Warmup ${attrs} PowerLow="${power(step)}" PowerHigh="${power(step)}" pace="0"/>`);
+      } else if (step.phase === 'cooldown') {
+        elements.push(`<Cooldown ${attrs} PowerLow="${power(step)}" PowerHigh="${power(step)}" pace="0"/>`);
+      } else {
+        elements.push(`<SteadyState ${attrs} Power="${power(step)}" pace="0"/>`);
+      }
+    };
+
+    const emit = (nodes, inheritedPhase) => {
+      nodes.forEach(node => {
+        const phase = node.phase || inheritedPhase;
+        const recovery = node.recovery ? { ...node.recovery, phase: 'recovery' } : null;
+
+        if (node.type !== 'repeat') {
+          steady({ ...node, phase });
+          if (recovery) steady(recovery);
+          return;
+        }
+
+        // 單段重複 + 恢復：IntervalsT × (次數 − 1)，最後一趟不接恢復
+        const only = node.children[0];
+        if (recovery && node.children.length === 1 && only.type !== 'repeat' && !only.recovery && node.count > 1) {
+          const on = { ...only, phase: only.phase || phase };
+          elements.push(
+            `<IntervalsT Repeat="${node.count - 1}" OnDuration="${duration(on)}" OffDuration="${duration(recovery)}" ` +
+            `OnPower="${power(on)}" OffPower="${power(recovery)}" pace="0"/>`
+          );
+          steady(on);
+          return;
+        }
+
+        // ZWO 無巢狀重複，其餘情況逐趟展開
+        for (let i = 1; i <= node.count; i++) {
+          emit(node.children, phase);
+          if (recovery && i < node.count) steady(recovery);
+        }
+      });
+    };
+    emit(workout.steps, 'work');
+
+    // 安全開發守則強制：【防止 XSS】（名稱以 XML 實體跳脫）
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<workout_file>',
+      '  <author>TrailSync</author>',
+      `  <name>${this._xmlEscape(workout.name || 'TrailSync 課表')}</name>`,
+      `  <description>${this._xmlEscape(this.toDsl(workout.steps))}</description>`,
+      '  <sportType>run</sportType>',
+      '  <workout>',
+      ...elements.map(element => `    ${element}`),
+      '  </workout>',
+      '</workout_file>'
+    ].join('\n');
+  },
+
+  /**
+   * 匯出為 FIT 課表檔（Garmin / Wahoo；workout + workout_step 訊息）
+   * @param {Object} workout - { name, steps }
+   * @param {Object} options - { resolvePace(step) → 秒/km }
+   * @returns {Uint8Array} FIT 二進位內容
+   */
+  toFit: function(workout, options) {
+    const steps = [];
+
+    const pushStep = step => {
+      const fields = {
+        messageIndex: steps.length,
+        // 爬升段以推算距離表示；時間單位 ms、距離單位 cm
+        durationType: step.kind === 'time' ? 0 : 1,
+        durationValue: step.kind === 'time' ? Math.round(step.duration * 1000) : Math.round(step.distance * 100),
+        targetType: 2, // open
+        targetValue: 0,
+        low: 0,
+        high: 0,
+        intensity: this.FIT_INTENSITY[step.phase]
+      };
+      if (step.target) {
+        // 速度目標（m/s × 1000）
+        const pace = options.resolvePace(step);
+        fields.targetType = 0;
+        fields.low = Math.round(1000 / (pace * (1 + this.PACE_TOLERANCE)) * 1000);
+        fields.high = Math.round(1000 / (pace * (1 - this.PACE_TOLERANCE)) * 1000);
+      }
+      steps.push(fields);
+    };
+
+    const pushRepeat = (fromIndex, count) => {
+      steps.push({
+        messageIndex: steps.length,
+        durationType: 6, // repeat_until_steps_cmplt
+        durationValue: fromIndex,
+        targetType: 2,
+        targetValue: count,
+        low: 0,
+        high: 0,
+        intensity: 0
+      });
+    };
+
+    const emit = (nodes, inheritedPhase) => {
+      nodes.forEach(node => {
+        const phase = node.phase || inheritedPhase;
+        const recovery = node.recovery ? { ...node.recovery, phase: 'recovery' } : null;
+
+        if (node.type !== 'repeat') {
+          pushStep({ ...node, phase });
+          if (recovery) pushStep(recovery);
+          return;
+        }
+
+        const start = steps.length;
+        emit(node.children, phase);
+        if (recovery && node.count > 1) {
+          pushStep(recovery);
+          pushRepeat(start, node.count - 1);
+          emit(node.children, phase);
+        } else if (node.count > 1) {
+          pushRepeat(start, node.count);
+        }
+      });
+    };
+    emit(workout.steps, 'work');
+
+    return this._encodeFit(workout.name || 'TrailSync', steps);
+  },
+
+  /**
+   * FIT 二進位編碼（小端序）
+   * @private
+   */
+  _encodeFit: function(name, steps) {
+    const bytes = [];
+    const u8 = value => bytes.push(value & 0xFF);
+    const u16 = value => { u8(value); u8(value >> 8); };
+    const u32 = value => { u16(value & 0xFFFF); u16((value >>> 16) & 0xFFFF); };
+    const define = (local, global, fields) => {
+      u8(0x40 | local);
+      u8(0);       // reserved
+      u8(0);       // 小端序
+      u16(global);
+      u8(fields.length);
+      fields.forEach(([num, size, baseType]) => { u8(num); u8(size); u8(baseType); });
+    };
+
+    // file_id：type = workout
+    define(0, 0, [[0, 1, 0x00], [1, 2, 0x84], [2, 2, 0x84], [4, 4, 0x86]]);
+    u8(0);
+    u8(5);
+    u16(255); // development
+    u16(0);
+    u32(Math.floor((Date.now() - this.FIT_EPOCH_MS) / 1000));
+
+    // workout：名稱（UTF-8，固定長度含結尾 0）、運動類型 running、步驟數
+    const nameBytes = this._utf8Fixed(name, this.FIT_NAME_BYTES);
+    define(1, 26, [[8, this.FIT_NAME_BYTES, 0x07], [4, 1, 0x00], [6, 2, 0x84]]);
+    u8(1);
+    nameBytes.forEach(u8);
+    u8(1);
+    u16(steps.length);
+
+    // workout_step
+    define(2, 27, [
+      [254, 2, 0x84], [1, 1, 0x00], [2, 4, 0x86], [3, 1, 0x00],
+      [4, 4, 0x86], [5, 4, 0x86], [6, 4, 0x86], [7, 1, 0x00]
+    ]);
+    steps.forEach(step => {
+      u8(2);
+      u16(step.messageIndex);
+      u8(step.durationType);
+      u32(step.durationValue);
+      u8(step.targetType);
+      u32(step.targetValue);
+      u32(step.low);
+      u32(step.high);
+      u8(step.intensity);
+    });
+
+    // 14 位元組檔頭 + 資料 + 檔案 CRC
+    const header = [14, 0x20];
+    const pushU16 = (arr, value) => arr.push(value & 0xFF, (value >> 8) & 0xFF);
+    pushU16(header, this.FIT_PROFILE_VERSION);
+    header.push(bytes.length & 0xFF, (bytes.length >> 8) & 0xFF, (bytes.length >> 16) & 0xFF, (bytes.length >>> 24) & 0xFF);
+    header.push(0x2E, 0x46, 0x49, 0x54); // ".FIT"
+    pushU16(header, this._crc(header));
+
+    const file = header.concat(bytes);
+    pushU16(file, this._crc(file));
+    return Uint8Array.from(file);
+  },
+
+  /**
+   * FIT CRC-16
+   * @private
+   */
+  _crc: function(bytes) {
+    const table = [
+      0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+      0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+    ];
+    let crc = 0;
+    bytes.forEach(byte => {
+      let tmp = table[crc & 0xF];
+      crc = (crc >> 4) & 0x0FFF;
+      crc = crc ^ tmp ^ table[byte & 0xF];
+      tmp = table[crc & 0xF];
+      crc = (crc >> 4) & 0x0FFF;
+      crc = crc ^ tmp ^ table[(byte >> 4) & 0xF];
+    });
+    return crc;
+  },
+
+  /**
+   * UTF-8 編碼並截斷至固定長度（保留結尾 0，不截斷多位元組字元）
+   * @private
+   */
+  _utf8Fixed: function(text, size) {
+    const encoder = new TextEncoder();
+    const out = new Array(size).fill(0);
+    let length = 0;
+    for (const char of String(text)) {
+      const encoded = encoder.encode(char);
+      if (length + encoded.length > size - 1) break;
+      encoded.forEach(byte => { out[length++] = byte; });
+    }
+    return out;
+  },
+
+  /**
+   * 單段 → DSL 文字
+   * @private
+   */
+  _dslStep: function(step) {
+    let quantity;
+    if (step.kind === 'vertical') {
+      quantity = `${step.vertical}m vert`;
+    } else if (step.kind === 'distance') {
+      quantity = step.distance >= 1000 && step.distance % 100 === 0
+        ? `${step.distance / 1000}km`
+        : `${step.distance}m`;
+    } else if (step.duration % 60 === 0 && step.duration < 6000) {
+      quantity = `${step.duration / 60}min`;
+    } else if (step.duration < 60) {
+      quantity = `${step.duration}s`;
+    } else {
+      quantity = this._clock(step.duration);
+    }
+
+    let target = step.grade ? `@${step.grade}%` : '';
+    if (step.target && step.target.type === 'pace') {
+      target += `@${this._clock(step.target.secondsPerKm)}/km`;
+    } else if (step.target && step.target.type === 'zone') {
+      target += `@${step.target.zone}`;
+    }
+    return `${quantity}${target}`;
+  },
+
+  /**
+   * 秒 → m:ss 或 h:mm:ss
+   * @private
+   */
+  _clock: function(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.round(seconds % 60);
+    return h > 0
+      ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
+      : `${m}:${String(s).padStart(2, '0')}`;
+  },
+
+  /**
+   * 去除解析位置等內部欄位
+   * @private
+   */
+  _cleanNode: function(node) {
+    const clean = node.type === 'repeat'
+      ? { type: 'repeat', count: node.count, children: node.children.map(child => this._cleanNode(child)) }
+      : {
+          type: 'step',
+          kind: node.kind,
+          distance: node.distance,
+          duration: node.duration,
+          vertical: node.vertical || null,
+          grade: node.grade || null,
+          target: node.target
+        };
+    clean.phase = node.phase || null;
+    clean.recovery = node.recovery
+      ? {
+          kind: node.recovery.kind,
+          distance: node.recovery.distance,
+          duration: node.recovery.duration,
+          vertical: node.recovery.vertical || null,
+          grade: node.recovery.grade || null,
+          target: node.recovery.target
+        }
+      : null;
+    return clean;
+  },
+
+  /**
+   * 驗證匯入的節點（僅接受已知欄位與合理數值）
+   * @private
+   */
+  _validateNode: function(node, depth) {
+    const parser = window.WorkoutParser;
+    if (!node || typeof node !== 'object' || depth > parser.MAX_DEPTH) {
+      throw new Error('INVALID_WORKOUT_FILE');
+    }
+
+    const phase = ['warmup', 'cooldown'].includes(node.phase) ? node.phase : null;
+    const recovery = node.recovery ? this._validateStep(node.recovery) : null;
+
+    if (node.type === 'repeat') {
+      if (!Number.isInteger(node.count) || node.count < 1 || node.count > parser.MAX_REPEAT ||
+          !Array.isArray(node.children) || node.children.length === 0) {
+        throw new Error('INVALID_WORKOUT_FILE');
+      }
+      return {
+        type: 'repeat',
+        count: node.count,
+        children: node.children.map(child => this._validateNode(child, depth + 1)),
+        phase,
+        recovery
+      };
+    }
+    if (node.type === 'step') {
+      return { type: 'step', ...this._validateStep(node), phase, recovery };
+    }
+    throw new Error('INVALID_WORKOUT_FILE');
+  },
+
+  /**
+   * 驗證休息時間設定（未知類型時不套用）
+   * @private
+   */
+  _validateRestSettings: function(settings) {
+    if (!settings || typeof settings !== 'object' || !this.REST_TYPES.includes(settings.type)) {
+      return null;
+    }
+    const text = (value, max) => typeof value === 'string' ? value.slice(0, max) : '';
+    return {
+      type: settings.type,
+      fixedRestTime: text(settings.fixedRestTime, 8),
+      ratioValue: text(settings.ratioValue, 8),
+      manualRestInput: text(settings.manualRestInput, 500)
+    };
+  },
+
+  /**
+   * 驗證單段（距離 / 時間 / 爬升、坡度與目標）
+   * @private
+   */
+  _validateStep: function(step) {
+    const parser = window.WorkoutParser;
+    const grade = step.grade === null || step.grade === undefined ? null : parseFloat(step.grade);
+    let valid = false;
+    if (step.kind === 'distance') {
+      valid = step.distance > 0 && step.distance <= parser.MAX_DISTANCE_M;
+    } else if (step.kind === 'time') {
+      valid = Number.isInteger(step.duration) && step.duration > 0 && step.duration <= parser.MAX_DURATION_S;
+    } else if (step.kind === 'vertical') {
+      valid = step.vertical > 0 && step.vertical <= parser.MAX_VERTICAL_M && grade !== null;
+    }
+    if (!valid || (grade !== null && !(grade > 0 && grade <= parser.MAX_GRADE))) {
+      throw new Error('INVALID_WORKOUT_FILE');
+    }
+
+    let target = null;
+    if (step.target && step.target.type === 'pace' &&
+        step.target.secondsPerKm >= parser.MIN_PACE_S && step.target.secondsPerKm <= parser.MAX_PACE_S) {
+      target = { type: 'pace', secondsPerKm: Math.round(step.target.secondsPerKm) };
+    } else if (step.target && step.target.type === 'zone' &&
+        Object.values(parser.ZONES).includes(step.target.zone)) {
+      target = { type: 'zone', zone: step.target.zone };
+    } else if (step.target) {
+      throw new Error('INVALID_WORKOUT_FILE');
+    }
+
+    const vertical = step.kind === 'vertical' ? parseFloat(step.vertical) : null;
+    let distance = step.kind === 'distance' ? parseFloat(step.distance) : null;
+    if (step.kind === 'vertical') {
+      // 推算距離不信任檔案內容，依爬升與坡度重算
+      distance = Math.round(vertical / grade * 100);
+      if (distance > parser.MAX_DISTANCE_M) {
+        throw new Error('INVALID_WORKOUT_FILE');
+      }
+    }
+
+    return {
+      kind: step.kind,
+      distance,
+      duration: step.kind === 'time' ? step.duration : null,
+      vertical,
+      grade,
+      target
+    };
+  },
+
+  /**
+   * XML 實體跳脫
+   * @private
+   */
+  _xmlEscape: function(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+};
+
+// 全局可用（符合 SDL 流程）
+window.WorkoutExport = WorkoutExport;
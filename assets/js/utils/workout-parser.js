@@ -0,0 +1,540 @@
+/**
+ * 課表語法解析器 - 間歇課表 DSL
+ *
+ * 語法（逗號、分號或換行分隔各項；括號內亦可以空白分隔）：
+ *   課表     := 項目 ((',' | ';' | 換行)? 項目)*
+ *   項目     := 階段標記? 區塊 階段標記? 恢復?
+ *   區塊     := 次數 'x' '(' 課表 ')' | 次數 'x' 單段 | 單段
+ *   單段     := 數量 ('@' 目標)*
+ *   數量     := 數字 ('m' | 'km') ('vert' | 'up')? | 數字 ('s' | 'sec' | 'min' | 'h') | 時間 (mm:ss / h:mm:ss)
+ *   目標     := 時間 ('/km' | '/mi')? | 數字 ('km/h' | 'kph') | 數字 '%' | 強度區間 (Z1–Z5、easy、tempo…)
+ *   恢復     := ('r' | 'R' | 'rest') 數量 ('@' 目標)*
+ *   階段標記 := 'WU' | 'CD'（熱身 / 緩和）
+ *
+ * 恢復接在重複區塊後為「每次重複之間」，接在單段後為「該段之後」。
+ * 每段最多一個坡度 (%) 與一個配速 / 速度 / 強度；爬升段（100m vert）必須指定坡度，距離由爬升與坡度推算。
+ * 例：3x(4x400m@3:30/km r90s) R5:00, 10min@tempo, 2km WU, 6x 100m vert @15% @6km/h r2:00
+ *
+ * 語法錯誤一律拋出 WORKOUT_SYNTAX_ERROR，並附帶 position（字元位置）、token 與 expected 說明。
+ *
+ * 安全開發守則：
+ *   [x] 預設不信任使用者輸入
+ *   [x] 防止注入攻擊
+ *   [x] 關閉偵錯模式
+ */
+const WorkoutParser = {
+  // 輸入與展開後的上限（防止惡意輸入耗盡資源）
+  MAX_INPUT_LENGTH: 500,
+  MAX_REPEAT: 50,
+  MAX_DEPTH: 4,
+  MAX_STEPS: 500,
+
+  // 單段數值範圍
+  MAX_DISTANCE_M: 100000,
+  MAX_DURATION_S: 24 * 3600,
+  MIN_PACE_S: 120,   // 2:00/km
+  MAX_PACE_S: 1200,  // 20:00/km
+  MAX_VERTICAL_M: 3000,
+  MAX_GRADE: 40,
+
+  // 單位換算（距離 → m，時間 → s）
+  DISTANCE_UNITS: { m: 1, km: 1000 },
+  DURATION_UNITS: { s: 1, sec: 1, min: 60, h: 3600 },
+
+  // 強度區間別名 → 標準名稱
+  ZONES: {
+    z1: 'easy', easy: 'easy', e: 'easy',
+    z2: 'marathon', marathon: 'marathon', m: 'marathon',
+    z3: 'threshold', tempo: 'threshold', threshold: 'threshold', t: 'threshold',
+    z4: 'interval', interval: 'interval', vo2max: 'interval', i: 'interval',
+    z5: 'repetition', repetition: 'repetition', rep: 'repetition'
+  },
+
+  // 階段標記
+  PHASE_TAGS: {
+    wu: 'warmup', warmup: 'warmup', 'warm-up': 'warmup', '熱身': 'warmup',
+    cd: 'cooldown', cooldown: 'cooldown', 'cool-down': 'cooldown', '緩和': 'cooldown'
+  },
+
+  RECOVERY_WORDS: ['rest', 'rec', 'recovery'],
+
+  // 爬升段標記（100m vert）
+  VERTICAL_WORDS: ['vert', 'up', 'climb', '爬升'],
+
+  /**
+   * 解析課表文字
+   * @param {string} input - 使用者輸入
+   * @returns {Object} { type: 'workout', items: [區塊] }
+   */
+  parse: function(input) {
+    // 安全開發守則強制：【預設不信任使用者輸入】（白名單詞法分析，不接受未定義字元）
+    const text = String(input || '');
+    if (text.trim() === '') {
+      this._fail({ start: 0, text: '' }, '課表內容');
+    }
+    if (text.length > this.MAX_INPUT_LENGTH) {
+      this._fail({ start: this.MAX_INPUT_LENGTH, text: text.charAt(this.MAX_INPUT_LENGTH) },
+        `不超過 ${this.MAX_INPUT_LENGTH} 個字元的課表`);
+    }
+
+    const state = { tokens: this.tokenize(text), index: 0, depth: 0 };
+    const items = this._parseSequence(state, null);
+    const token = this._peek(state);
+    if (token.type !== 'eof') {
+      this._fail(token, token.type === 'rparen' ? '對應的左括號' : '逗號或下一個課表項目');
+    }
+
+    // 展開前先檢查總段數，避免巢狀重複產生過量步驟
+    let total = 0;
+    items.forEach(item => {
+      total += this._expandedCount(item);
+      if (total > this.MAX_STEPS) {
+        this._fail({ start: item.position, text: text.slice(item.position).split(/[,;\n]/)[0].trim() },
+          `展開後不超過 ${this.MAX_STEPS} 段的課表`);
+      }
+    });
+    return { type: 'workout', items };
+  },
+
+  /**
+   * 詞法分析
+   * @param {string} text - 課表文字
+   * @returns {Array} [{ type, text, start }]
+   */
+  tokenize: function(text) {
+    const tokens = [];
+    const patterns = [
+      { type: 'time', regex: /^\d{1,2}:\d{2}(?::\d{2})?/ },
+      { type: 'number', regex: /^\d+(?:\.\d+)?/ },
+      { type: 'word', regex: /^[A-Za-z一-鿿][A-Za-z0-9一-鿿-]*/ }
+    ];
+    const symbols = { '(': 'lparen', ')': 'rparen', ',': 'separator', ';': 'separator',
+      '\n': 'separator', '@': 'at', '/': 'slash', '*': 'times', '×': 'times', '%': 'percent' };
+
+    let pos = 0;
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === ' ' || char === '\t' || char === '\r') {
+        pos++;
+        continue;
+      }
+
+      const previous = tokens[tokens.length - 1];
+      // 數字後的 x 為重複次數（4x400m、3x(…)）
+      if (/[xX]/.test(char) && previous && previous.type === 'number' && /^[\d(\s]/.test(text.slice(pos + 1))) {
+        tokens.push({ type: 'times', text: char, start: pos });
+        pos++;
+        continue;
+      }
+      // r / R 後接數字為恢復（r90s、R5:00）
+      if (/[rR]/.test(char) && /^\d/.test(text.slice(pos + 1))) {
+        tokens.push({ type: 'recovery', text: char, start: pos });
+        pos++;
+        continue;
+      }
+      if (symbols[char]) {
+        tokens.push({ type: symbols[char], text: char === '\n' ? '換行' : char, start: pos });
+        pos++;
+        continue;
+      }
+
+      const rest = text.slice(pos);
+      const pattern = patterns.find(p => p.regex.test(rest));
+      if (!pattern) {
+        this._fail({ start: pos, text: char }, '數字、單位或課表符號');
+      }
+      const match = rest.match(pattern.regex)[0];
+      const token = { type: pattern.type, text: match, start: pos };
+      if (pattern.type === 'word' && this.RECOVERY_WORDS.includes(match.toLowerCase())) {
+        token.type = 'recovery';
+      }
+      tokens.push(token);
+      pos += match.length;
+    }
+
+    tokens.push({ type: 'eof', text: '', start: text.length });
+    return tokens;
+  },
+
+  /**
+   * 展開為線性步驟（重複與恢復依語意展開）
+   * @param {Object} workout - parse() 結果
+   * @returns {Array} [{ phase: 'warmup'|'work'|'recovery'|'cooldown', kind, distance, duration, vertical, grade,
+   *   target, path }]
+   *   path 為各層重複的次序（如 [2, 3] 表示第 2 組第 3 趟）
+   */
+  flatten: function(workout) {
+    const steps = [];
+    const walk = (items, path, inheritedPhase) => {
+      items.forEach(item => {
+        const phase = item.phase || inheritedPhase;
+        if (item.type === 'repeat') {
+          for (let i = 1; i <= item.count; i++) {
+            walk(item.children, [...path, i], phase);
+            if (item.recovery && i < item.count) {
+              steps.push(this._flatStep(item.recovery, 'recovery', [...path, i]));
+            }
+          }
+        } else {
+          steps.push(this._flatStep(item, phase, path));
+          if (item.recovery) {
+            steps.push(this._flatStep(item.recovery, 'recovery', path));
+          }
+        }
+      });
+    };
+    walk(workout.items, [], 'work');
+    return steps;
+  },
+
+  /**
+   * 展開步驟
+   * @private
+   */
+  _flatStep: function(step, phase, path) {
+    return {
+      phase,
+      kind: step.kind,
+      distance: step.distance,
+      duration: step.duration,
+      vertical: step.vertical,
+      grade: step.grade,
+      target: step.target,
+      path: path.slice()
+    };
+  },
+
+  /**
+   * 解析項目序列（end 為結束符號類型；頂層為 null）
+   * @private
+   */
+  _parseSequence: function(state, end) {
+    const items = [];
+    while (true) {
+      const token = this._peek(state);
+      if (token.type === 'separator') {
+        state.index++;
+        continue;
+      }
+      if (token.type === 'eof' || token.type === end) break;
+      if (end === null && token.type === 'rparen') break;
+      items.push(this._parseItem(state));
+    }
+
+    if (items.length === 0) {
+      this._fail(this._peek(state), '至少一個課表項目（如 400m、5:00、3x(…)）');
+    }
+    return items;
+  },
+
+  /**
+   * 解析單一項目（階段標記、區塊、恢復）
+   * @private
+   */
+  _parseItem: function(state) {
+    const leadingPhase = this._parsePhaseTag(state);
+    const block = this._parseBlock(state);
+    const trailingPhase = this._parsePhaseTag(state);
+    block.phase = leadingPhase || trailingPhase || null;
+
+    if (this._peek(state).type === 'recovery') {
+      state.index++;
+      block.recovery = this._parseStep(state, true);
+    }
+    return block;
+  },
+
+  /**
+   * 解析區塊（重複或單段）
+   * @private
+   */
+  _parseBlock: function(state) {
+    const first = this._peek(state);
+    const second = state.tokens[state.index + 1];
+
+    if (first.type === 'number' && second && second.type === 'times') {
+      const count = parseFloat(first.text);
+      if (!Number.isInteger(count) || count < 1 || count > this.MAX_REPEAT) {
+        this._fail(first, `1–${this.MAX_REPEAT} 的整數重複次數`);
+      }
+      state.index += 2;
+
+      if (this._peek(state).type === 'lparen') {
+        const open = this._next(state);
+        state.depth++;
+        if (state.depth > this.MAX_DEPTH) {
+          this._fail(open, `不超過 ${this.MAX_DEPTH} 層的巢狀重複`);
+        }
+        const children = this._parseSequence(state, 'rparen');
+        if (this._peek(state).type !== 'rparen') {
+          this._fail(this._peek(state), `右括號「)」（對應第 ${open.start + 1} 個字元的左括號）`);
+        }
+        state.index++;
+        state.depth--;
+        return { type: 'repeat', count, children, recovery: null, position: first.start };
+      }
+
+      // 4x400m@3:30/km r90s：恢復屬於重複之間
+      const step = this._parseStep(state, false);
+      return { type: 'repeat', count, children: [step], recovery: null, position: first.start };
+    }
+
+    const step = this._parseStep(state, false);
+
+    // 相容舊格式：122s*5
+    const times = this._peek(state);
+    if (times.type === 'times') {
+      state.index++;
+      const countToken = this._next(state);
+      const count = parseFloat(countToken.text);
+      if (countToken.type !== 'number' || !Number.isInteger(count) || count < 1 || count > this.MAX_REPEAT) {
+        this._fail(countToken, `1–${this.MAX_REPEAT} 的整數重複次數`);
+      }
+      return { type: 'repeat', count, children: [step], recovery: null, position: step.position };
+    }
+    return step;
+  },
+
+  /**
+   * 解析單段（數量、坡度與目標）
+   * @private
+   */
+  _parseStep: function(state, isRecovery) {
+    const quantity = this._parseQuantity(state);
+    const step = {
+      type: isRecovery ? 'recovery' : 'step',
+      kind: quantity.kind,
+      distance: quantity.distance,
+      duration: quantity.duration,
+      vertical: quantity.vertical || null,
+      grade: null,
+      target: null,
+      recovery: null,
+      position: quantity.token.start
+    };
+
+    while (this._peek(state).type === 'at') {
+      state.index++;
+      this._parseTarget(state, step);
+    }
+
+    if (step.kind === 'vertical') {
+      if (step.grade === null) {
+        this._fail(this._peek(state), '爬升段的坡度（如 100m vert @15%）');
+      }
+      // 爬升段的距離由爬升與坡度推算
+      step.distance = Math.round(step.vertical / step.grade * 100);
+      if (step.distance > this.MAX_DISTANCE_M) {
+        this._fail(quantity.token, `推算距離不超過 ${this.MAX_DISTANCE_M / 1000} km 的爬升與坡度`);
+      }
+    }
+    return step;
+  },
+
+  /**
+   * 解析數量（距離或時間）
+   * @private
+   */
+  _parseQuantity: function(state) {
+    const token = this._next(state);
+
+    if (token.type === 'time') {
+      const duration = this._timeToSeconds(token.text);
+      if (duration === null || duration <= 0 || duration > this.MAX_DURATION_S) {
+        this._fail(token, '有效時間（秒數與分鐘數需小於 60，總長不超過 24 小時）');
+      }
+      return { kind: 'time', distance: null, duration, token };
+    }
+
+    if (token.type !== 'number') {
+      this._fail(token, '距離或時間（如 400m、2km、90s、5:00）');
+    }
+
+    const value = parseFloat(token.text);
+    const unitToken = this._next(state);
+    const unit = unitToken.type === 'word' ? unitToken.text.toLowerCase() : '';
+
+    if (this.DISTANCE_UNITS[unit]) {
+      const distance = value * this.DISTANCE_UNITS[unit];
+      const marker = this._peek(state);
+      if (marker.type === 'word' && this.VERTICAL_WORDS.includes(marker.text.toLowerCase())) {
+        state.index++;
+        if (!(distance > 0) || distance > this.MAX_VERTICAL_M) {
+          this._fail(token, `0–${this.MAX_VERTICAL_M} m 之間的爬升`);
+        }
+        return { kind: 'vertical', distance: null, duration: null, vertical: distance, token };
+      }
+      if (!(distance > 0) || distance > this.MAX_DISTANCE_M) {
+        this._fail(token, `0–${this.MAX_DISTANCE_M / 1000} km 之間的距離`);
+      }
+      return { kind: 'distance', distance, duration: null, token };
+    }
+    if (this.DURATION_UNITS[unit]) {
+      const duration = value * this.DURATION_UNITS[unit];
+      if (!(duration > 0) || duration > this.MAX_DURATION_S) {
+        this._fail(token, '0–24 小時之間的時間');
+      }
+      return { kind: 'time', distance: null, duration: Math.round(duration), token };
+    }
+
+    return this._fail(unitToken, '單位 m、km、s、min 或 h');
+  },
+
+  /**
+   * 解析目標（坡度、配速、速度或強度區間），寫入單段
+   * @private
+   */
+  _parseTarget: function(state, step) {
+    const token = this._peek(state);
+
+    if (token.type === 'number' && state.tokens[state.index + 1].type === 'percent') {
+      state.index += 2;
+      const grade = parseFloat(token.text);
+      if (step.grade !== null) {
+        this._fail(token, '每段只指定一個坡度');
+      }
+      if (!(grade > 0) || grade > this.MAX_GRADE) {
+        this._fail(token, `0–${this.MAX_GRADE}% 之間的坡度`);
+      }
+      step.grade = grade;
+      return;
+    }
+
+    if (step.target !== null) {
+      this._fail(token, '坡度（如 15%）；每段只指定一個配速、速度或強度');
+    }
+    step.target = this._parseIntensity(state);
+  },
+
+  /**
+   * 解析配速、速度或強度區間
+   * @private
+   */
+  _parseIntensity: function(state) {
+    const token = this._next(state);
+
+    if (token.type === 'number') {
+      const speed = parseFloat(token.text);
+      if (!this._parseSpeedUnit(state)) {
+        this._fail(this._peek(state), '速度單位 km/h、坡度 % 或配速（如 3:30/km）');
+      }
+      const seconds = 3600 / speed;
+      if (!(speed > 0) || seconds < this.MIN_PACE_S || seconds > this.MAX_PACE_S) {
+        this._fail(token, '3–30 km/h 之間的速度');
+      }
+      return { type: 'pace', secondsPerKm: Math.round(seconds) };
+    }
+
+    if (token.type === 'time') {
+      let seconds = this._timeToSeconds(token.text);
+      if (this._peek(state).type === 'slash') {
+        state.index++;
+        const unitToken = this._next(state);
+        const unit = unitToken.type === 'word' ? unitToken.text.toLowerCase() : '';
+        if (unit === 'mi') {
+          seconds = seconds / 1.609344;
+        } else if (unit !== 'km') {
+          this._fail(unitToken, '配速單位 km 或 mi');
+        }
+      }
+      if (seconds === null || seconds < this.MIN_PACE_S || seconds > this.MAX_PACE_S) {
+        this._fail(token, '2:00–20:00 /km 之間的配速');
+      }
+      return { type: 'pace', secondsPerKm: Math.round(seconds) };
+    }
+
+    if (token.type === 'word' && this.ZONES[token.text.toLowerCase()]) {
+      return { type: 'zone', zone: this.ZONES[token.text.toLowerCase()] };
+    }
+
+    return this._fail(token, '配速（如 3:30/km）、速度（如 6km/h）、坡度（如 15%）或強度區間（Z1–Z5、tempo…）');
+  },
+
+  /**
+   * 解析速度單位（km/h 或 kph）
+   * @private
+   */
+  _parseSpeedUnit: function(state) {
+    const unit = this._peek(state);
+    const word = unit.type === 'word' ? unit.text.toLowerCase() : '';
+    if (word === 'kph') {
+      state.index++;
+      return true;
+    }
+    const slash = state.tokens[state.index + 1];
+    const hour = state.tokens[state.index + 2];
+    if (word === 'km' && slash.type === 'slash' && hour && hour.type === 'word' && hour.text.toLowerCase() === 'h') {
+      state.index += 3;
+      return true;
+    }
+    return false;
+  },
+
+  /**
+   * 解析階段標記（WU / CD）
+   * @private
+   */
+  _parsePhaseTag: function(state) {
+    const token = this._peek(state);
+    if (token.type !== 'word') return null;
+    const phase = this.PHASE_TAGS[token.text.toLowerCase()];
+    if (!phase) return null;
+    state.index++;
+    return phase;
+  },
+
+  /**
+   * 區塊展開後的步驟數（含恢復）
+   * @private
+   */
+  _expandedCount: function(block) {
+    if (block.type !== 'repeat') {
+      return block.recovery ? 2 : 1;
+    }
+    const inner = block.children.reduce((sum, child) => sum + this._expandedCount(child), 0);
+    return block.count * inner + (block.recovery ? block.count - 1 : 0);
+  },
+
+  /**
+   * mm:ss 或 h:mm:ss → 秒（格式無效時為 null）
+   * @private
+   */
+  _timeToSeconds: function(text) {
+    const parts = text.split(':').map(Number);
+    if (parts.slice(1).some(part => part >= 60)) return null;
+    return parts.length === 3
+      ? parts[0] * 3600 + parts[1] * 60 + parts[2]
+      : parts[0] * 60 + parts[1];
+  },
+
+  /**
+   * @private
+   */
+  _peek: function(state) {
+    return state.tokens[state.index];
+  },
+
+  /**
+   * @private
+   */
+  _next: function(state) {
+    const token = state.tokens[state.index];
+    if (token.type !== 'eof') state.index++;
+    return token;
+  },
+
+  /**
+   * 拋出語法錯誤（附帶錯誤位置與預期內容）
+   * @private
+   */
+  _fail: function(token, expected) {
+    const error = new Error('WORKOUT_SYNTAX_ERROR');
+    error.position = token.start;
+    error.token = token.type === 'eof' ? '' : token.text;
+    error.expected = expected;
+    throw error;
+  }
+};
+
+// 全局可用（符合 SDL 流程）
+window.WorkoutParser = WorkoutParser;